@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { Download, AlertCircle, CheckCircle, Loader, Upload, Layers } from 'lucide-react';
+import { generateBatchWorkbook, downloadWorkbook } from '../lib/excel';
+import { MAX_QUALITY_SCORE } from '../lib/validation';
+
+// Companies sent per request, so progress can be shown while the server works under the SEC rate limit
+const CHUNK_SIZE = 5;
+const MAX_COMPANIES = 100;
+
+// Split pasted text or an uploaded CSV/TXT into unique tickers or CIKs, skipping header cells
+const parseIdentifiers = (text) => {
+  const tokens = text
+    .split(/[\s,;]+/)
+    .map(token => token.trim().replace(/^"|"$/g, '').toUpperCase())
+    .filter(token => token && !['TICKER', 'TICKERS', 'CIK', 'SYMBOL'].includes(token));
+  return [...new Set(tokens)];
+};
+
+const BatchExport = ({ historyYears, periodMode }) => {
+  const [input, setInput] = useState('');
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState([]);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState('');
+
+  const identifiers = parseIdentifiers(input);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const text = await file.text();
+    setInput(prev => (prev.trim() ? `${prev.trim()}\n${text}` : text));
+    e.target.value = '';
+  };
+
+  const runBatch = async () => {
+    if (identifiers.length === 0) {
+      setError('Enter at least one ticker or CIK');
+      return;
+    }
+    if (identifiers.length > MAX_COMPANIES) {
+      setError(`At most ${MAX_COMPANIES} companies per batch (${identifiers.length} entered)`);
+      return;
+    }
+
+    setRunning(true);
+    setError('');
+    setResults([]);
+    setProgress(0);
+
+    const collected = [];
+    try {
+      for (let i = 0; i < identifiers.length; i += CHUNK_SIZE) {
+        const chunk = identifiers.slice(i, i + CHUNK_SIZE);
+        const response = await fetch('/api/batch-sec-data', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ companies: chunk, years: historyYears, period: periodMode })
+        });
+
+        if (!response.ok) {
+          const body = await response.json().catch(() => ({}));
+          // Keep going: record the whole chunk as failed and move on to the next one
+          chunk.forEach(id => collected.push({ input: id, status: 'error', error: body.message || `Request failed: ${response.status}` }));
+        } else {
+          const { results: chunkResults } = await response.json();
+          collected.push(...chunkResults);
+        }
+
+        setResults([...collected]);
+        setProgress((Math.min(i + CHUNK_SIZE, identifiers.length) / identifiers.length) * 100);
+      }
+
+      const workbook = generateBatchWorkbook(collected);
+      await downloadWorkbook(workbook, `SEC_Batch_${collected.length}_Companies_${new Date().toISOString().split('T')[0]}.xlsx`);
+    } catch (err) {
+      setError(`Error: ${err.message}`);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const succeeded = results.filter(r => r.status === 'ok').length;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-16 border border-gray-200">
+      <div className="flex items-center space-x-3 mb-2">
+        <Layers className="w-6 h-6 text-purple-600" />
+        <h3 className="text-2xl font-bold text-gray-900">Batch Export</h3>
+      </div>
+      <p className="text-gray-600 mb-6">
+        Paste or upload up to {MAX_COMPANIES} tickers or CIKs. You get one workbook with a summary sheet and one sheet per company.
+      </p>
+
+      <textarea
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        placeholder={'AAPL, MSFT, NVDA\nJPM\n0000320193'}
+        rows={5}
+        disabled={running}
+        className="w-full p-4 border-2 border-gray-300 rounded-xl font-mono text-sm focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+      />
+
+      <div className="mt-3 flex items-center justify-between">
+        <label className="inline-flex items-center space-x-2 text-sm text-purple-700 cursor-pointer hover:text-purple-900">
+          <Upload className="w-4 h-4" />
+          <span>Upload .csv or .txt</span>
+          <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleFile} disabled={running} className="hidden" />
+        </label>
+        <span className="text-sm text-gray-500">{identifiers.length} companies</span>
+      </div>
+
+      <button
+        onClick={runBatch}
+        disabled={running || identifiers.length === 0}
+        className="w-full mt-4 bg-gradient-to-r from-purple-600 to-blue-600 text-white py-3 px-6 rounded-xl hover:from-purple-700 hover:to-blue-700 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed flex items-center justify-center space-x-3 font-semibold transition-all duration-200 shadow-lg"
+      >
+        {running ? (
+          <>
+            <Loader className="w-5 h-5 animate-spin" />
+            <span>Extracting {results.length}/{identifiers.length}...</span>
+          </>
+        ) : (
+          <>
+            <Download className="w-5 h-5" />
+            <span>Run Batch Export</span>
+          </>
+        )}
+      </button>
+
+      {running && (
+        <div className="w-full bg-purple-200 rounded-full h-3 mt-4">
+          <div
+            className="bg-purple-600 h-3 rounded-full transition-all duration-300"
+            style={{ width: `${progress}%` }}
+          ></div>
+        </div>
+      )}
+
+      {error && (
+        <div className="mt-4 p-4 bg-red-50 border-l-4 border-red-400 rounded-lg">
+          <div className="flex items-center">
+            <AlertCircle className="w-5 h-5 text-red-400 mr-3" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        </div>
+      )}
+
+      {results.length > 0 && (
+        <div className="mt-6">
+          <p className="text-sm font-medium text-gray-700 mb-2">
+            {succeeded} succeeded • {results.length - succeeded} failed
+          </p>
+          <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+            {results.map((result, idx) => (
+              <div key={`${result.input}-${idx}`} className="flex items-center justify-between px-4 py-2 text-sm">
+                <div className="flex items-center space-x-2">
+                  {result.status === 'ok' ? (
+                    <CheckCircle className="w-4 h-4 text-green-500" />
+                  ) : (
+                    <AlertCircle className="w-4 h-4 text-red-500" />
+                  )}
+                  <span className="font-semibold text-gray-900">{result.company?.ticker || result.input}</span>
+                  <span className="text-gray-600 truncate">{result.company?.name}</span>
+                </div>
+                <span className={result.status === 'ok' ? 'text-gray-500' : 'text-red-600'}>
+                  {result.status === 'ok'
+                    ? `FY ${result.data?.metadata?.dataYear} • Quality ${result.data?.dataQuality?.score}/${MAX_QUALITY_SCORE}`
+                    : result.error}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchExport;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FileText, Loader, ExternalLink, AlertCircle, CheckCircle, ChevronDown } from 'lucide-react';
+
+// Quick form filters; the API accepts any form type
+const FORM_FILTERS = ['10-K', '10-Q', '8-K', 'DEF 14A', 'S-1'];
+const PAGE_SIZE = 50;
+
+const FilingBrowser = ({ company, sourceFiling, onSelectSource }) => {
+  const [forms, setForms] = useState([]);
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [filings, setFilings] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadFilings = useCallback(async (offset = 0) => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ cik: company.cik, limit: String(PAGE_SIZE), offset: String(offset) });
+      if (forms.length > 0) params.set('form', forms.join(','));
+      if (fromDate) params.set('from', fromDate);
+      if (toDate) params.set('to', toDate);
+
+      const response = await fetch(`/api/filings?${params}`);
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.message || `Filing history failed: ${response.status}`);
+
+      setFilings(prev => (offset === 0 ? body : [...prev, ...body]));
+      setTotal(Number(response.headers.get('X-Total-Count')) || body.length);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [company.cik, forms, fromDate, toDate]);
+
+  useEffect(() => {
+    loadFilings(0);
+  }, [loadFilings]);
+
+  const toggleForm = (form) => {
+    setForms(prev => (prev.includes(form) ? prev.filter(f => f !== form) : [...prev, form]));
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-16 border border-gray-200">
+      <div className="flex items-center space-x-3 mb-6">
+        <FileText className="w-6 h-6 text-blue-600" />
+        <div>
+          <h3 className="text-2xl font-bold text-gray-900">Filing History</h3>
+          <p className="text-sm text-gray-500">
+            {company.name} • {total.toLocaleString()} filings • pick a 10-K or 10-Q to extract that filing instead of the latest data
+          </p>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {FORM_FILTERS.map(form => (
+          <button
+            key={form}
+            onClick={() => toggleForm(form)}
+            className={`px-3 py-1 rounded-full text-sm border ${
+              forms.includes(form) ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:border-blue-400'
+            }`}
+          >
+            {form}
+          </button>
+        ))}
+        <div className="flex items-center space-x-2 ml-auto text-sm text-gray-600">
+          <label htmlFor="filings-from">From</label>
+          <input
+            id="filings-from"
+            type="date"
+            value={fromDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            className="px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <label htmlFor="filings-to">To</label>
+          <input
+            id="filings-to"
+            type="date"
+            value={toDate}
+            onChange={(e) => setToDate(e.target.value)}
+            className="px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-4 bg-red-50 border-l-4 border-red-400 rounded-lg">
+          <div className="flex items-center">
+            <AlertCircle className="w-5 h-5 text-red-400 mr-3" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        </div>
+      )}
+
+      <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr className="text-gray-600">
+              <th className="text-left py-2 px-3">Form</th>
+              <th className="text-left py-2 px-3">Filed</th>
+              <th className="text-left py-2 px-3">Period</th>
+              <th className="text-left py-2 px-3">Document</th>
+              <th className="py-2 px-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {filings.map(filing => {
+              const isSource = sourceFiling?.accessionNumber === filing.accessionNumber;
+              return (
+                <tr key={filing.accessionNumber} className={isSource ? 'bg-blue-50' : ''}>
+                  <td className="py-2 px-3 font-semibold text-gray-900 whitespace-nowrap">{filing.form}</td>
+                  <td className="py-2 px-3 text-gray-700 whitespace-nowrap">{filing.filingDate}</td>
+                  <td className="py-2 px-3 text-gray-500 whitespace-nowrap">{filing.reportDate || '—'}</td>
+                  <td className="py-2 px-3">
+                    <a
+                      href={filing.documentUrl || filing.indexUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center space-x-1 text-blue-600 hover:text-blue-800"
+                    >
+                      <span className="truncate max-w-xs">{filing.description || filing.primaryDocument || filing.accessionNumber}</span>
+                      <ExternalLink className="w-3 h-3 flex-shrink-0" />
+                    </a>
+                  </td>
+                  <td className="py-2 px-3 text-right whitespace-nowrap space-x-2">
+                    {filing.form?.startsWith('10-K') && filing.primaryDocument && (
+                      // Items as Markdown, with risk factor changes against the prior 10-K
+                      <a
+                        href={`/api/filing-sections?cik=${company.cik}&accession=${filing.accessionNumber}&format=markdown`}
+                        className="inline-flex items-center space-x-1 px-2 py-1 rounded-lg text-xs bg-gray-100 text-gray-700 hover:bg-blue-100 hover:text-blue-700"
+                      >
+                        <FileText className="w-3 h-3" />
+                        <span>Sections</span>
+                      </a>
+                    )}
+                    {filing.extractable && (
+                      isSource ? (
+                        <button onClick={() => onSelectSource(null)} className="inline-flex items-center space-x-1 text-blue-700 text-xs font-medium">
+                          <CheckCircle className="w-4 h-4" />
+                          <span>Source</span>
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => onSelectSource(filing)}
+                          className="px-2 py-1 rounded-lg text-xs bg-gray-100 text-gray-700 hover:bg-blue-100 hover:text-blue-700"
+                        >
+                          Use as source
+                        </button>
+                      )
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {!loading && filings.length === 0 && !error && (
+          <p className="py-6 text-center text-sm text-gray-500">No filings match these filters</p>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="mt-3 flex items-center justify-center text-sm text-gray-500">
+          <Loader className="w-4 h-4 animate-spin mr-2" />
+          Loading filings...
+        </div>
+      ) : filings.length < total && (
+        <button
+          onClick={() => loadFilings(filings.length)}
+          className="mt-3 w-full flex items-center justify-center space-x-1 py-2 text-sm text-blue-700 hover:text-blue-900"
+        >
+          <ChevronDown className="w-4 h-4" />
+          <span>Load more ({(total - filings.length).toLocaleString()} remaining)</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default FilingBrowser;
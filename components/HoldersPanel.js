@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { Landmark, Loader, AlertCircle } from 'lucide-react';
+
+const formatUsd = (value) => {
+  if (value === null || value === undefined) return '—';
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `$${(value / 1e3).toFixed(0)}K`;
+  return `$${value.toFixed(0)}`;
+};
+
+const formatShares = (value) => (value === null || value === undefined ? '—' : Math.round(value).toLocaleString());
+
+const STATUS_STYLES = {
+  new: 'bg-green-100 text-green-700',
+  increased: 'bg-green-50 text-green-700',
+  decreased: 'bg-red-50 text-red-700',
+  exited: 'bg-red-100 text-red-700',
+  unchanged: 'bg-gray-100 text-gray-600',
+  unreported: 'bg-yellow-50 text-yellow-700'
+};
+
+const changeColor = (value) => {
+  if (value > 0) return 'text-green-600';
+  if (value < 0) return 'text-red-600';
+  return 'text-gray-500';
+};
+
+const HoldersPanel = ({ company }) => {
+  const [cusip, setCusip] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadHolders = async (period = null) => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ cik: company.cik, limit: '250' });
+      if (cusip.trim()) params.set('cusip', cusip.trim());
+      if (period) params.set('period', period);
+      const response = await fetch(`/api/institutional-holders?${params}`);
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.message ? `${body.message}${body.error ? `: ${body.error}` : ''}` : `Request failed: ${response.status}`);
+      setResult(body);
+    } catch (err) {
+      setResult(null);
+      setError(`Error: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const totals = result?.totals;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-16 border border-gray-200">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center space-x-3">
+          <Landmark className="w-6 h-6 text-blue-600" />
+          <div>
+            <h3 className="text-2xl font-bold text-gray-900">Institutional Holders</h3>
+            <p className="text-sm text-gray-500">{company.name} • 13F-HR positions from the local store</p>
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={cusip}
+            onChange={(e) => setCusip(e.target.value)}
+            placeholder="CUSIP (optional)"
+            className="w-40 px-3 py-2 border-2 border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          {result && result.periods.length > 1 && (
+            <select
+              value={result.period}
+              onChange={(e) => loadHolders(e.target.value)}
+              disabled={loading}
+              className="px-3 py-2 border-2 border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {result.periods.map(period => <option key={period} value={period}>Quarter ended {period}</option>)}
+            </select>
+          )}
+          <button
+            onClick={() => loadHolders()}
+            disabled={loading}
+            className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-blue-50 text-blue-700 border border-blue-200 hover:bg-blue-100 disabled:opacity-50"
+          >
+            {loading ? <Loader className="w-4 h-4 animate-spin" /> : <Landmark className="w-4 h-4" />}
+            <span>{loading ? 'Reading 13Fs...' : 'Load Holders'}</span>
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-4 bg-red-50 border-l-4 border-red-400 rounded-lg">
+          <div className="flex items-center">
+            <AlertCircle className="w-5 h-5 text-red-400 mr-3" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <>
+          <p className="text-sm text-gray-600 mb-3">
+            {totals.holders} holders of {formatShares(totals.shares)} shares ({formatUsd(totals.value)}) at {result.period}
+            {result.priorPeriod
+              ? ` • vs ${result.priorPeriod}: ${totals.new} new, ${totals.increased} increased, ${totals.decreased} decreased, ${totals.exited} exited${totals.unreported ? `, ${totals.unreported} not yet reported` : ''}`
+              : ' • prior quarter not ingested'}
+            {result.issuer.cusips.length > 0 && ` • CUSIP ${result.issuer.cusips.map(({ cusip: number }) => number).join(', ')}`}
+          </p>
+
+          <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-gray-600">
+                  <th className="text-left py-2 px-3">Institution</th>
+                  <th className="text-right py-2 px-3">Shares</th>
+                  <th className="text-right py-2 px-3">Value</th>
+                  {result.priorPeriod && <th className="text-right py-2 px-3">Change</th>}
+                  {result.priorPeriod && <th className="text-right py-2 px-3">Change %</th>}
+                  {result.priorPeriod && <th className="text-left py-2 px-3">Status</th>}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {result.holders.map(({ holder, putCall, shares, value, change, changePercent, status }) => (
+                  <tr key={`${holder.cik}-${putCall || 'SH'}`}>
+                    <td className="py-2 px-3">
+                      <div className="font-medium text-gray-900">{holder.name || `CIK ${holder.cik}`}</div>
+                      {putCall && <div className="text-xs text-gray-500">{putCall === 'PUT' ? 'Put options' : 'Call options'}</div>}
+                    </td>
+                    <td className="py-2 px-3 text-right text-gray-700">{formatShares(shares)}</td>
+                    <td className="py-2 px-3 text-right text-gray-700">{formatUsd(value)}</td>
+                    {result.priorPeriod && (
+                      <td className={`py-2 px-3 text-right font-medium ${changeColor(change)}`}>
+                        {change > 0 ? '+' : ''}{formatShares(change)}
+                      </td>
+                    )}
+                    {result.priorPeriod && (
+                      <td className={`py-2 px-3 text-right ${changeColor(changePercent)}`}>
+                        {changePercent === null ? '—' : `${changePercent > 0 ? '+' : ''}${changePercent.toFixed(1)}%`}
+                      </td>
+                    )}
+                    {result.priorPeriod && (
+                      <td className="py-2 px-3">
+                        <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[status] || ''}`}>{status}</span>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {result.holders.length === 0 && (
+              <p className="py-6 text-center text-sm text-gray-500">No 13F positions for this quarter</p>
+            )}
+          </div>
+          {result.total > result.holders.length && (
+            <p className="mt-2 text-xs text-gray-500">Showing the largest {result.holders.length} of {result.total} positions.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HoldersPanel;
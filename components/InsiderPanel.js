@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { UserCheck, Loader, Download, AlertCircle, TrendingUp, TrendingDown } from 'lucide-react';
+import { generateInsiderWorkbook, downloadWorkbook } from '../lib/excel';
+
+const FILING_LIMITS = [20, 40, 100];
+
+const formatUsd = (value) => {
+  if (value === null || value === undefined) return '—';
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `$${(value / 1e3).toFixed(0)}K`;
+  return `$${value.toFixed(0)}`;
+};
+
+const formatShares = (value) => (value === null || value === undefined ? '—' : Math.round(value).toLocaleString());
+
+const netColor = (value) => {
+  if (value > 0) return 'text-green-600';
+  if (value < 0) return 'text-red-600';
+  return 'text-gray-500';
+};
+
+const InsiderPanel = ({ company }) => {
+  const [limit, setLimit] = useState(40);
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadTransactions = async () => {
+    setLoading(true);
+    setError('');
+    setResult(null);
+    try {
+      const response = await fetch(`/api/insider-transactions?cik=${company.cik}&limit=${limit}`);
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.message ? `${body.message}${body.error ? `: ${body.error}` : ''}` : `Request failed: ${response.status}`);
+      setResult(body);
+    } catch (err) {
+      setError(`Error: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportTransactions = async () => {
+    const workbook = generateInsiderWorkbook(result, company);
+    await downloadWorkbook(workbook, `${company.ticker}_Insider_Transactions_${new Date().toISOString().split('T')[0]}.xlsx`);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-16 border border-gray-200">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center space-x-3">
+          <UserCheck className="w-6 h-6 text-blue-600" />
+          <div>
+            <h3 className="text-2xl font-bold text-gray-900">Insider Transactions</h3>
+            <p className="text-sm text-gray-500">{company.name} • Form 4 filings by officers, directors and 10% owners</p>
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            value={limit}
+            onChange={(e) => setLimit(Number(e.target.value))}
+            className="px-3 py-2 border-2 border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {FILING_LIMITS.map(value => <option key={value} value={value}>Latest {value} filings</option>)}
+          </select>
+          <button
+            onClick={loadTransactions}
+            disabled={loading}
+            className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-blue-50 text-blue-700 border border-blue-200 hover:bg-blue-100 disabled:opacity-50"
+          >
+            {loading ? <Loader className="w-4 h-4 animate-spin" /> : <UserCheck className="w-4 h-4" />}
+            <span>{loading ? 'Reading Form 4s...' : 'Load Form 4s'}</span>
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-4 bg-red-50 border-l-4 border-red-400 rounded-lg">
+          <div className="flex items-center">
+            <AlertCircle className="w-5 h-5 text-red-400 mr-3" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <>
+          <div className="flex items-center justify-between mb-3">
+            <p className="text-sm text-gray-600">
+              {result.transactions.length} transactions in {result.filings} of {result.total} Form 4 filings
+              {result.skipped.length > 0 && ` • ${result.skipped.length} skipped`}
+            </p>
+            <button
+              onClick={exportTransactions}
+              disabled={result.transactions.length === 0}
+              className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:bg-gray-400 text-sm"
+            >
+              <Download className="w-4 h-4" />
+              <span>Export to Excel</span>
+            </button>
+          </div>
+
+          {/* Net open market buying per quarter */}
+          {result.quarters.length > 0 && (
+            <div className="overflow-x-auto mb-6">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200 text-gray-600">
+                    <th className="text-left py-2 pr-4">Quarter</th>
+                    <th className="text-right py-2 px-2">Buys</th>
+                    <th className="text-right py-2 px-2">Bought</th>
+                    <th className="text-right py-2 px-2">Sells</th>
+                    <th className="text-right py-2 px-2">Sold</th>
+                    <th className="text-right py-2 px-2">Net Shares</th>
+                    <th className="text-right py-2 pl-2">Net Value</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {result.quarters.map(({ quarter, buys, sells, netShares, netValue }) => (
+                    <tr key={quarter}>
+                      <td className="py-2 pr-4 font-semibold text-gray-900">{quarter}</td>
+                      <td className="py-2 px-2 text-right text-gray-700">{buys.count}</td>
+                      <td className="py-2 px-2 text-right text-gray-700">{formatUsd(buys.value)}</td>
+                      <td className="py-2 px-2 text-right text-gray-700">{sells.count}</td>
+                      <td className="py-2 px-2 text-right text-gray-700">{formatUsd(sells.value)}</td>
+                      <td className={`py-2 px-2 text-right font-medium ${netColor(netShares)}`}>{formatShares(netShares)}</td>
+                      <td className={`py-2 pl-2 text-right font-medium ${netColor(netValue)}`}>
+                        <span className="inline-flex items-center space-x-1">
+                          {netValue > 0 && <TrendingUp className="w-3 h-3" />}
+                          {netValue < 0 && <TrendingDown className="w-3 h-3" />}
+                          <span>{formatUsd(netValue)}</span>
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="mt-2 text-xs text-gray-500">Open market purchases (P) and sales (S) only; grants, exercises and tax withholding are left out.</p>
+            </div>
+          )}
+
+          <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-gray-600">
+                  <th className="text-left py-2 px-3">Date</th>
+                  <th className="text-left py-2 px-3">Owner</th>
+                  <th className="text-left py-2 px-3">Code</th>
+                  <th className="text-right py-2 px-3">Shares</th>
+                  <th className="text-right py-2 px-3">Price</th>
+                  <th className="text-right py-2 px-3">Owned After</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {result.transactions.map((transaction, idx) => (
+                  <tr key={`${transaction.accessionNumber}-${idx}`}>
+                    <td className="py-2 px-3 text-gray-700 whitespace-nowrap">
+                      <a href={transaction.documentUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800">
+                        {transaction.date || transaction.filingDate}
+                      </a>
+                    </td>
+                    <td className="py-2 px-3">
+                      <div className="font-medium text-gray-900">{transaction.owner}</div>
+                      <div className="text-xs text-gray-500">{transaction.relationship}</div>
+                    </td>
+                    <td className="py-2 px-3 text-gray-700" title={transaction.codeLabel || ''}>
+                      {transaction.code}{transaction.derivative ? ' (deriv.)' : ''}
+                    </td>
+                    <td className={`py-2 px-3 text-right ${transaction.acquiredDisposed === 'D' ? 'text-red-600' : 'text-green-600'}`}>
+                      {transaction.acquiredDisposed === 'D' ? '−' : '+'}{formatShares(transaction.shares)}
+                    </td>
+                    <td className="py-2 px-3 text-right text-gray-700">{transaction.price ? `$${transaction.price.toFixed(2)}` : '—'}</td>
+                    <td className="py-2 px-3 text-right text-gray-700">{formatShares(transaction.sharesOwnedAfter)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {result.transactions.length === 0 && (
+              <p className="py-6 text-center text-sm text-gray-500">No Form 4 transactions found</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default InsiderPanel;
@@ -0,0 +1,251 @@
+import React, { useState } from 'react';
+import { Users, Loader, Plus, X, Download, AlertCircle, BarChart } from 'lucide-react';
+import { PEER_METRICS, buildPeerStats } from '../lib/peer-stats';
+import { generatePeerWorkbook, downloadWorkbook } from '../lib/excel';
+
+// Peers compared by default; the rest of the SIC group can be ticked in
+const DEFAULT_SELECTED = 8;
+
+const formatMetric = (value, format) => {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+  return format === 'percent' ? `${Number(value).toFixed(1)}%` : `${Number(value).toFixed(2)}x`;
+};
+
+// Green for the favourable end of the peer range, red for the unfavourable end
+const rankColor = (rank, higherIsBetter) => {
+  if (rank === null) return 'text-gray-400';
+  const score = higherIsBetter ? rank : 100 - rank;
+  if (score >= 75) return 'text-green-600';
+  if (score <= 25) return 'text-red-600';
+  return 'text-gray-500';
+};
+
+const PeerComparison = ({ company }) => {
+  const [peers, setPeers] = useState([]);
+  const [sicDescription, setSicDescription] = useState('');
+  const [newPeer, setNewPeer] = useState('');
+  const [loadingPeers, setLoadingPeers] = useState(false);
+  const [comparing, setComparing] = useState(false);
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState('');
+
+  const findPeers = async () => {
+    setLoadingPeers(true);
+    setError('');
+    setComparison(null);
+    try {
+      const response = await fetch(`/api/peers?cik=${company.cik}&limit=50`);
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.message || `Peer search failed: ${response.status}`);
+
+      setSicDescription(`${body.sic} ${body.sicDescription || ''}`.trim());
+      setPeers(body.peers.map((peer, idx) => ({ ...peer, selected: idx < DEFAULT_SELECTED })));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingPeers(false);
+    }
+  };
+
+  const togglePeer = (cik) => {
+    setPeers(prev => prev.map(p => (p.cik === cik ? { ...p, selected: !p.selected } : p)));
+  };
+
+  const removePeer = (cik) => {
+    setPeers(prev => prev.filter(p => p.cik !== cik));
+  };
+
+  // Manually added peers are identified by ticker until the batch route resolves them
+  const addPeer = () => {
+    const ticker = newPeer.trim().toUpperCase();
+    if (!ticker || peers.some(p => p.ticker === ticker)) return;
+    setPeers(prev => [{ ticker, name: 'Added manually', cik: `manual-${ticker}`, selected: true }, ...prev]);
+    setNewPeer('');
+  };
+
+  const compare = async () => {
+    const selected = peers.filter(p => p.selected);
+    setComparing(true);
+    setError('');
+    try {
+      const response = await fetch('/api/batch-sec-data', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          companies: [company.cik, ...selected.map(p => (p.cik.startsWith('manual-') ? p.ticker : p.cik))],
+          years: 1
+        })
+      });
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.message || `Comparison failed: ${response.status}`);
+
+      const rows = body.results
+        .filter(r => r.status === 'ok')
+        .map(r => ({
+          company: { ...r.company, ticker: r.company.ticker || r.input, name: r.company.name || r.input },
+          keyMetrics: r.data.keyMetrics,
+          dataYear: r.data.metadata?.dataYear,
+          isSubject: r.company.cik === company.cik
+        }));
+      const failed = body.results.filter(r => r.status !== 'ok').map(r => r.input);
+
+      setComparison({ rows, stats: buildPeerStats(rows), failed });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const exportComparison = async () => {
+    const workbook = generatePeerWorkbook(comparison.rows, PEER_METRICS, {
+      title: `${company.name} (${company.ticker}) — Peer Comparison`,
+      subtitle: `SIC ${sicDescription} • Generated ${new Date().toLocaleString()}`
+    });
+    await downloadWorkbook(workbook, `${company.ticker}_Peer_Comparison_${new Date().toISOString().split('T')[0]}.xlsx`);
+  };
+
+  if (!company?.sic) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-16 border border-gray-200">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center space-x-3">
+          <Users className="w-6 h-6 text-blue-600" />
+          <div>
+            <h3 className="text-2xl font-bold text-gray-900">Peer Comparison</h3>
+            <p className="text-sm text-gray-500">
+              {company.name} • SIC {company.sic} {company.sicDescription}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={findPeers}
+          disabled={loadingPeers || comparing}
+          className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-blue-50 text-blue-700 border border-blue-200 hover:bg-blue-100 disabled:opacity-50"
+        >
+          {loadingPeers ? <Loader className="w-4 h-4 animate-spin" /> : <Users className="w-4 h-4" />}
+          <span>Find SIC Peers</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-4 bg-red-50 border-l-4 border-red-400 rounded-lg">
+          <div className="flex items-center">
+            <AlertCircle className="w-5 h-5 text-red-400 mr-3" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        </div>
+      )}
+
+      {peers.length > 0 && (
+        <>
+          <div className="flex items-center space-x-2 mb-3">
+            <input
+              type="text"
+              value={newPeer}
+              onChange={(e) => setNewPeer(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addPeer()}
+              placeholder="Add peer by ticker"
+              className="flex-1 px-3 py-2 border-2 border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button onClick={addPeer} className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200" aria-label="Add peer">
+              <Plus className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="flex flex-wrap gap-2 mb-4 max-h-40 overflow-y-auto">
+            {peers.map(peer => (
+              <span
+                key={peer.cik}
+                className={`inline-flex items-center space-x-1 px-3 py-1 rounded-full text-sm border cursor-pointer ${
+                  peer.selected ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300'
+                }`}
+                onClick={() => togglePeer(peer.cik)}
+                title={peer.name}
+              >
+                <span>{peer.ticker}</span>
+                <X
+                  className="w-3 h-3"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    removePeer(peer.cik);
+                  }}
+                />
+              </span>
+            ))}
+          </div>
+
+          <button
+            onClick={compare}
+            disabled={comparing || !peers.some(p => p.selected)}
+            className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-3 px-6 rounded-xl hover:from-blue-700 hover:to-purple-700 disabled:from-gray-400 disabled:to-gray-500 flex items-center justify-center space-x-2 font-semibold"
+          >
+            {comparing ? <Loader className="w-5 h-5 animate-spin" /> : <BarChart className="w-5 h-5" />}
+            <span>{comparing ? 'Extracting peer data...' : `Compare ${peers.filter(p => p.selected).length} Peers`}</span>
+          </button>
+        </>
+      )}
+
+      {comparison && (
+        <div className="mt-6">
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 text-gray-600">
+                  <th className="text-left py-2 pr-4">Company</th>
+                  {PEER_METRICS.map(m => (
+                    <th key={m.key} className="text-right py-2 px-2 whitespace-nowrap">{m.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.rows.map((row, rowIdx) => (
+                  <tr key={row.company.cik} className={`border-b border-gray-100 ${row.isSubject ? 'bg-blue-50 font-semibold' : ''}`}>
+                    <td className="py-2 pr-4">
+                      <div className="text-gray-900">{row.company.ticker}</div>
+                      <div className="text-xs text-gray-500 truncate max-w-xs">{row.company.name}</div>
+                    </td>
+                    {PEER_METRICS.map(m => {
+                      const rank = comparison.stats[m.key].ranks[rowIdx];
+                      return (
+                        <td key={m.key} className="text-right py-2 px-2">
+                          <div className="text-gray-900">{formatMetric(row.keyMetrics?.[m.key], m.format)}</div>
+                          <div className={`text-xs ${rankColor(rank, m.higherIsBetter)}`}>
+                            {rank === null ? '—' : `P${rank}`}
+                          </div>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+                <tr className="bg-gray-50 font-semibold">
+                  <td className="py-2 pr-4 text-gray-700">Median</td>
+                  {PEER_METRICS.map(m => (
+                    <td key={m.key} className="text-right py-2 px-2 text-gray-700">
+                      {formatMetric(comparison.stats[m.key].median, m.format)}
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          {comparison.failed.length > 0 && (
+            <p className="mt-3 text-sm text-amber-700">No data for: {comparison.failed.join(', ')}</p>
+          )}
+
+          <button
+            onClick={exportComparison}
+            className="mt-4 flex items-center space-x-2 px-4 py-2 rounded-lg bg-green-600 text-white hover:bg-green-700"
+          >
+            <Download className="w-4 h-4" />
+            <span>Export Comparison to Excel</span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PeerComparison;
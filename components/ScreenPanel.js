@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { Download, AlertCircle, Loader, Filter } from 'lucide-react';
+import { generateScreenWorkbook, downloadWorkbook } from '../lib/excel';
+
+const DEFAULT_PERIOD = `CY${new Date().getFullYear() - 2}`;
+
+// Values as listed in the response: USD in full, percentages in points
+const formatValue = (value, unit) => {
+  if (value === null || value === undefined) return '—';
+  if (unit === 'percent') return `${value.toFixed(1)}%`;
+  if (unit === 'multiple') return `${value.toFixed(2)}x`;
+  if (unit === 'usd') {
+    const abs = Math.abs(value);
+    if (abs >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+    if (abs >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+    return `$${value.toLocaleString()}`;
+  }
+  return value.toLocaleString();
+};
+
+const ScreenPanel = () => {
+  const [period, setPeriod] = useState(DEFAULT_PERIOD);
+  const [filters, setFilters] = useState('revenues>1B\nnetMargin>20');
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const filterLines = filters.split(/\n|,/).map(line => line.trim()).filter(Boolean);
+
+  const runScreen = async () => {
+    setRunning(true);
+    setError('');
+    setResult(null);
+    try {
+      const params = new URLSearchParams({ period: period.trim().toUpperCase() });
+      filterLines.forEach(line => params.append('filter', line));
+      const response = await fetch(`/api/screen?${params}`);
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.error || body.message || `Request failed: ${response.status}`);
+      setResult(body);
+    } catch (err) {
+      setError(`Error: ${err.message}`);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const exportScreen = async () => {
+    const workbook = generateScreenWorkbook(result);
+    await downloadWorkbook(workbook, `SEC_Screen_${result.period}_${new Date().toISOString().split('T')[0]}.xlsx`);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mb-16 border border-gray-200">
+      <div className="flex items-center space-x-3 mb-2">
+        <Filter className="w-6 h-6 text-blue-600" />
+        <h3 className="text-2xl font-bold text-gray-900">Screen All Filers</h3>
+      </div>
+      <p className="text-gray-600 mb-6">
+        Filter every XBRL filer on one calendar period. One filter per line: a line item or ratio, an operator and a
+        threshold, e.g. <code>revenues&gt;1B</code> or <code>netMargin&gt;20</code> (percentages in points).
+      </p>
+
+      <div className="grid grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Period</label>
+          <input
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            placeholder="CY2023"
+            disabled={running}
+            className="w-full p-3 border-2 border-gray-300 rounded-xl font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div className="col-span-3">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Filters</label>
+          <textarea
+            value={filters}
+            onChange={(e) => setFilters(e.target.value)}
+            rows={3}
+            disabled={running}
+            className="w-full p-3 border-2 border-gray-300 rounded-xl font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+      </div>
+
+      <button
+        onClick={runScreen}
+        disabled={running || filterLines.length === 0}
+        className="w-full mt-4 bg-gradient-to-r from-blue-600 to-purple-600 text-white py-3 px-6 rounded-xl hover:from-blue-700 hover:to-purple-700 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed flex items-center justify-center space-x-3 font-semibold transition-all duration-200 shadow-lg"
+      >
+        {running ? (
+          <>
+            <Loader className="w-5 h-5 animate-spin" />
+            <span>Screening...</span>
+          </>
+        ) : (
+          <>
+            <Filter className="w-5 h-5" />
+            <span>Run Screen</span>
+          </>
+        )}
+      </button>
+
+      {error && (
+        <div className="mt-4 p-4 bg-red-50 border-l-4 border-red-400 rounded-lg">
+          <div className="flex items-center">
+            <AlertCircle className="w-5 h-5 text-red-400 mr-3" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className="mt-6">
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm font-medium text-gray-700">
+              {result.total} companies pass • showing {result.results.length}
+            </p>
+            <button
+              onClick={exportScreen}
+              disabled={result.results.length === 0}
+              className="inline-flex items-center space-x-2 text-sm text-blue-700 hover:text-blue-900 disabled:text-gray-400"
+            >
+              <Download className="w-4 h-4" />
+              <span>Export to Excel</span>
+            </button>
+          </div>
+          <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-xs text-gray-500">
+                <tr>
+                  <th className="text-left font-medium px-3 py-2">#</th>
+                  <th className="text-left font-medium px-3 py-2">Company</th>
+                  {result.columns.map(column => (
+                    <th key={column.field} className="text-right font-medium px-3 py-2">{column.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {result.results.map(row => (
+                  <tr key={row.cik}>
+                    <td className="px-3 py-2 text-gray-500">{row.rank}</td>
+                    <td className="px-3 py-2">
+                      <span className="font-semibold text-gray-900">{row.ticker || row.cik}</span>
+                      <span className="ml-2 text-gray-600">{row.name}</span>
+                    </td>
+                    {result.columns.map(({ field, unit }) => (
+                      <td key={field} className="px-3 py-2 text-right text-gray-700">{formatValue(row.values[field], unit)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScreenPanel;
@@ -0,0 +1,120 @@
+import React from 'react';
+import { TrendingUp, TrendingDown } from 'lucide-react';
+
+// Headline lines shown with a sparkline: [statement, line, label]
+const TREND_LINES = [
+  ['incomeStatement', 'revenues', 'Revenue'],
+  ['incomeStatement', 'grossProfit', 'Gross Profit'],
+  ['incomeStatement', 'operatingIncome', 'Operating Income'],
+  ['incomeStatement', 'netIncome', 'Net Income'],
+  ['cashFlowStatement', 'operatingCashFlow', 'Operating Cash Flow'],
+  ['cashFlowStatement', 'freeCashFlow', 'Free Cash Flow'],
+  ['balanceSheet', 'totalAssets', 'Total Assets'],
+  ['balanceSheet', 'stockholdersEquity', 'Stockholders Equity']
+];
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(1)}%`);
+
+const percentClass = (value) => (value === null || value === undefined ? 'text-gray-400' : value >= 0 ? 'text-green-600' : 'text-red-600');
+
+// Inline SVG line over the values, oldest to newest; gaps (null) are skipped
+const Sparkline = ({ values, width = 96, height = 24 }) => {
+  const points = values.map((value, i) => [i, value]).filter(([, value]) => value !== null && value !== undefined);
+  if (points.length < 2) return <span className="text-xs text-gray-400">—</span>;
+
+  const min = Math.min(...points.map(([, value]) => value));
+  const max = Math.max(...points.map(([, value]) => value));
+  const x = (i) => (values.length > 1 ? (i / (values.length - 1)) * (width - 4) + 2 : width / 2);
+  const y = (value) => (max === min ? height / 2 : height - 2 - ((value - min) / (max - min)) * (height - 4));
+  const rising = points[points.length - 1][1] >= points[0][1];
+  const [lastIndex, lastValue] = points[points.length - 1];
+
+  return (
+    <svg width={width} height={height} className="inline-block" aria-hidden="true">
+      <polyline
+        points={points.map(([i, value]) => `${x(i)},${y(value)}`).join(' ')}
+        fill="none"
+        stroke={rising ? '#16a34a' : '#dc2626'}
+        strokeWidth="1.5"
+      />
+      <circle cx={x(lastIndex)} cy={y(lastValue)} r="2" fill={rising ? '#16a34a' : '#dc2626'} />
+    </svg>
+  );
+};
+
+const TrendPanel = ({ analytics, history }) => {
+  const fiscalYears = history?.fiscalYears || [];
+  if (!analytics || fiscalYears.length < 2) return null;
+
+  // Fiscal years run newest first; sparklines read left to right
+  const chronological = [...fiscalYears].reverse();
+  const [latestYear] = fiscalYears;
+  const cagrPeriods = Object.keys(analytics.growth.incomeStatement?.revenues?.cagr || {});
+
+  return (
+    <div className="mt-4 bg-gray-50 rounded-xl p-4 border border-gray-200">
+      <div className="flex items-center space-x-2 mb-2">
+        <TrendingUp className="w-5 h-5 text-blue-600" />
+        <span className="font-semibold text-gray-700">Growth & Trends</span>
+        <span className="text-xs text-gray-500">
+          FY{chronological[0]}–FY{latestYear} • see the Growth and Common Size sheets
+        </span>
+      </div>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-500">
+            <th className="text-left font-medium py-1"></th>
+            <th className="font-medium py-1"></th>
+            <th className="text-right font-medium py-1">YoY</th>
+            {cagrPeriods.map(years => (
+              <th key={years} className="text-right font-medium py-1">{years}Y CAGR</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {TREND_LINES.map(([statement, line, label]) => {
+            const growth = analytics.growth[statement]?.[line];
+            const series = history[statement]?.[line];
+            if (!growth || !series) return null;
+            return (
+              <tr key={line}>
+                <td className="py-1 text-gray-700">{label}</td>
+                <td className="py-1 text-center">
+                  <Sparkline values={chronological.map(year => series[year])} />
+                </td>
+                <td className={`py-1 text-right ${percentClass(growth.yoy[latestYear])}`}>{formatPercent(growth.yoy[latestYear])}</td>
+                {cagrPeriods.map(years => (
+                  <td key={years} className={`py-1 text-right ${percentClass(growth.cagr[years])}`}>{formatPercent(growth.cagr[years])}</td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="mt-3 grid grid-cols-2 gap-2">
+        {Object.entries(analytics.margins).map(([key, { label, values, change }]) => (
+          <div key={key} className="flex items-center justify-between bg-white rounded-lg px-3 py-2 border border-gray-100">
+            <div>
+              <div className="text-xs text-gray-500">{label}</div>
+              <div className="font-semibold text-gray-900">
+                {values[latestYear] === null ? '—' : `${values[latestYear].toFixed(1)}%`}
+              </div>
+            </div>
+            <div className="flex items-center space-x-2">
+              <Sparkline values={chronological.map(year => values[year])} width={64} />
+              {change !== null && (
+                <span className={`flex items-center text-xs ${percentClass(change)}`}>
+                  {change >= 0 ? <TrendingUp className="w-3 h-3 mr-0.5" /> : <TrendingDown className="w-3 h-3 mr-0.5" />}
+                  {change > 0 ? '+' : ''}{change.toFixed(1)} pts
+                </span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TrendPanel;
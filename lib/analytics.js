@@ -0,0 +1,91 @@
+// Growth and trend analytics over the annual history: YoY growth, CAGRs, common-size statements and margin trends.
+// Pure functions on statement tables, so the page, the workbook and the API share one definition.
+
+// Compound annual growth is reported over these spans (years)
+export const CAGR_PERIODS = [3, 5];
+
+// Common-size basis per statement: income and cash flow lines as a share of revenue, balance sheet lines of total assets
+export const COMMON_SIZE_BASIS = {
+  incomeStatement: ['incomeStatement', 'revenues'],
+  balanceSheet: ['balanceSheet', 'totalAssets'],
+  cashFlowStatement: ['incomeStatement', 'revenues']
+};
+
+// Margins followed across the window: [key, label, statement, line], each as a share of revenue
+export const MARGIN_TRENDS = [
+  ['grossMargin', 'Gross Margin', 'incomeStatement', 'grossProfit'],
+  ['operatingMargin', 'Operating Margin', 'incomeStatement', 'operatingIncome'],
+  ['netMargin', 'Net Margin', 'incomeStatement', 'netIncome'],
+  ['freeCashFlowMargin', 'Free Cash Flow Margin', 'cashFlowStatement', 'freeCashFlow']
+];
+
+const isNumber = (value) => value !== null && value !== undefined && !isNaN(value);
+
+const toPercent = (ratio) => (ratio === null || !isFinite(ratio) ? null : Number((ratio * 100).toFixed(2)));
+
+// Change against the prior value in percentage points. The denominator is the absolute prior value, so a loss
+// that narrows reads as growth; a zero or missing prior value gives null.
+export const growthRate = (current, previous) => {
+  if (!isNumber(current) || !isNumber(previous) || previous === 0) return null;
+  return toPercent((current - previous) / Math.abs(previous));
+};
+
+// Compound annual growth from `start` to `end` over `years`, in percentage points; only defined for positive values
+export const compoundGrowthRate = (end, start, years) => {
+  if (!isNumber(end) || !isNumber(start) || start <= 0 || end <= 0 || years <= 0) return null;
+  return toPercent(Math.pow(end / start, 1 / years) - 1);
+};
+
+const share = (value, basis) => (isNumber(value) && isNumber(basis) && basis !== 0 ? toPercent(value / basis) : null);
+
+// table: { [statement]: { [line]: { [fiscalYear]: value } } }, with values for up to max(CAGR_PERIODS) years before
+// the window so its oldest year has a YoY figure. fiscalYears: the window, newest first. skipCommonSize: lines with
+// no meaningful share of revenue or assets (per-share figures, share counts).
+// Returns {
+//   growth: { [statement]: { [line]: { yoy: { [year]: pct }, cagr: { [years]: pct } } } },  CAGRs to the latest year
+//   commonSize: { [statement]: { [line]: { [year]: pct } } },
+//   margins: { [key]: { label, values: { [year]: pct }, change } }  change in points from the oldest to the latest margin
+// }
+export const buildAnalytics = (table, fiscalYears, { skipCommonSize = [] } = {}) => {
+  const [latestYear] = fiscalYears;
+  const statements = Object.keys(COMMON_SIZE_BASIS);
+
+  const growth = Object.fromEntries(statements.map(statement => [
+    statement,
+    Object.fromEntries(Object.entries(table[statement] || {}).map(([line, byYear]) => [
+      line,
+      {
+        yoy: Object.fromEntries(fiscalYears.map(year => [year, growthRate(byYear[year], byYear[year - 1])])),
+        cagr: Object.fromEntries(CAGR_PERIODS.map(years => [
+          years,
+          compoundGrowthRate(byYear[latestYear], byYear[latestYear - years], years)
+        ]))
+      }
+    ]))
+  ]));
+
+  const commonSize = Object.fromEntries(statements.map(statement => {
+    const [basisStatement, basisLine] = COMMON_SIZE_BASIS[statement];
+    const basis = table[basisStatement]?.[basisLine] || {};
+    return [
+      statement,
+      Object.fromEntries(Object.entries(table[statement] || {})
+        .filter(([line]) => !skipCommonSize.includes(line))
+        .map(([line, byYear]) => [line, Object.fromEntries(fiscalYears.map(year => [year, share(byYear[year], basis[year])]))]))
+    ];
+  }));
+
+  const margins = Object.fromEntries(MARGIN_TRENDS.map(([key, label, statement, line]) => {
+    const values = Object.fromEntries(fiscalYears.map(year => [
+      year,
+      share(table[statement]?.[line]?.[year], table.incomeStatement?.revenues?.[year])
+    ]));
+    const reported = fiscalYears.filter(year => values[year] !== null);
+    const change = reported.length > 1
+      ? Number((values[reported[0]] - values[reported[reported.length - 1]]).toFixed(2))
+      : null;
+    return [key, { label, values, change }];
+  }));
+
+  return { growth, commonSize, margins };
+};
@@ -0,0 +1,343 @@
+// As-reported statements: the filing's own income statement, balance sheet and cash flow statement, rebuilt from its
+// presentation linkbase (lines, order, hierarchy), label linkbase (the company's wording) and XBRL instance (values),
+// with the calculation linkbase's summations checked against the reported subtotals.
+import { getFilingSource, findInstanceDocument, findLinkbaseDocuments } from './filing-documents';
+import { findLatestFiling } from './filings';
+import { parseXbrlInstance } from './xbrl-instance';
+import { parseRelationships, parseLabels, parseRoleDefinitions, roleName } from './xbrl-linkbase';
+import { loadConceptMapping } from './concept-mapping';
+
+// Statements: [key, label, anchor lines from the concept mapping, title pattern, title pattern counting against a role].
+// Roles are picked from the last statement to the first, each from the roles still unclaimed: the cash flow
+// statement (which starts from net income) and the balance sheet go before the income statement.
+export const AS_REPORTED_STATEMENTS = [
+  ['incomeStatement', 'Income Statement', ['netIncome', 'revenues'], /operations|income|earnings/i, /comprehensive|equity|stockholders|shareholders|partners|changes/i],
+  ['balanceSheet', 'Balance Sheet', ['totalAssets'], /balance\s*sheets?|financial\s*(position|condition)/i, null],
+  ['cashFlowStatement', 'Cash Flow Statement', ['operatingCashFlow'], /cash\s*flows?/i, null]
+];
+
+// Hypercube scaffolding in statement roles: tables and line items are looked through, axes (with their domains and
+// members) left out. The undimensioned statement is what they frame.
+const LOOK_THROUGH = /(Table|LineItems)$/;
+const LEFT_OUT = /Axis$/;
+
+// A period is a column when it has at least this share of the facts of the best-covered period; drops the odd
+// period that only a note-like line reports
+const COLUMN_SHARE = 0.3;
+
+const localName = (qname) => String(qname).split(':').pop();
+
+// Mapping concepts are unprefixed for us-gaap; linkbase concepts always carry their prefix
+const conceptMatches = (mapped, concept) => (mapped.includes(':') ? mapped === concept : concept === `us-gaap:${mapped}`);
+
+const daysBetween = (start, end) => (new Date(end) - new Date(start)) / 86400000;
+
+const dayBefore = (date) => new Date(new Date(date) - 86400000).toISOString().split('T')[0];
+
+// "OperatingIncomeLoss" -> "Operating Income Loss", for concepts the label linkbase does not cover
+const humanize = (concept) => localName(concept)
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2');
+
+// "Current assets: [Abstract]" and "Statement [Line Items]" read without the taxonomy's bracketed suffix
+const cleanLabel = (label) => label.replace(/\s*\[(Abstract|Line Items|Table)\]$/i, '').trim();
+
+const labelFor = (labels, concept, preferredLabel = null) => cleanLabel(
+  (preferredLabel && labels[concept]?.[preferredLabel]) || labels[concept]?.label || humanize(concept)
+);
+
+// Statement title from the schema's role definition ("0000004 - Statement - CONSOLIDATED BALANCE SHEETS"),
+// otherwise from the role URI (http://www.apple.com/role/CONSOLIDATEDBALANCESHEETS)
+const roleTitle = (role, definitions) => {
+  const definition = definitions[role];
+  return definition ? definition.replace(/^.*?-\s*Statement\s*-\s*/i, '').trim() : humanize(roleName(role));
+};
+
+// Statement roles in the filing's order: "- Statement -" in the role definition, or for roles the schema does not
+// define, any role whose URI does not name a note, policy or detail. Parenthetical roles only hold par values and
+// share counts.
+const statementRoles = (presentation, definitions) => {
+  const roles = [...new Set(presentation.map(relationship => relationship.role))];
+  return roles
+    .filter(role => {
+      const definition = definitions[role];
+      if (/parenthetical/i.test(`${role} ${definition || ''}`)) return false;
+      return definition
+        ? /-\s*Statement\s*-/i.test(definition)
+        : !/details|tables|policies|narrative|disclosure|notes?$/i.test(role);
+    })
+    .sort((a, b) => (definitions[a] || '').localeCompare(definitions[b] || ''));
+};
+
+// Choose the role presenting each statement: { [statement]: { role, title } } for those found.
+// presentation: parseRelationships output for the presentation linkbase; definitions: parseRoleDefinitions output.
+export const selectStatementRoles = (presentation, definitions = {}) => {
+  const { lineItems } = loadConceptMapping();
+  const conceptsByRole = {};
+  presentation.forEach(({ role, from, to }) => {
+    if (!conceptsByRole[role]) conceptsByRole[role] = new Set();
+    conceptsByRole[role].add(from).add(to);
+  });
+
+  const claimed = new Set();
+  const selected = {};
+  [...AS_REPORTED_STATEMENTS].reverse().forEach(([key, , anchorLines, titlePattern, penaltyPattern]) => {
+    const anchors = anchorLines.flatMap(line => lineItems[key]?.[line]?.concepts || []);
+    let best = null;
+    statementRoles(presentation, definitions).forEach(role => {
+      if (claimed.has(role)) return;
+      const concepts = [...conceptsByRole[role]];
+      if (!anchors.some(anchor => concepts.some(concept => conceptMatches(anchor, concept)))) return;
+      const title = roleTitle(role, definitions);
+      const score = (titlePattern.test(title) ? 2 : 0) - (penaltyPattern?.test(title) ? 1 : 0);
+      if (!best || score > best.score) best = { role, title, score };
+    });
+    if (best) {
+      claimed.add(best.role);
+      selected[key] = { role: best.role, title: best.title };
+    }
+  });
+  return selected;
+};
+
+// Concepts shown in one role, for trimming the label linkbase and instance down to what the statements need
+export const roleConcepts = (presentation, role) => new Set(
+  presentation.filter(relationship => relationship.role === role).flatMap(({ from, to }) => [from, to])
+);
+
+// The undimensioned facts of `concepts`, with their contexts: the slice of an instance the statements read
+export const statementFacts = (instance, concepts) => {
+  const facts = instance.facts.filter(fact => concepts.has(fact.concept) && instance.contexts[fact.contextRef].dimensions.length === 0);
+  const contextRefs = new Set(facts.map(fact => fact.contextRef));
+  return {
+    format: instance.format,
+    contexts: Object.fromEntries(Object.entries(instance.contexts).filter(([id]) => contextRefs.has(id))),
+    facts
+  };
+};
+
+const periodKey = (context) => (context.instant ? context.end : `${context.start}/${context.end}`);
+
+// Columns for one statement: the durations (income, cash flow) or instants (balance sheet) its lines are reported
+// for, shortest period first and newest first within a length, e.g. a 10-Q's three months then year to date
+const statementColumns = (facts) => {
+  const durations = facts.filter(fact => !fact.context.instant);
+  const instants = facts.filter(fact => fact.context.instant);
+  const pool = durations.length >= instants.length ? durations : instants;
+
+  const counts = new Map();
+  pool.forEach(({ context }) => {
+    const key = periodKey(context);
+    if (!counts.has(key)) counts.set(key, { context, count: 0 });
+    counts.get(key).count++;
+  });
+  const most = Math.max(0, ...[...counts.values()].map(({ count }) => count));
+
+  return [...counts.entries()]
+    .filter(([, { count }]) => count >= most * COLUMN_SHARE)
+    .map(([key, { context }]) => {
+      const months = context.instant ? null : Math.round(daysBetween(context.start, context.end) / 30.44);
+      return {
+        key,
+        start: context.start,
+        end: context.end,
+        instant: context.instant,
+        months,
+        label: context.instant ? `As of ${context.end}` : `${months} months ended ${context.end}`
+      };
+    })
+    .sort((a, b) => (a.months || 0) - (b.months || 0) || b.end.localeCompare(a.end));
+};
+
+// A line's fact in one column. Cash flow statements show cash balances (instants) in duration columns: at the start
+// of the period for a periodStartLabel line, at its end otherwise.
+const factFor = (factsByConcept, concept, column, preferredLabel = null) => {
+  const byPeriod = factsByConcept.get(concept);
+  if (!byPeriod) return null;
+  if (byPeriod.has(column.key)) return byPeriod.get(column.key);
+  if (column.instant) return null;
+  if (preferredLabel === 'periodStartLabel') return byPeriod.get(column.start) || byPeriod.get(dayBefore(column.start)) || null;
+  return byPeriod.get(column.end) || null;
+};
+
+// Rounding a fact's decimals allow for: 1234 million reported with decimals -6 is anywhere within half a million
+const roundingOf = (fact) => (fact.decimals === null || fact.decimals === 'INF' ? 0 : 0.5 * Math.pow(10, -Number(fact.decimals)));
+
+// Calculation linkbase summations for the statement's role (or, when the filer put them in another role, every
+// summation whose total is on the statement), checked per column the way XBRL 1.1 does: only where the total and at
+// least one contributing line are reported, missing lines counting as zero, within the rounding of the facts.
+const checkCalculations = (role, calculation, concepts, factsByConcept, columns, labels) => {
+  let arcs = calculation.filter(relationship => relationship.role === role);
+  if (arcs.length === 0) {
+    const seen = new Set();
+    arcs = calculation.filter(({ from, to }) => {
+      if (!concepts.has(from) || seen.has(`${from} ${to}`)) return false;
+      seen.add(`${from} ${to}`);
+      return true;
+    });
+  }
+
+  const summations = new Map();
+  arcs.forEach(arc => {
+    if (!summations.has(arc.from)) summations.set(arc.from, []);
+    summations.get(arc.from).push(arc);
+  });
+
+  const checks = [];
+  summations.forEach((items, concept) => {
+    columns.forEach(column => {
+      const total = factFor(factsByConcept, concept, column);
+      const parts = items
+        .map(item => ({ weight: item.weight ?? 1, fact: factFor(factsByConcept, item.to, column) }))
+        .filter(part => part.fact);
+      if (!total || parts.length === 0) return;
+
+      const computed = parts.reduce((sum, { weight, fact }) => sum + weight * fact.value, 0);
+      const tolerance = [total, ...parts.map(part => part.fact)].reduce((sum, fact) => sum + roundingOf(fact), 0);
+      const difference = total.value - computed;
+      checks.push({
+        concept,
+        label: labelFor(labels, concept, 'totalLabel'),
+        period: column.key,
+        reported: total.value,
+        computed,
+        difference,
+        contributions: parts.length,
+        // Floating-point slack for facts reported to the unit (decimals INF)
+        ok: Math.abs(difference) <= tolerance + 1e-6
+      });
+    });
+  });
+  return checks;
+};
+
+// One statement's lines in presentation order, depth-first from the role's roots
+const presentationRows = (role, presentation, labels, subtotals) => {
+  const arcs = presentation.filter(relationship => relationship.role === role);
+  const childrenOf = new Map();
+  arcs.forEach(arc => {
+    if (!childrenOf.has(arc.from)) childrenOf.set(arc.from, []);
+    childrenOf.get(arc.from).push(arc);
+  });
+  childrenOf.forEach(list => list.sort((a, b) => a.order - b.order));
+  const targets = new Set(arcs.map(arc => arc.to));
+  const roots = [...new Set(arcs.map(arc => arc.from))].filter(concept => !targets.has(concept));
+
+  const rows = [];
+  const visit = (concept, preferredLabel, depth, ancestors) => {
+    const name = localName(concept);
+    if (ancestors.has(concept) || LEFT_OUT.test(name)) return;
+    const path = new Set(ancestors).add(concept);
+    // The role's own heading ("Statement of Financial Position [Abstract]") is the sheet title, not a line
+    const lookThrough = LOOK_THROUGH.test(name) || (ancestors.size === 0 && /Abstract$/.test(name));
+    if (!lookThrough) {
+      rows.push({
+        concept,
+        label: labelFor(labels, concept, preferredLabel),
+        depth,
+        abstract: /Abstract$/.test(name),
+        total: preferredLabel === 'totalLabel' || subtotals.has(concept),
+        negated: /^negated/.test(preferredLabel || ''),
+        preferredLabel
+      });
+    }
+    (childrenOf.get(concept) || []).forEach(arc => visit(arc.to, arc.preferredLabel, lookThrough ? depth : depth + 1, path));
+  };
+  roots.forEach(root => visit(root, null, 0, new Set()));
+  return rows;
+};
+
+// Rebuild the selected statements: { [statement]: { label, role, title, columns: [{ key, start, end, instant, months,
+//   label }], rows: [{ concept, label, depth, abstract, total, negated, unit, values: { [column key]: value } }],
+//   checks: [{ concept, label, period, reported, computed, difference, contributions, ok }] } }
+// Values keep the XBRL sign; `negated` lines are shown with the sign flipped, as the filing presents them.
+export const buildAsReportedStatements = ({ selected, presentation, calculation = [], labels = {}, facts }) => {
+  const contexts = facts.contexts;
+  const factsByConcept = new Map();
+  facts.facts.forEach(fact => {
+    if (!factsByConcept.has(fact.concept)) factsByConcept.set(fact.concept, new Map());
+    const byPeriod = factsByConcept.get(fact.concept);
+    const key = periodKey(contexts[fact.contextRef]);
+    // Duplicate facts carry the same value; the first one stands
+    if (!byPeriod.has(key)) byPeriod.set(key, fact);
+  });
+
+  const statements = {};
+  AS_REPORTED_STATEMENTS.forEach(([key, label]) => {
+    if (!selected[key]) return;
+    const { role, title } = selected[key];
+    const concepts = roleConcepts(presentation, role);
+    const columns = statementColumns(
+      facts.facts.filter(fact => concepts.has(fact.concept)).map(fact => ({ ...fact, context: contexts[fact.contextRef] }))
+    );
+    const checks = checkCalculations(role, calculation, concepts, factsByConcept, columns, labels);
+    const subtotals = new Set(checks.map(check => check.concept));
+
+    const rows = presentationRows(role, presentation, labels, subtotals).map(({ preferredLabel, ...row }) => {
+      const values = {};
+      let unit = null;
+      columns.forEach(column => {
+        const fact = factFor(factsByConcept, row.concept, column, preferredLabel);
+        if (!fact) return;
+        values[column.key] = fact.value;
+        unit = unit || fact.unit;
+      });
+      return { ...row, unit, values };
+    });
+
+    statements[key] = { label, role, title, columns, rows, checks };
+  });
+  return statements;
+};
+
+// As-reported statements of one filing: { source: { accessionNumber, form, filingDate, documents, format, indexUrl },
+// statements }, or null when the filing has no presentation linkbase or instance. filing: a lib/filings entry.
+export const getFilingStatements = async (cik, filing, { cacheLog } = {}) => {
+  const source = getFilingSource();
+  const { accessionNumber } = filing;
+  const documents = await source.listDocuments(cik, accessionNumber, { cacheLog });
+  const linkbases = findLinkbaseDocuments(documents);
+  const instanceDocument = findInstanceDocument(documents, filing.primaryDocument);
+  if (!linkbases.presentation || !instanceDocument) return null;
+
+  // Only the parsed (and, for the large documents, trimmed) results are cached
+  const read = (name, cacheKey, parse) => (name
+    ? source.getDocument(cik, accessionNumber, name, { cacheKey: `${cacheKey}-${accessionNumber}`, parse, cacheLog })
+    : null);
+  const [presentationLinkbase, calculationLinkbase, definitions] = await Promise.all([
+    read(linkbases.presentation, 'presentation', parseRelationships),
+    read(linkbases.calculation, 'calculation', parseRelationships),
+    read(linkbases.schema, 'roles', parseRoleDefinitions)
+  ]);
+  const presentation = presentationLinkbase.filter(relationship => relationship.link === 'presentation');
+  const calculation = (calculationLinkbase || []).filter(relationship => relationship.link === 'calculation');
+
+  const selected = selectStatementRoles(presentation, definitions || {});
+  const roles = new Set(Object.values(selected).map(({ role }) => role));
+  const concepts = new Set([...roles].flatMap(role => [...roleConcepts(presentation, role)]));
+  // Lines a statement's summations add up, which the statement itself need not show
+  calculation
+    .filter(({ role, from }) => roles.has(role) || concepts.has(from))
+    .forEach(({ from, to }) => concepts.add(from).add(to));
+
+  const labels = await read(linkbases.label, 'statement-labels', text => parseLabels(text, concepts));
+  const facts = await read(instanceDocument.name, 'statement-facts', text => statementFacts(parseXbrlInstance(text), concepts));
+
+  return {
+    source: {
+      accessionNumber,
+      form: filing.form,
+      filingDate: filing.filingDate,
+      documents: { instance: instanceDocument.name, ...linkbases },
+      format: facts.format,
+      indexUrl: filing.indexUrl
+    },
+    statements: buildAsReportedStatements({ selected, presentation, calculation, labels: labels || {}, facts })
+  };
+};
+
+// As-reported statements from `sourceFiling` when given, otherwise from the latest 10-K (filed by asOf when set)
+export const getAsReportedStatements = async (cik, { sourceFiling = null, asOf = null, cacheLog } = {}) => {
+  const filing = sourceFiling || await findLatestFiling(cik, ['10-K'], { asOf, cacheLog });
+  return filing ? getFilingStatements(cik, filing, { cacheLog }) : null;
+};
@@ -0,0 +1,95 @@
+// Response cache for EDGAR resources: an in-memory LRU in front of an optional on-disk store.
+// Entries are { data, etag, lastModified, storedAt, meta }; freshness is decided by the caller.
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const cacheConfig = {
+  maxEntries: Number(process.env.SEC_CACHE_MAX_ENTRIES) || 64,
+  // Approximate size of the memory tier, measured as serialized JSON. Company facts run to tens of MB each.
+  maxBytes: Number(process.env.SEC_CACHE_MAX_BYTES) || 256 * 1024 * 1024,
+  // Unset = memory only. Set to a directory to keep entries across restarts.
+  dir: process.env.SEC_CACHE_DIR || null
+};
+
+// key -> { entry, bytes }. Map iteration order is insertion order, so re-inserting on read keeps the oldest entry first.
+const memory = new Map();
+let memoryBytes = 0;
+
+const forget = (key) => {
+  const held = memory.get(key);
+  if (!held) return;
+  memory.delete(key);
+  memoryBytes -= held.bytes;
+};
+
+// An entry larger than the whole memory tier is not held; it is served from disk (or downloaded) next time
+const touch = (key, entry, bytes) => {
+  forget(key);
+  if (bytes > cacheConfig.maxBytes) return;
+  memory.set(key, { entry, bytes });
+  memoryBytes += bytes;
+  while (memory.size > cacheConfig.maxEntries || memoryBytes > cacheConfig.maxBytes) {
+    forget(memory.keys().next().value);
+  }
+};
+
+const diskPath = (key) => path.join(cacheConfig.dir, `${key.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+
+// Returns { entry, bytes } or null
+const readDisk = async (key) => {
+  if (!cacheConfig.dir) return null;
+  try {
+    const text = await fs.readFile(diskPath(key), 'utf8');
+    return { entry: JSON.parse(text), bytes: text.length };
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Cache read failed for ${key}:`, error.message);
+    return null;
+  }
+};
+
+const writeDisk = async (key, text) => {
+  if (!cacheConfig.dir) return;
+  try {
+    await fs.mkdir(cacheConfig.dir, { recursive: true });
+    // Write-then-rename so a crash never leaves a truncated entry behind
+    const target = diskPath(key);
+    await fs.writeFile(`${target}.tmp`, text);
+    await fs.rename(`${target}.tmp`, target);
+  } catch (error) {
+    console.warn(`Cache write failed for ${key}:`, error.message);
+  }
+};
+
+// Returns { entry, source: 'memory' | 'disk' } or null
+export const getCached = async (key) => {
+  if (memory.has(key)) {
+    const { entry, bytes } = memory.get(key);
+    touch(key, entry, bytes);
+    return { entry, source: 'memory' };
+  }
+  const stored = await readDisk(key);
+  if (!stored) return null;
+  touch(key, stored.entry, stored.bytes);
+  return { entry: stored.entry, source: 'disk' };
+};
+
+export const setCached = async (key, entry) => {
+  const text = JSON.stringify(entry);
+  touch(key, entry, text.length);
+  await writeDisk(key, text);
+};
+
+export const clearMemoryCache = () => {
+  memory.clear();
+  memoryBytes = 0;
+};
+
+// Summarize per-resource cache outcomes for a response, e.g. "companyfacts=HIT, submissions=REVALIDATED".
+// X-Cache is HIT only when every resource was served without a full download.
+export const setCacheHeaders = (res, cacheLog) => {
+  const entries = Object.entries(cacheLog);
+  if (entries.length === 0) return;
+  const allHits = entries.every(([, status]) => status !== 'MISS');
+  res.setHeader('X-Cache', allHits ? 'HIT' : 'MISS');
+  res.setHeader('X-Cache-Detail', entries.map(([resource, status]) => `${resource}=${status}`).join(', '));
+};
@@ -0,0 +1,292 @@
+// Line item -> XBRL concept mapping used by the extraction. The mapping lives in lib/mappings/concepts.json;
+// SEC_CONCEPT_MAPPING_FILE points at a replacement file, read at startup, so mappings change without a deploy.
+import fs from 'fs';
+import bundledMapping from './mappings/concepts.json';
+
+export const STATEMENTS = ['incomeStatement', 'balanceSheet', 'cashFlowStatement'];
+export const LINE_ITEM_KINDS = ['flow', 'instant', 'perShare', 'shares'];
+
+// Companies whose SIC code matches no template are read as industrial / commercial filers
+export const DEFAULT_TEMPLATE = 'industrial';
+
+// Lines the extraction computes ratios and derived lines from; a mapping may add more, not drop these
+export const REQUIRED_LINE_ITEMS = {
+  incomeStatement: ['revenues', 'costOfRevenues', 'sga', 'rd', 'operatingIncome', 'netIncome', 'earningsPerShare', 'sharesOutstanding'],
+  balanceSheet: ['totalAssets', 'currentAssets', 'cashAndCashEquivalents', 'totalLiabilities', 'currentLiabilities', 'stockholdersEquity'],
+  cashFlowStatement: ['operatingCashFlow', 'investingCashFlow', 'financingCashFlow']
+};
+
+// "Revenues" is us-gaap; other taxonomies are prefixed, e.g. "dei:EntityCommonStockSharesOutstanding"
+const CONCEPT_PATTERN = /^([a-z][a-z0-9-]*:)?[A-Za-z][A-Za-z0-9_]*$/;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+export class ConceptMappingError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}: ${errors.join('; ')}` : message);
+    this.name = 'ConceptMappingError';
+    this.errors = errors;
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const validateConceptList = (list, path, errors) => {
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push(`${path} must be a non-empty array of concept names`);
+    return;
+  }
+  list.forEach((concept, i) => {
+    if (typeof concept !== 'string' || !CONCEPT_PATTERN.test(concept)) {
+      errors.push(`${path}[${i}] is not a valid concept name: ${JSON.stringify(concept)}`);
+    }
+  });
+};
+
+const validateUnitsAndKind = (spec, path, errors) => {
+  if (spec.units !== undefined && (typeof spec.units !== 'string' || !spec.units)) {
+    errors.push(`${path}.units must be a unit string such as "USD" or "shares"`);
+  }
+  if (spec.kind !== undefined && !LINE_ITEM_KINDS.includes(spec.kind)) {
+    errors.push(`${path}.kind must be one of: ${LINE_ITEM_KINDS.join(', ')}`);
+  }
+};
+
+// A change to an existing chain: replace it (`concepts`) or add to it (`prepend` / `append`)
+const validateLineOverride = (spec, path, errors) => {
+  if (!isObject(spec) || !['concepts', 'prepend', 'append'].some(key => spec[key] !== undefined)) {
+    errors.push(`${path} needs concepts, prepend or append`);
+    return;
+  }
+  if (spec.concepts !== undefined) validateConceptList(spec.concepts, `${path}.concepts`, errors);
+  if (spec.prepend !== undefined) validateConceptList(spec.prepend, `${path}.prepend`, errors);
+  if (spec.append !== undefined) validateConceptList(spec.append, `${path}.append`, errors);
+  validateUnitsAndKind(spec, path, errors);
+};
+
+// Overrides only touch line items that the base mapping or some industry template defines
+const validateOverride = (override, path, knownLines, errors) => {
+  if (!isObject(override) || !isObject(override.lineItems)) {
+    errors.push(`${path}.lineItems must be an object`);
+    return;
+  }
+  Object.entries(override.lineItems).forEach(([statement, lines]) => {
+    if (!isObject(lines) || !STATEMENTS.includes(statement)) {
+      errors.push(`${path}.lineItems.${statement} is not a known statement`);
+      return;
+    }
+    Object.entries(lines).forEach(([line, spec]) => {
+      const linePath = `${path}.lineItems.${statement}.${line}`;
+      if (!knownLines[statement].has(line)) {
+        errors.push(`${linePath} is not a line item of the mapping`);
+        return;
+      }
+      validateLineOverride(spec, linePath, errors);
+    });
+  });
+};
+
+// Templates add their own line items and may adjust base chains; `sic` lists inclusive [from, to] ranges
+const validateTemplate = (template, path, baseLineItems, errors) => {
+  if (!isObject(template)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (typeof template.label !== 'string' || !template.label) errors.push(`${path}.label must be a string`);
+  const ranges = template.sic;
+  if (!Array.isArray(ranges) || ranges.length === 0 || !ranges.every(range =>
+    Array.isArray(range) && range.length === 2 && range.every(Number.isInteger) && range[0] <= range[1])) {
+    errors.push(`${path}.sic must be a non-empty array of [from, to] SIC ranges`);
+  }
+  if (!isObject(template.lineItems)) {
+    errors.push(`${path}.lineItems must be an object`);
+    return;
+  }
+  Object.entries(template.lineItems).forEach(([statement, lines]) => {
+    if (!isObject(lines) || !STATEMENTS.includes(statement)) {
+      errors.push(`${path}.lineItems.${statement} is not a known statement`);
+      return;
+    }
+    Object.entries(lines).forEach(([line, spec]) => {
+      const linePath = `${path}.lineItems.${statement}.${line}`;
+      if (baseLineItems?.[statement]?.[line]) {
+        validateLineOverride(spec, linePath, errors);
+      } else if (!isObject(spec)) {
+        errors.push(`${linePath} must be an object`);
+      } else {
+        validateConceptList(spec.concepts, `${linePath}.concepts`, errors);
+        validateUnitsAndKind(spec, linePath, errors);
+      }
+    });
+  });
+};
+
+// Returns a list of problems; an empty list means the mapping is usable
+export const validateConceptMapping = (mapping) => {
+  const errors = [];
+  if (!isObject(mapping)) return ['mapping must be a JSON object'];
+
+  if (typeof mapping.version !== 'string' || !VERSION_PATTERN.test(mapping.version)) {
+    errors.push('version must be a semantic version string, e.g. "1.2.0"');
+  }
+
+  if (!isObject(mapping.lineItems)) {
+    errors.push('lineItems must be an object');
+  } else {
+    Object.keys(mapping.lineItems).forEach(statement => {
+      if (!STATEMENTS.includes(statement)) errors.push(`lineItems.${statement} is not a known statement`);
+    });
+    STATEMENTS.forEach(statement => {
+      const lines = mapping.lineItems[statement];
+      if (!isObject(lines)) {
+        errors.push(`lineItems.${statement} must be an object`);
+        return;
+      }
+      REQUIRED_LINE_ITEMS[statement].forEach(line => {
+        if (!lines[line]) errors.push(`lineItems.${statement}.${line} is required`);
+      });
+      Object.entries(lines).forEach(([line, spec]) => {
+        const path = `lineItems.${statement}.${line}`;
+        if (!isObject(spec)) {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+        validateConceptList(spec.concepts, `${path}.concepts`, errors);
+        validateUnitsAndKind(spec, path, errors);
+      });
+    });
+  }
+
+  // Every line name any template defines, so overrides can target template lines too
+  const knownLines = Object.fromEntries(STATEMENTS.map(statement => [
+    statement,
+    new Set(Object.keys(isObject(mapping.lineItems?.[statement]) ? mapping.lineItems[statement] : {}))
+  ]));
+
+  if (mapping.templates !== undefined) {
+    if (!isObject(mapping.templates)) {
+      errors.push('templates must be an object');
+    } else {
+      Object.entries(mapping.templates).forEach(([name, template]) => {
+        const path = `templates.${name}`;
+        if (!/^[a-z][a-zA-Z]*$/.test(name) || name === DEFAULT_TEMPLATE) {
+          errors.push(`${path} must be a camelCase name other than "${DEFAULT_TEMPLATE}"`);
+        }
+        validateTemplate(template, path, mapping.lineItems, errors);
+        Object.entries(isObject(template?.lineItems) ? template.lineItems : {}).forEach(([statement, lines]) => {
+          if (knownLines[statement] && isObject(lines)) Object.keys(lines).forEach(line => knownLines[statement].add(line));
+        });
+      });
+    }
+  }
+
+  if (mapping.overrides !== undefined) {
+    if (!isObject(mapping.overrides)) {
+      errors.push('overrides must be an object');
+    } else {
+      Object.entries(mapping.overrides).forEach(([scope, entries]) => {
+        if (!['sic', 'cik'].includes(scope) || !isObject(entries)) {
+          errors.push(`overrides.${scope} must be one of: sic, cik`);
+          return;
+        }
+        Object.entries(entries).forEach(([key, override]) => {
+          const path = `overrides.${scope}.${key}`;
+          if (!/^\d+$/.test(key)) errors.push(`${path} must be keyed by a numeric ${scope.toUpperCase()}`);
+          validateOverride(override, path, knownLines, errors);
+        });
+      });
+    }
+  }
+
+  return errors;
+};
+
+let loadedMapping = null;
+
+// Load and validate the mapping once per process. Throws ConceptMappingError when it is unusable.
+export const loadConceptMapping = () => {
+  if (loadedMapping) return loadedMapping;
+
+  let mapping = bundledMapping;
+  const file = process.env.SEC_CONCEPT_MAPPING_FILE;
+  if (file) {
+    try {
+      mapping = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new ConceptMappingError(`Cannot read concept mapping ${file}: ${error.message}`);
+    }
+  }
+
+  const errors = validateConceptMapping(mapping);
+  if (errors.length > 0) {
+    throw new ConceptMappingError(`Invalid concept mapping${file ? ` ${file}` : ''}`, errors);
+  }
+
+  loadedMapping = mapping;
+  return loadedMapping;
+};
+
+// Industry template for a SIC code, e.g. 6021 (national commercial banks) -> 'bank'
+export const detectIndustryTemplate = (mapping, sic) => {
+  const code = Number(sic);
+  if (!sic || isNaN(code)) return DEFAULT_TEMPLATE;
+  const match = Object.entries(mapping.templates || {})
+    .find(([, template]) => template.sic.some(([from, to]) => code >= from && code <= to));
+  return match ? match[0] : DEFAULT_TEMPLATE;
+};
+
+const applyLineOverride = (target, spec) => {
+  const concepts = spec.concepts ? [...spec.concepts] : target.concepts;
+  target.concepts = [...new Set([...(spec.prepend || []), ...concepts, ...(spec.append || [])])];
+  if (spec.units) target.units = spec.units;
+  if (spec.kind) target.kind = spec.kind;
+};
+
+// Base chains, then the industry template for the SIC code, then the SIC override, then the company's own (CIK) override.
+// Returns { version, template: { key, label }, overrides: ['sic:6798', ...],
+//   lineItems: { statement: { line: { concepts, units?, kind? } } } }
+export const resolveConceptMapping = (mapping, { cik, sic } = {}) => {
+  const lineItems = Object.fromEntries(Object.entries(mapping.lineItems).map(([statement, lines]) => [
+    statement,
+    Object.fromEntries(Object.entries(lines).map(([line, spec]) => [line, { ...spec, concepts: [...spec.concepts] }]))
+  ]));
+
+  const templateKey = detectIndustryTemplate(mapping, sic);
+  const template = mapping.templates?.[templateKey];
+  Object.entries(template?.lineItems || {}).forEach(([statement, lines]) => {
+    Object.entries(lines).forEach(([line, spec]) => {
+      if (lineItems[statement][line]) {
+        applyLineOverride(lineItems[statement][line], spec);
+      } else {
+        lineItems[statement][line] = { ...spec, concepts: [...spec.concepts] };
+      }
+    });
+  });
+
+  const applied = [];
+  const candidates = [
+    ['sic', sic ? String(Number(sic)) : null],
+    ['cik', cik ? String(Number(cik)) : null]
+  ];
+
+  candidates.forEach(([scope, key]) => {
+    const entries = mapping.overrides?.[scope] || {};
+    // Keys may be written with or without leading zeros
+    const match = Object.keys(entries).find(k => key !== null && String(Number(k)) === key);
+    if (!match) return;
+
+    Object.entries(entries[match].lineItems).forEach(([statement, lines]) => {
+      Object.entries(lines).forEach(([line, spec]) => {
+        // Lines of other industry templates do not exist for this filer
+        if (lineItems[statement][line]) applyLineOverride(lineItems[statement][line], spec);
+      });
+    });
+    applied.push(`${scope}:${key}`);
+  });
+
+  return {
+    version: mapping.version,
+    template: { key: templateKey, label: template?.label || 'Industrial / Commercial' },
+    overrides: applied,
+    lineItems
+  };
+};
@@ -0,0 +1,385 @@
+// Shared SEC EDGAR client: one rate limiter, retry policy and User-Agent for every API route.
+// SEC asks for a descriptive User-Agent with contact details and allows at most 10 requests/second.
+import { getCached, setCached } from './cache';
+import { readDocument, readTickerFiles, LocalStoreError } from './local-store';
+
+const DEFAULT_USER_AGENT = 'SEC Converter support@example.com';
+
+// A non-negative whole number from the environment; explicit 0 is kept, unset or malformed values fall back
+const envCount = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value.trim() !== '' && Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+export const config = {
+  userAgent: process.env.SEC_USER_AGENT || DEFAULT_USER_AGENT,
+  dataBaseUrl: (process.env.SEC_DATA_BASE_URL || 'https://data.sec.gov').replace(/\/$/, ''),
+  wwwBaseUrl: (process.env.SEC_WWW_BASE_URL || 'https://www.sec.gov').replace(/\/$/, ''),
+  requestsPerSecond: Number(process.env.SEC_MAX_REQUESTS_PER_SECOND) || 10,
+  timeoutMs: Number(process.env.SEC_REQUEST_TIMEOUT_MS) || 15000,
+  maxRetries: envCount(process.env.SEC_MAX_RETRIES, 3),
+  // 'edgar' (live) or 'local': company facts, submissions and ticker lists from the store filled by npm run ingest
+  dataSource: process.env.SEC_DATA_SOURCE || 'edgar'
+};
+
+export const DATA_SOURCES = ['edgar', 'local'];
+
+if (config.userAgent === DEFAULT_USER_AGENT) {
+  console.warn('⚠️  SEC_USER_AGENT is not set. SEC requires a real contact, e.g. "Acme Research ops@acme.com".');
+}
+
+// ERRORS: each carries the HTTP status the API routes should answer with
+
+export class EdgarError extends Error {
+  constructor(message, { status = 502, upstreamStatus = null, url = null } = {}) {
+    super(message);
+    this.name = 'EdgarError';
+    this.status = status;
+    this.upstreamStatus = upstreamStatus;
+    this.url = url;
+  }
+}
+
+// The requested company or document does not exist on EDGAR
+export class EdgarNotFoundError extends EdgarError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 404 });
+    this.name = 'EdgarNotFoundError';
+  }
+}
+
+// SEC kept throttling us after all retries
+export class EdgarRateLimitError extends EdgarError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 503 });
+    this.name = 'EdgarRateLimitError';
+  }
+}
+
+// No response within the configured timeout
+export class EdgarTimeoutError extends EdgarError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 504 });
+    this.name = 'EdgarTimeoutError';
+  }
+}
+
+// SEC_DATA_SOURCE=local is set and the resource is not part of the local store, so it would have to come from SEC
+export class EdgarOfflineError extends EdgarError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 503 });
+    this.name = 'EdgarOfflineError';
+  }
+}
+
+// SEC answered with a 5xx, an unexpected status or a body that is not valid JSON
+export class EdgarUpstreamError extends EdgarError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 502 });
+    this.name = 'EdgarUpstreamError';
+  }
+}
+
+// Map any error to a JSON error response. EDGAR errors carry their status; an unset, missing or outdated local
+// store answers 503, like SEC being unavailable. Anything else is a 500.
+export const sendError = (res, error, message) => {
+  let status = 500;
+  if (error instanceof EdgarError) {
+    status = error.status;
+  } else if (error instanceof LocalStoreError) {
+    status = 503;
+  }
+  return res.status(status).json({
+    message,
+    error: error.message,
+    ...(error.upstreamStatus && { upstreamStatus: error.upstreamStatus })
+  });
+};
+
+// RATE LIMITING: a process-wide token bucket shared by all routes
+
+const bucket = {
+  tokens: config.requestsPerSecond,
+  lastRefill: Date.now()
+};
+let queue = Promise.resolve();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const takeToken = async () => {
+  for (;;) {
+    const now = Date.now();
+    const elapsed = (now - bucket.lastRefill) / 1000;
+    bucket.tokens = Math.min(config.requestsPerSecond, bucket.tokens + elapsed * config.requestsPerSecond);
+    bucket.lastRefill = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return;
+    }
+    await sleep(Math.ceil(((1 - bucket.tokens) / config.requestsPerSecond) * 1000));
+  }
+};
+
+// Callers wait their turn in FIFO order so a burst cannot starve earlier requests
+const acquireToken = () => {
+  const turn = queue.then(takeToken);
+  queue = turn.catch(() => {});
+  return turn;
+};
+
+// REQUESTS
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Exponential backoff with jitter; a Retry-After header from SEC takes precedence
+const backoffDelay = (attempt, retryAfter) => {
+  const retryAfterSeconds = Number(retryAfter);
+  if (retryAfterSeconds > 0) return retryAfterSeconds * 1000;
+  return Math.min(500 * 2 ** attempt, 8000) + Math.floor(Math.random() * 250);
+};
+
+const fetchWithTimeout = async (url, options) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new EdgarTimeoutError(`SEC request timed out after ${config.timeoutMs}ms`, { url });
+    }
+    throw new EdgarUpstreamError(`SEC request failed: ${error.message}`, { url });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Rate-limited, retrying GET against EDGAR. Returns the raw Response for successful (2xx/304) requests.
+export const edgarRequest = async (url, { headers = {}, accept = 'application/json' } = {}) => {
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
+    await acquireToken();
+
+    let response;
+    try {
+      response = await fetchWithTimeout(url, {
+        headers: {
+          'User-Agent': config.userAgent,
+          'Accept': accept,
+          ...headers
+        }
+      });
+    } catch (error) {
+      lastError = error;
+      if (attempt < config.maxRetries) await sleep(backoffDelay(attempt));
+      continue;
+    }
+
+    if (response.ok || response.status === 304) return response;
+
+    if (response.status === 404) {
+      throw new EdgarNotFoundError(`Not found on SEC EDGAR: ${url}`, { upstreamStatus: 404, url });
+    }
+
+    if (!isRetryableStatus(response.status)) {
+      throw new EdgarUpstreamError(`SEC API error: ${response.status}`, { upstreamStatus: response.status, url });
+    }
+
+    lastError = response.status === 429
+      ? new EdgarRateLimitError('SEC rate limit exceeded', { upstreamStatus: 429, url })
+      : new EdgarUpstreamError(`SEC API error: ${response.status}`, { upstreamStatus: response.status, url });
+
+    if (attempt < config.maxRetries) {
+      console.warn(`SEC returned ${response.status} for ${url}, retrying (${attempt + 1}/${config.maxRetries})`);
+      await sleep(backoffDelay(attempt, response.headers.get('retry-after')));
+    }
+  }
+
+  throw lastError;
+};
+
+export const edgarFetchJson = async (url, options) => {
+  const response = await edgarRequest(url, options);
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new EdgarUpstreamError(`Invalid JSON from SEC: ${error.message}`, { url });
+  }
+};
+
+// CACHING: per-resource TTLs plus conditional requests (ETag / Last-Modified) once an entry goes stale
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const CACHE_TTLS = {
+  tickers: 24 * HOUR_MS, // SEC regenerates the ticker files daily
+  submissions: 0.25 * HOUR_MS,
+  submissionsArchive: 7 * 24 * HOUR_MS, // Older filings paged out of submissions.recent
+  companyfacts: 7 * 24 * HOUR_MS, // Upper bound; a newer filing in submissions invalidates earlier
+  frames: 24 * HOUR_MS, // Frames gain filers as late filings come in
+  filingDocuments: 30 * 24 * HOUR_MS // An accepted filing never changes
+};
+
+const inFlight = new Map();
+
+// GET a JSON resource through the cache. Outcomes are recorded in `cacheLog[resource]`:
+// HIT / HIT-DISK (fresh), REVALIDATED (304), MISS (downloaded), SHARED (joined an in-flight download),
+// STALE (SEC failed, previous copy served).
+// Non-JSON resources pass `accept` and a `parse(response)` that turns the body into something JSON-serializable.
+export const edgarFetchCachedJson = async (key, url, {
+  resource = key,
+  ttlMs,
+  isStillValid = () => true,
+  meta = {},
+  cacheLog,
+  accept = 'application/json',
+  parse = (response) => response.json()
+} = {}) => {
+  const record = (status) => {
+    if (cacheLog) cacheLog[resource] = status;
+  };
+
+  const cached = await getCached(key);
+  if (cached && Date.now() - cached.entry.storedAt < ttlMs && isStillValid(cached.entry)) {
+    record(cached.source === 'disk' ? 'HIT-DISK' : 'HIT');
+    return cached.entry.data;
+  }
+
+  if (inFlight.has(key)) {
+    record('SHARED');
+    return inFlight.get(key);
+  }
+
+  const load = async () => {
+    const entry = cached?.entry;
+    const headers = {};
+    if (entry?.etag) headers['If-None-Match'] = entry.etag;
+    if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+    try {
+      const response = await edgarRequest(url, { headers, accept });
+
+      if (response.status === 304 && entry) {
+        await setCached(key, { ...entry, storedAt: Date.now(), meta });
+        record('REVALIDATED');
+        return entry.data;
+      }
+
+      let data;
+      try {
+        data = await parse(response);
+      } catch (error) {
+        throw new EdgarUpstreamError(`Invalid response from SEC: ${error.message}`, { url });
+      }
+      await setCached(key, {
+        data,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        storedAt: Date.now(),
+        meta
+      });
+      record('MISS');
+      return data;
+    } catch (error) {
+      // A stale copy beats an error page, except when the resource is gone
+      if (entry && !(error instanceof EdgarNotFoundError)) {
+        console.warn(`Serving stale ${resource} after SEC error: ${error.message}`);
+        record('STALE');
+        return entry.data;
+      }
+      throw error;
+    }
+  };
+
+  const pending = load().finally(() => inFlight.delete(key));
+  inFlight.set(key, pending);
+  return pending;
+};
+
+// LOCAL STORE: the same documents from the ingested bulk archives (lib/local-store), recorded as LOCAL in cacheLog
+
+export const isLocalDataSource = () => {
+  if (!DATA_SOURCES.includes(config.dataSource)) {
+    throw new Error(`Unknown SEC_DATA_SOURCE "${config.dataSource}" (expected ${DATA_SOURCES.join(' or ')})`);
+  }
+  return config.dataSource === 'local';
+};
+
+const readLocal = async (collection, name, { resource = collection, cacheLog }) => {
+  const data = await readDocument(collection, name);
+  if (!data) throw new EdgarNotFoundError(`${name} is not in the local ${collection} store`);
+  if (cacheLog) cacheLog[resource] = 'LOCAL';
+  return data;
+};
+
+const readLocalTickers = async (resource, { cacheLog }) => {
+  const files = await readTickerFiles();
+  if (cacheLog) cacheLog[resource] = 'LOCAL';
+  return files[resource];
+};
+
+// ENDPOINTS
+
+export const padCik = (cik) => String(cik).replace(/^CIK/i, '').padStart(10, '0');
+
+// Acceptance timestamp of the newest filing listed in a submissions document
+export const getLatestFilingTimestamp = (submissions) => {
+  const accepted = submissions?.filings?.recent?.acceptanceDateTime || [];
+  return accepted.reduce((latest, value) => (value > latest ? value : latest), '') || null;
+};
+
+export const getCompanyTickers = ({ cacheLog } = {}) => (isLocalDataSource()
+  ? readLocalTickers('tickers', { cacheLog })
+  : edgarFetchCachedJson(
+    'company_tickers',
+    `${config.wwwBaseUrl}/files/company_tickers.json`,
+    { resource: 'tickers', ttlMs: CACHE_TTLS.tickers, cacheLog }
+  ));
+
+// Same companies with their listing exchange, as { fields, data: [[cik, name, ticker, exchange], ...] }
+export const getCompanyTickersExchange = ({ cacheLog } = {}) => (isLocalDataSource()
+  ? readLocalTickers('tickersExchange', { cacheLog })
+  : edgarFetchCachedJson(
+    'company_tickers_exchange',
+    `${config.wwwBaseUrl}/files/company_tickers_exchange.json`,
+    { resource: 'tickersExchange', ttlMs: CACHE_TTLS.tickers, cacheLog }
+  ));
+
+export const getSubmissions = (cik, { cacheLog } = {}) => (isLocalDataSource()
+  ? readLocal('submissions', `CIK${padCik(cik)}.json`, { cacheLog })
+  : edgarFetchCachedJson(
+    `submissions-${padCik(cik)}`,
+    `${config.dataBaseUrl}/submissions/CIK${padCik(cik)}.json`,
+    { resource: 'submissions', ttlMs: CACHE_TTLS.submissions, cacheLog }
+  ));
+
+// Older filings beyond `filings.recent`, by file name from `filings.files` (e.g. CIK0000320193-submissions-001.json)
+export const getSubmissionsArchive = (name, { cacheLog } = {}) => (isLocalDataSource()
+  ? readLocal('submissions', name, { resource: 'submissionsArchive', cacheLog })
+  : edgarFetchCachedJson(
+    `submissions-archive-${name}`,
+    `${config.dataBaseUrl}/submissions/${encodeURIComponent(name)}`,
+    { resource: 'submissionsArchive', ttlMs: CACHE_TTLS.submissionsArchive, cacheLog }
+  ));
+
+// Company facts only change when the company files, so the cached copy stays valid
+// until submissions lists a filing newer than the one seen when it was stored.
+// Callers that already hold the submissions document pass it in to skip the lookup.
+export const getCompanyFacts = async (cik, { cacheLog, submissions } = {}) => {
+  if (isLocalDataSource()) return readLocal('companyfacts', `CIK${padCik(cik)}.json`, { cacheLog });
+
+  const latestFiling = getLatestFilingTimestamp(submissions || await getSubmissions(cik, { cacheLog }));
+
+  return edgarFetchCachedJson(
+    `companyfacts-${padCik(cik)}`,
+    `${config.dataBaseUrl}/api/xbrl/companyfacts/CIK${padCik(cik)}.json`,
+    {
+      resource: 'companyfacts',
+      ttlMs: CACHE_TTLS.companyfacts,
+      isStillValid: (entry) => !latestFiling || (entry.meta?.latestFiling || '') >= latestFiling,
+      meta: { latestFiling },
+      cacheLog
+    }
+  );
+};
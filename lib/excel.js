@@ -0,0 +1,1172 @@
+// Native .xlsx workbook generation for SEC extracts
+import ExcelJS from 'exceljs';
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Number formats: negatives in parentheses, the way analysts read statements
+const FORMATS = {
+  usd: '#,##0;(#,##0)',
+  perShare: '#,##0.00;(#,##0.00)',
+  shares: '#,##0',
+  percent: '0.00%',
+  multiple: '0.00"x"',
+  days: '0.0'
+};
+
+// Percent figures in the response are percentage points (43.3 = 43.3%); cells hold fractions under the % format
+const percentToFraction = (value) => (value === null || value === undefined ? null : value / 100);
+
+// Statement layouts: [key in secData.history, label, format]. `null` keys are section headings.
+const INCOME_STATEMENT_ROWS = [
+  ['revenues', 'Revenue', 'usd'],
+  ['costOfRevenues', 'Cost of Revenue', 'usd'],
+  ['grossProfit', 'Gross Profit', 'usd'],
+  ['sga', 'Selling General & Admin', 'usd'],
+  ['rd', 'Research & Development', 'usd'],
+  ['totalOperatingExpenses', 'Total Operating Expenses', 'usd'],
+  ['operatingIncome', 'Operating Income', 'usd'],
+  ['depreciationAndAmortization', 'Depreciation & Amortization', 'usd'],
+  ['interestExpense', 'Interest Expense', 'usd'],
+  ['pretaxIncome', 'Pretax Income', 'usd'],
+  ['incomeTaxExpense', 'Income Tax Expense', 'usd'],
+  ['netIncome', 'Net Income', 'usd'],
+  ['earningsPerShare', 'Earnings Per Share', 'perShare'],
+  ['sharesOutstanding', 'Shares Outstanding', 'shares']
+];
+
+const BALANCE_SHEET_ROWS = [
+  [null, 'ASSETS'],
+  ['currentAssets', 'Current Assets', 'usd'],
+  ['cashAndCashEquivalents', 'Cash and Cash Equivalents', 'usd'],
+  ['accountsReceivable', 'Accounts Receivable', 'usd'],
+  ['inventory', 'Inventory', 'usd'],
+  ['totalAssets', 'Total Assets', 'usd'],
+  [null, 'LIABILITIES'],
+  ['accountsPayable', 'Accounts Payable', 'usd'],
+  ['currentLiabilities', 'Current Liabilities', 'usd'],
+  ['shortTermDebt', 'Short-Term Debt', 'usd'],
+  ['longTermDebt', 'Long-Term Debt', 'usd'],
+  ['totalLiabilities', 'Total Liabilities', 'usd'],
+  [null, 'EQUITY'],
+  ['stockholdersEquity', 'Stockholders Equity', 'usd'],
+  ['temporaryEquity', 'Temporary Equity', 'usd'],
+  ['noncontrollingInterest', 'Noncontrolling Interest', 'usd'],
+  ['workingCapital', 'Working Capital', 'usd']
+];
+
+const CASH_FLOW_ROWS = [
+  ['operatingCashFlow', 'Operating Cash Flow', 'usd'],
+  ['investingCashFlow', 'Investing Cash Flow', 'usd'],
+  ['financingCashFlow', 'Financing Cash Flow', 'usd'],
+  ['effectOfExchangeRate', 'Effect of Exchange Rates', 'usd'],
+  ['netChangeInCash', 'Net Change in Cash', 'usd'],
+  ['freeCashFlow', 'Free Cash Flow', 'usd']
+];
+
+// Extra rows for industry templates (metadata.industryTemplate.key), appended to the standard layouts
+const TEMPLATE_ROWS = {
+  bank: {
+    incomeStatement: [
+      [null, 'BANKING'],
+      ['interestIncome', 'Interest Income', 'usd'],
+      ['netInterestIncome', 'Net Interest Income', 'usd'],
+      ['noninterestIncome', 'Noninterest Income', 'usd'],
+      ['noninterestExpense', 'Noninterest Expense', 'usd'],
+      ['provisionForCreditLosses', 'Provision for Credit Losses', 'usd']
+    ],
+    balanceSheet: [
+      [null, 'BANKING'],
+      ['loans', 'Loans, Net', 'usd'],
+      ['deposits', 'Deposits', 'usd']
+    ]
+  },
+  insurance: {
+    incomeStatement: [
+      [null, 'INSURANCE'],
+      ['premiumsEarned', 'Premiums Earned', 'usd'],
+      ['lossesAndLossAdjustmentExpenses', 'Losses & Loss Adjustment Expenses', 'usd'],
+      ['policyAcquisitionCosts', 'Policy Acquisition Costs', 'usd'],
+      ['otherUnderwritingExpenses', 'Other Underwriting Expenses', 'usd'],
+      ['netInvestmentIncome', 'Net Investment Income', 'usd']
+    ]
+  },
+  reit: {
+    incomeStatement: [
+      [null, 'REAL ESTATE'],
+      ['gainOnSaleOfRealEstate', 'Gain on Sale of Real Estate', 'usd'],
+      ['impairmentOfRealEstate', 'Impairment of Real Estate', 'usd'],
+      ['fundsFromOperations', 'Funds From Operations (FFO)', 'usd']
+    ]
+  }
+};
+
+const getTemplateRows = (secData, statement) => TEMPLATE_ROWS[secData.metadata?.industryTemplate?.key]?.[statement] || [];
+
+// Balance sheet lines are averaged with the prior year end, as in lib/ratios.js; AVERAGE skips the blank prior
+// column of the oldest year, which leaves the closing balance
+const averageBalance = (ref, prior, key) => `AVERAGE(${ref('bs', key)},${prior('bs', key)})`;
+const totalDebt = (ref) => `(${ref('bs', 'shortTermDebt')}+${ref('bs', 'longTermDebt')})`;
+const investedCapital = (ref) => `(${totalDebt(ref)}+${ref('bs', 'stockholdersEquity')}-${ref('bs', 'cashAndCashEquivalents')})`;
+const taxRate = (ref) => `(${ref('is', 'incomeTaxExpense')}/${ref('is', 'pretaxIncome')})`;
+const ebitda = (ref) => `(${ref('is', 'operatingIncome')}+${ref('is', 'depreciationAndAmortization')})`;
+const daysOutstanding = (ref, prior, balance, flow) => `${averageBalance(ref, prior, balance)}/${ref('is', flow)}*365`;
+
+// Ratio formulas reference statement cells through `ref(statement, key)`, so they stay live when inputs are edited;
+// `prior(statement, key)` is the same line one fiscal year earlier. Single-element entries are section headings.
+const RATIO_ROWS = [
+  ['PROFITABILITY'],
+  ['Gross Margin', 'percent', ref => `${ref('is', 'grossProfit')}/${ref('is', 'revenues')}`],
+  ['Operating Margin', 'percent', ref => `${ref('is', 'operatingIncome')}/${ref('is', 'revenues')}`],
+  ['EBITDA Margin', 'percent', ref => `IF(ISNUMBER(${ref('is', 'depreciationAndAmortization')}),${ebitda(ref)}/${ref('is', 'revenues')},"")`],
+  ['Net Profit Margin', 'percent', ref => `${ref('is', 'netIncome')}/${ref('is', 'revenues')}`],
+  ['Effective Tax Rate', 'percent', ref => `IF(AND(${taxRate(ref)}>=0,${taxRate(ref)}<=1),${taxRate(ref)},"")`],
+  ['RETURNS'],
+  ['Return on Assets (avg.)', 'percent', (ref, prior) => `${ref('is', 'netIncome')}/${averageBalance(ref, prior, 'totalAssets')}`],
+  ['Return on Equity (avg.)', 'percent', (ref, prior) => `${ref('is', 'netIncome')}/${averageBalance(ref, prior, 'stockholdersEquity')}`],
+  ['Return on Invested Capital (avg.)', 'percent', (ref, prior) =>
+    `IF(AND(${taxRate(ref)}>=0,${taxRate(ref)}<=1,${investedCapital(ref)}>0),${ref('is', 'operatingIncome')}*(1-${taxRate(ref)})/` +
+    `IF(ISNUMBER(${prior('bs', 'stockholdersEquity')}),(${investedCapital(ref)}+${investedCapital(prior)})/2,${investedCapital(ref)}),"")`],
+  ['LIQUIDITY'],
+  ['Current Ratio', 'multiple', ref => `${ref('bs', 'currentAssets')}/${ref('bs', 'currentLiabilities')}`],
+  ['Quick Ratio', 'multiple', ref => `(${ref('bs', 'currentAssets')}-${ref('bs', 'inventory')})/${ref('bs', 'currentLiabilities')}`],
+  ['Cash Ratio', 'multiple', ref => `${ref('bs', 'cashAndCashEquivalents')}/${ref('bs', 'currentLiabilities')}`],
+  ['LEVERAGE'],
+  ['Debt to Equity', 'multiple', ref => `${totalDebt(ref)}/${ref('bs', 'stockholdersEquity')}`],
+  ['Debt to Assets', 'percent', ref => `${totalDebt(ref)}/${ref('bs', 'totalAssets')}`],
+  ['Net Debt to EBITDA', 'multiple', ref =>
+    `IF(ISNUMBER(${ref('is', 'depreciationAndAmortization')}),(${totalDebt(ref)}-${ref('bs', 'cashAndCashEquivalents')})/${ebitda(ref)},"")`],
+  ['Interest Coverage', 'multiple', ref => `${ref('is', 'operatingIncome')}/${ref('is', 'interestExpense')}`],
+  ['EFFICIENCY'],
+  ['Asset Turnover (avg.)', 'multiple', (ref, prior) => `${ref('is', 'revenues')}/${averageBalance(ref, prior, 'totalAssets')}`],
+  ['Days Sales Outstanding', 'days', (ref, prior) => daysOutstanding(ref, prior, 'accountsReceivable', 'revenues')],
+  ['Days Inventory Outstanding', 'days', (ref, prior) => daysOutstanding(ref, prior, 'inventory', 'costOfRevenues')],
+  ['Days Payables Outstanding', 'days', (ref, prior) => daysOutstanding(ref, prior, 'accountsPayable', 'costOfRevenues')],
+  // Companies without inventory still have a cycle: receivables against payables
+  ['Cash Conversion Cycle', 'days', (ref, prior) =>
+    `${daysOutstanding(ref, prior, 'accountsReceivable', 'revenues')}+IFERROR(${daysOutstanding(ref, prior, 'inventory', 'costOfRevenues')},0)-` +
+    `${daysOutstanding(ref, prior, 'accountsPayable', 'costOfRevenues')}`],
+  ['PER SHARE METRICS'],
+  ['Book Value per Share', 'perShare', ref => `${ref('bs', 'stockholdersEquity')}/${ref('is', 'sharesOutstanding')}`],
+  ['Revenue per Share', 'perShare', ref => `${ref('is', 'revenues')}/${ref('is', 'sharesOutstanding')}`]
+];
+
+// Valuation at the fiscal year end close. The closes are inputs on the Ratios sheet itself, referenced as
+// ref('px', 'price'); every multiple is blank for a year without a close.
+const marketCapOf = (ref) => `(${ref('px', 'price')}*${ref('is', 'sharesOutstanding')})`;
+const enterpriseValueOf = (ref) =>
+  `(${marketCapOf(ref)}+${totalDebt(ref)}+${ref('bs', 'noncontrollingInterest')}-${ref('bs', 'cashAndCashEquivalents')})`;
+const priced = (ref, formula) => `IF(ISNUMBER(${ref('px', 'price')}),${formula},"")`;
+
+const VALUATION_ROWS = [
+  ['Market Capitalization', 'usd', ref => priced(ref, marketCapOf(ref))],
+  ['Enterprise Value', 'usd', ref => priced(ref, enterpriseValueOf(ref))],
+  ['Price to Earnings', 'multiple', ref => priced(ref, `IF(${ref('is', 'netIncome')}>0,${marketCapOf(ref)}/${ref('is', 'netIncome')},"")`)],
+  ['Price to Book', 'multiple', ref =>
+    priced(ref, `IF(${ref('bs', 'stockholdersEquity')}>0,${marketCapOf(ref)}/${ref('bs', 'stockholdersEquity')},"")`)],
+  ['Price to Sales', 'multiple', ref => priced(ref, `IF(${ref('is', 'revenues')}>0,${marketCapOf(ref)}/${ref('is', 'revenues')},"")`)],
+  ['EV to EBITDA', 'multiple', ref =>
+    priced(ref, `IF(AND(ISNUMBER(${ref('is', 'depreciationAndAmortization')}),${ebitda(ref)}>0),${enterpriseValueOf(ref)}/${ebitda(ref)},"")`)],
+  ['EV to Sales', 'multiple', ref => priced(ref, `IF(${ref('is', 'revenues')}>0,${enterpriseValueOf(ref)}/${ref('is', 'revenues')},"")`)],
+  ['Free Cash Flow Yield', 'percent', ref => priced(ref, `${ref('cf', 'freeCashFlow')}/${marketCapOf(ref)}`)]
+];
+
+// Template ratios; `prior(statement, key)` is the same line one fiscal year earlier (blank for the oldest year)
+const TEMPLATE_RATIO_ROWS = {
+  bank: [
+    ['BANKING'],
+    ['Net Interest Margin (avg. assets)', 'percent', (ref, prior) => `${ref('is', 'netInterestIncome')}/AVERAGE(${ref('bs', 'totalAssets')},${prior('bs', 'totalAssets')})`],
+    ['Efficiency Ratio', 'percent', ref => `${ref('is', 'noninterestExpense')}/(${ref('is', 'netInterestIncome')}+${ref('is', 'noninterestIncome')})`],
+    ['Provision to Loans', 'percent', ref => `${ref('is', 'provisionForCreditLosses')}/${ref('bs', 'loans')}`],
+    ['Loans to Deposits', 'percent', ref => `${ref('bs', 'loans')}/${ref('bs', 'deposits')}`]
+  ],
+  insurance: [
+    ['INSURANCE'],
+    ['Loss Ratio', 'percent', ref => `${ref('is', 'lossesAndLossAdjustmentExpenses')}/${ref('is', 'premiumsEarned')}`],
+    ['Expense Ratio', 'percent', ref => `(${ref('is', 'policyAcquisitionCosts')}+${ref('is', 'otherUnderwritingExpenses')})/${ref('is', 'premiumsEarned')}`],
+    ['Combined Ratio', 'percent', ref => `(${ref('is', 'lossesAndLossAdjustmentExpenses')}+${ref('is', 'policyAcquisitionCosts')}+${ref('is', 'otherUnderwritingExpenses')})/${ref('is', 'premiumsEarned')}`]
+  ],
+  reit: [
+    ['REAL ESTATE'],
+    ['FFO per Share', 'perShare', ref => `${ref('is', 'fundsFromOperations')}/${ref('is', 'sharesOutstanding')}`],
+    ['FFO Margin', 'percent', ref => `${ref('is', 'fundsFromOperations')}/${ref('is', 'revenues')}`]
+  ]
+};
+
+// Sheet names must be quoted in formulas when they contain spaces
+const sheetRef = (sheet, address) => `'${sheet.name.replace(/'/g, "''")}'!${address}`;
+
+const styleHeaderRow = (row) => {
+  row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  row.eachCell(cell => {
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1E40AF' } };
+  });
+};
+
+const addTitle = (sheet, title, subtitle) => {
+  sheet.addRow([title]).font = { bold: true, size: 14 };
+  sheet.addRow([subtitle]).font = { italic: true, color: { argb: 'FF6B7280' } };
+  sheet.addRow([]);
+};
+
+// Columns for the statements: every fiscal year in the history window, or just the latest year
+const getFiscalYears = (secData) => {
+  const years = secData.history?.fiscalYears;
+  return years?.length ? years : [secData.metadata?.dataYear];
+};
+
+// Fallback for single-year responses: the flat statement objects hold the latest values
+const getLatestValue = (secData, statement, key) => {
+  if (statement === 'incomeStatement') {
+    const opex = secData.incomeStatement?.operatingExpenses || {};
+    if (key === 'sga') return opex.sga;
+    if (key === 'rd') return opex.rd;
+    if (key === 'totalOperatingExpenses') return opex.total;
+  }
+  return secData[statement]?.[key];
+};
+
+// Writes one statement sheet and returns { key: rowNumber } so other sheets can reference its cells
+const addStatementSheet = (workbook, name, title, statement, rows, secData, company) => {
+  const sheet = workbook.addWorksheet(name);
+  const fiscalYears = getFiscalYears(secData);
+  const hasHistory = Boolean(secData.history?.fiscalYears?.length);
+  const rowIndex = {};
+
+  addTitle(sheet, `${company.name} (${company.ticker}) — ${title}`, 'All amounts in USD unless noted');
+  styleHeaderRow(sheet.addRow(['Line Item', ...fiscalYears.map(year => `FY${year}`)]));
+
+  rows.forEach(([key, label, format]) => {
+    if (!key) {
+      sheet.addRow([label]).font = { bold: true };
+      return;
+    }
+    const values = hasHistory
+      ? fiscalYears.map(year => secData.history[statement]?.[key]?.[year] ?? null)
+      : [getLatestValue(secData, statement, key) ?? null];
+    const row = sheet.addRow([label, ...values]);
+    values.forEach((_, i) => {
+      row.getCell(i + 2).numFmt = FORMATS[format];
+    });
+    rowIndex[key] = row.number;
+  });
+
+  sheet.getColumn(1).width = 32;
+  fiscalYears.forEach((_, i) => {
+    sheet.getColumn(i + 2).width = 18;
+  });
+  sheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 4 }];
+
+  return { sheet, rowIndex };
+};
+
+const addRatiosSheet = (workbook, statements, secData, company) => {
+  const sheet = workbook.addWorksheet('Ratios');
+  const fiscalYears = getFiscalYears(secData);
+
+  addTitle(sheet, `${company.name} (${company.ticker}) — Financial Ratios`, 'Live formulas referencing the statement sheets');
+  styleHeaderRow(sheet.addRow(['Ratio', ...fiscalYears.map(year => `FY${year}`)]));
+
+  const addFormulaRows = (rows, sheets) => rows.forEach(([label, format, formula]) => {
+    if (!format) {
+      sheet.addRow([label]).font = { bold: true };
+      return;
+    }
+    const row = sheet.addRow([label]);
+    fiscalYears.forEach((_, i) => {
+      // Fiscal years run newest first, so the prior year is the next column
+      const cellRef = (columnNumber) => (statement, key) =>
+        sheetRef(sheets[statement].sheet, `${sheet.getColumn(columnNumber).letter}${sheets[statement].rowIndex[key]}`);
+      const cell = row.getCell(i + 2);
+      // Blank rather than #DIV/0! when an input is missing
+      cell.value = { formula: `IFERROR(${formula(cellRef(i + 2), cellRef(i + 3))},"")` };
+      cell.numFmt = FORMATS[format];
+    });
+  });
+
+  const templateRatios = TEMPLATE_RATIO_ROWS[secData.metadata?.industryTemplate?.key] || [];
+  addFormulaRows([...RATIO_ROWS, ...templateRatios], statements);
+
+  const { valuation } = secData;
+  if (valuation) {
+    sheet.addRow([]);
+    sheet.addRow(['VALUATION (FISCAL YEAR END)']).font = { bold: true };
+    const priceRow = sheet.addRow(['Share Price', ...fiscalYears.map(year => valuation.history?.[year]?.price ?? null)]);
+    fiscalYears.forEach((_, i) => {
+      priceRow.getCell(i + 2).numFmt = FORMATS.perShare;
+    });
+    addFormulaRows(VALUATION_ROWS, { ...statements, px: { sheet, rowIndex: { price: priceRow.number } } });
+
+    // The latest close against the latest fiscal year, as values
+    const { current } = valuation;
+    sheet.addRow([]);
+    sheet.addRow([`VALUATION (CURRENT, ${current.priceDate ? `CLOSE ON ${current.priceDate}` : 'NO PRICE'})`]).font = { bold: true };
+    sheet.addRow(['Share Price', current.price]).getCell(2).numFmt = FORMATS.perShare;
+    Object.entries(secData.ratios || {}).filter(([, ratio]) => ratio.category === 'Valuation').forEach(([key, { label, unit }]) => {
+      const row = sheet.addRow([label, unit === 'percent' ? percentToFraction(current[key]) : current[key]]);
+      row.getCell(2).numFmt = FORMATS[unit];
+    });
+  }
+
+  sheet.getColumn(1).width = 32;
+  fiscalYears.forEach((_, i) => {
+    sheet.getColumn(i + 2).width = 14;
+  });
+  sheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 4 }];
+};
+
+// All three statements stacked on one sheet. columns: [{ key, label }]; periodData: { [statement]: { [line]: { [key]: value } } }
+const addStackedStatements = (sheet, columns, periodData, secData) => {
+  [
+    ['INCOME STATEMENT', 'incomeStatement', INCOME_STATEMENT_ROWS],
+    ['BALANCE SHEET', 'balanceSheet', BALANCE_SHEET_ROWS],
+    ['CASH FLOW STATEMENT', 'cashFlowStatement', CASH_FLOW_ROWS]
+  ].forEach(([heading, statement, rows]) => {
+    sheet.addRow([]);
+    sheet.addRow([heading]).font = { bold: true };
+    [...rows, ...getTemplateRows(secData, statement)].forEach(([key, label, format]) => {
+      if (!key) return;
+      const values = columns.map(column => periodData[statement]?.[key]?.[column.key] ?? null);
+      const row = sheet.addRow([label, ...values]);
+      values.forEach((_, i) => {
+        row.getCell(i + 2).numFmt = FORMATS[format];
+      });
+    });
+  });
+
+  sheet.getColumn(1).width = 32;
+  columns.forEach((_, i) => {
+    sheet.getColumn(i + 2).width = 18;
+  });
+};
+
+// Statement sections for the analytics sheets: [heading, statement, rows] with the template lines included
+const analyticsSections = (secData) => [
+  ['INCOME STATEMENT', 'incomeStatement', INCOME_STATEMENT_ROWS],
+  ['BALANCE SHEET', 'balanceSheet', BALANCE_SHEET_ROWS],
+  ['CASH FLOW STATEMENT', 'cashFlowStatement', CASH_FLOW_ROWS]
+].map(([heading, statement, rows]) => [heading, statement, [...rows, ...getTemplateRows(secData, statement)].filter(([key]) => key)]);
+
+// YoY growth of every line per fiscal year, with the CAGRs to the latest year
+const addGrowthSheet = (workbook, secData, company) => {
+  const { analytics, history } = secData;
+  if (!analytics || !history?.fiscalYears?.length) return;
+
+  const sheet = workbook.addWorksheet('Growth');
+  const { fiscalYears } = history;
+  const cagrPeriods = Object.keys(Object.values(analytics.growth.incomeStatement)[0]?.cagr || {});
+
+  addTitle(sheet, `${company.name} (${company.ticker}) — Growth`, 'Year-over-year change and compound annual growth to the latest year');
+  styleHeaderRow(sheet.addRow(['Line Item', ...fiscalYears.map(year => `FY${year}`), ...cagrPeriods.map(years => `${years}Y CAGR`)]));
+
+  analyticsSections(secData).forEach(([heading, statement, rows]) => {
+    sheet.addRow([]);
+    sheet.addRow([heading]).font = { bold: true };
+    rows.forEach(([key, label]) => {
+      const growth = analytics.growth[statement]?.[key];
+      if (!growth) return;
+      const values = [...fiscalYears.map(year => growth.yoy[year]), ...cagrPeriods.map(years => growth.cagr[years])];
+      const row = sheet.addRow([label, ...values.map(percentToFraction)]);
+      values.forEach((_, i) => {
+        row.getCell(i + 2).numFmt = FORMATS.percent;
+      });
+    });
+  });
+
+  sheet.getColumn(1).width = 32;
+  [...fiscalYears, ...cagrPeriods].forEach((_, i) => {
+    sheet.getColumn(i + 2).width = 12;
+  });
+  sheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 4 }];
+};
+
+// Margin trends, then every line as a share of revenue (income and cash flow) or of total assets (balance sheet)
+const addCommonSizeSheet = (workbook, secData, company) => {
+  const { analytics, history } = secData;
+  if (!analytics || !history?.fiscalYears?.length) return;
+
+  const sheet = workbook.addWorksheet('Common Size');
+  const { fiscalYears } = history;
+
+  addTitle(sheet, `${company.name} (${company.ticker}) — Common Size`, 'Income and cash flow lines as % of revenue; balance sheet lines as % of total assets');
+  styleHeaderRow(sheet.addRow(['Line Item', ...fiscalYears.map(year => `FY${year}`), 'Change (pts)']));
+
+  sheet.addRow(['MARGIN TRENDS']).font = { bold: true };
+  Object.values(analytics.margins).forEach(({ label, values, change }) => {
+    const row = sheet.addRow([label, ...fiscalYears.map(year => percentToFraction(values[year])), change]);
+    fiscalYears.forEach((_, i) => {
+      row.getCell(i + 2).numFmt = FORMATS.percent;
+    });
+    row.getCell(fiscalYears.length + 2).numFmt = '+0.00;-0.00';
+  });
+
+  analyticsSections(secData).forEach(([heading, statement, rows]) => {
+    sheet.addRow([]);
+    sheet.addRow([heading]).font = { bold: true };
+    rows.forEach(([key, label]) => {
+      const values = analytics.commonSize[statement]?.[key];
+      if (!values) return;
+      const row = sheet.addRow([label, ...fiscalYears.map(year => percentToFraction(values[year]))]);
+      fiscalYears.forEach((_, i) => {
+        row.getCell(i + 2).numFmt = FORMATS.percent;
+      });
+    });
+  });
+
+  sheet.getColumn(1).width = 32;
+  fiscalYears.forEach((_, i) => {
+    sheet.getColumn(i + 2).width = 12;
+  });
+  sheet.getColumn(fiscalYears.length + 2).width = 14;
+  sheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 4 }];
+};
+
+// The filing's own statement: company labels, order and hierarchy from the presentation linkbase, values as
+// presented (negated lines flipped), and the calculation linkbase's check on every subtotal
+const addAsReportedSheet = (workbook, secData, company, statement, name) => {
+  const { source, statements } = secData.asReported || {};
+  const reported = statements?.[statement];
+  if (!reported || reported.rows.length === 0) return;
+
+  const sheet = workbook.addWorksheet(name);
+  const { columns, rows, checks } = reported;
+  const checkColumn = columns.length + 2;
+  const passed = checks.filter(check => check.ok).length;
+
+  addTitle(
+    sheet,
+    `${company.name} (${company.ticker}) — ${reported.title}`,
+    `As reported in ${source.form} ${source.accessionNumber} filed ${source.filingDate} • ${passed} of ${checks.length} calculation checks pass`
+  );
+  styleHeaderRow(sheet.addRow(['Line Item', ...columns.map(column => column.label), 'Calculation Check']));
+
+  const columnLabels = Object.fromEntries(columns.map(column => [column.key, column.label]));
+  rows.forEach(({ concept, label, depth, abstract, total, negated, unit, values }) => {
+    const row = sheet.addRow([label, ...columns.map(column => (
+      values[column.key] === undefined ? null : (negated ? -values[column.key] : values[column.key])
+    ))]);
+    row.getCell(1).alignment = { indent: depth };
+    if (abstract) {
+      row.font = { bold: true };
+      return;
+    }
+    const format = unit?.includes('/') ? FORMATS.perShare : unit && unit !== 'USD' ? FORMATS.shares : FORMATS.usd;
+    columns.forEach((_, i) => {
+      row.getCell(i + 2).numFmt = format;
+      if (total) row.getCell(i + 2).border = { top: { style: 'thin' } };
+    });
+    if (total) row.getCell(1).font = { bold: true };
+
+    const own = checks.filter(check => check.concept === concept);
+    if (own.length === 0) return;
+    const failed = own.find(check => !check.ok);
+    const cell = row.getCell(checkColumn);
+    cell.value = failed
+      ? `Off by ${Math.round(failed.difference).toLocaleString('en-US')} (${columnLabels[failed.period]})`
+      : '✓';
+    cell.font = { color: { argb: failed ? 'FFDC2626' : 'FF16A34A' } };
+  });
+
+  sheet.getColumn(1).width = 60;
+  columns.forEach((_, i) => {
+    sheet.getColumn(i + 2).width = 18;
+  });
+  sheet.getColumn(checkColumn).width = 30;
+  sheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 4 }];
+};
+
+// Dimensional breakdowns from the filing's XBRL instance, with each member's share of the reported total as a formula
+const addSegmentsSheet = (workbook, secData, company) => {
+  const { segments } = secData;
+  if (!segments || Object.keys(segments.breakdowns).length === 0) return;
+
+  const sheet = workbook.addWorksheet('Segments');
+  const { periods, source } = segments;
+  const shareColumn = periods.length + 2;
+
+  addTitle(
+    sheet,
+    `${company.name} (${company.ticker}) — Segments`,
+    `From ${source.form} ${source.accessionNumber} filed ${source.filingDate} (${source.document}) • Share is of the reported total, latest period`
+  );
+  styleHeaderRow(sheet.addRow(['Member', ...periods.map(end => `Period ended ${end}`), 'Share']));
+
+  Object.values(segments.breakdowns).forEach(({ label, metrics }) => {
+    Object.values(metrics).forEach(metric => {
+      sheet.addRow([]);
+      sheet.addRow([`${label.toUpperCase()}: ${metric.label.toUpperCase()} (${metric.concept})`]).font = { bold: true };
+
+      const firstRow = sheet.rowCount + 1;
+      const totalRow = firstRow + metric.members.length;
+      metric.members.forEach(({ label: memberLabel, values }) => {
+        const row = sheet.addRow([memberLabel, ...periods.map(end => values[end] ?? null)]);
+        periods.forEach((_, i) => {
+          row.getCell(i + 2).numFmt = FORMATS.usd;
+        });
+        row.getCell(shareColumn).value = { formula: `IFERROR(B${row.number}/B${totalRow},"")` };
+        row.getCell(shareColumn).numFmt = '0.0%';
+      });
+
+      const total = sheet.addRow(['Reported total', ...periods.map(end => metric.total[end] ?? null)]);
+      total.font = { bold: true };
+      periods.forEach((_, i) => {
+        total.getCell(i + 2).numFmt = FORMATS.usd;
+      });
+
+      // Members need not add up to the total: segments can overlap, and eliminations sit on another axis
+      const sum = sheet.addRow(['Sum of members']);
+      sum.font = { italic: true };
+      periods.forEach((_, i) => {
+        const letter = sheet.getColumn(i + 2).letter;
+        sum.getCell(i + 2).value = { formula: `SUM(${letter}${firstRow}:${letter}${totalRow - 1})` };
+        sum.getCell(i + 2).numFmt = FORMATS.usd;
+      });
+    });
+  });
+
+  sheet.getColumn(1).width = 40;
+  periods.forEach((_, i) => {
+    sheet.getColumn(i + 2).width = 20;
+  });
+  sheet.getColumn(shareColumn).width = 10;
+  sheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 4 }];
+};
+
+// Form 4 transactions, with open market buying and selling per quarter; net columns are formulas
+const addInsiderSheet = (workbook, insiders, company) => {
+  if (!insiders || insiders.transactions.length === 0) return;
+
+  const sheet = workbook.addWorksheet('Insider Transactions');
+  addTitle(
+    sheet,
+    `${company.name} (${company.ticker}) — Insider Transactions`,
+    `${insiders.filings} of ${insiders.total} Form 4 filings • Net buying counts open market purchases (P) and sales (S) only`
+  );
+
+  styleHeaderRow(sheet.addRow(['Quarter', 'Buys', 'Shares Bought', 'Value Bought', 'Sells', 'Shares Sold', 'Value Sold', 'Net Shares', 'Net Value']));
+  insiders.quarters.forEach(({ quarter, buys, sells }) => {
+    const row = sheet.addRow([quarter, buys.count, buys.shares, buys.value, sells.count, sells.shares, sells.value]);
+    row.getCell(8).value = { formula: `C${row.number}-F${row.number}` };
+    row.getCell(9).value = { formula: `D${row.number}-G${row.number}` };
+    [3, 6, 8].forEach(column => {
+      row.getCell(column).numFmt = FORMATS.shares;
+    });
+    [4, 7, 9].forEach(column => {
+      row.getCell(column).numFmt = FORMATS.usd;
+    });
+  });
+
+  sheet.addRow([]);
+  sheet.addRow(['TRANSACTIONS']).font = { bold: true };
+  styleHeaderRow(sheet.addRow([
+    'Date', 'Filed', 'Owner', 'Relationship', 'Security', 'Code', 'Type', 'A/D', 'Shares', 'Price', 'Value',
+    'Owned After', 'Ownership', 'Derivative', 'Filing'
+  ]));
+  insiders.transactions.forEach(transaction => {
+    const row = sheet.addRow([
+      transaction.date, transaction.filingDate, transaction.owner, transaction.relationship, transaction.security,
+      transaction.code, transaction.codeLabel, transaction.acquiredDisposed, transaction.shares, transaction.price, null,
+      transaction.sharesOwnedAfter, transaction.ownership === 'I' ? 'Indirect' : 'Direct', transaction.derivative ? 'Yes' : 'No',
+      { text: transaction.accessionNumber, hyperlink: transaction.documentUrl }
+    ]);
+    if (transaction.price) row.getCell(11).value = { formula: `I${row.number}*J${row.number}` };
+    row.getCell(9).numFmt = FORMATS.shares;
+    row.getCell(10).numFmt = FORMATS.perShare;
+    row.getCell(11).numFmt = FORMATS.usd;
+    row.getCell(12).numFmt = FORMATS.shares;
+    row.getCell(15).font = { color: { argb: 'FF1D4ED8' }, underline: true };
+  });
+
+  [12, 12, 30, 30, 28, 6, 24, 5, 14, 10, 16, 14, 10, 10, 24].forEach((width, i) => {
+    sheet.getColumn(i + 1).width = width;
+  });
+};
+
+// Quarterly or TTM view, one column per period
+const addPeriodSheet = (workbook, secData, company) => {
+  const periodData = secData.quarterly || secData.ttm;
+  if (!periodData?.periods?.length) return;
+
+  const isTtm = periodData.mode === 'ttm';
+  const sheet = workbook.addWorksheet(isTtm ? 'TTM Statements' : 'Quarterly Statements');
+  const { periods } = periodData;
+
+  addTitle(
+    sheet,
+    `${company.name} (${company.ticker}) — ${isTtm ? 'Trailing Twelve Months' : 'Discrete Quarters'}`,
+    isTtm
+      ? 'Flow items summed over four discrete quarters; balance sheet items at period end'
+      : 'Derived from cumulative XBRL durations (Q4 = FY - 9M); balance sheet items at period end'
+  );
+  styleHeaderRow(sheet.addRow(['Line Item', ...periods.map(p => p.label)]));
+  sheet.addRow(['Period End', ...periods.map(p => p.endDate)]).font = { italic: true };
+
+  addStackedStatements(sheet, periods, periodData, secData);
+  sheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 5 }];
+};
+
+const addQuarterlySheet = (workbook, secData, company) => {
+  const sheet = workbook.addWorksheet('Quarterly Trends');
+  const revenue = secData.trends?.quarterlyRevenue || [];
+  const netIncome = secData.trends?.quarterlyNetIncome || [];
+
+  addTitle(sheet, `${company.name} (${company.ticker}) — Quarterly Trends`, 'All amounts in USD');
+  styleHeaderRow(sheet.addRow(['Period', 'Year', 'Period End', 'Revenue', 'Net Income']));
+
+  revenue.forEach(q => {
+    const matchingIncome = netIncome.find(n => n.endDate === q.endDate && n.period === q.period);
+    const row = sheet.addRow([q.period, q.year, q.endDate, q.value ?? null, matchingIncome?.value ?? null]);
+    row.getCell(4).numFmt = FORMATS.usd;
+    row.getCell(5).numFmt = FORMATS.usd;
+  });
+
+  [10, 8, 14, 18, 18].forEach((width, i) => {
+    sheet.getColumn(i + 1).width = width;
+  });
+};
+
+// How lines without an XBRL fact of their own are computed, for the Sources sheet
+const DERIVED_LINE_NOTES = {
+  revenues: 'Net interest income + noninterest income (or premiums + net investment income)',
+  netInterestIncome: 'Interest income - interest expense',
+  grossProfit: 'Revenue - cost of revenue',
+  totalOperatingExpenses: 'SG&A + R&D',
+  workingCapital: 'Current assets - current liabilities',
+  freeCashFlow: 'Operating cash flow + investing cash flow',
+  fundsFromOperations: 'Net income + D&A - gains on sale + impairments'
+};
+
+const STATEMENT_LAYOUTS = [
+  ['Income Statement', 'incomeStatement', INCOME_STATEMENT_ROWS],
+  ['Balance Sheet', 'balanceSheet', BALANCE_SHEET_ROWS],
+  ['Cash Flow', 'cashFlowStatement', CASH_FLOW_ROWS]
+];
+
+// One row per value: the XBRL concept it was read from and a link to the filing's EDGAR index page
+const addSourcesSheet = (workbook, secData, company) => {
+  const { provenance } = secData;
+  if (!provenance) return;
+
+  const sheet = workbook.addWorksheet('Sources');
+  addTitle(sheet, `${company.name} (${company.ticker}) — Sources`, 'XBRL fact and filing behind every extracted value');
+  styleHeaderRow(sheet.addRow([
+    'Statement', 'Line Item', 'Period', 'Value', 'Concept', 'Taxonomy', 'Unit',
+    'Period Start', 'Period End', 'Form', 'Filed', 'Accession', 'Note'
+  ]));
+
+  const addSourceRow = (cells, source, format, note) => {
+    const row = sheet.addRow([
+      ...cells,
+      source.concept || 'Derived',
+      source.taxonomy || null,
+      source.unit || null,
+      source.start || null,
+      source.end || null,
+      source.form || null,
+      source.filed || null,
+      source.accessionNumber ? { text: source.accessionNumber, hyperlink: source.url } : null,
+      note || null
+    ]);
+    row.getCell(4).numFmt = FORMATS[format];
+    if (source.accessionNumber) row.getCell(12).font = { color: { argb: 'FF1D4ED8' }, underline: true };
+  };
+
+  const noteFor = (key, source) => {
+    if (source.subtracted) return `${source.derivation}: less ${source.subtracted.map(s => s.accessionNumber).join(', ')}`;
+    if (source.derivation === 'TTM') return 'Sum of the four quarters below';
+    if (source.derived) return DERIVED_LINE_NOTES[key] || 'Derived from other lines';
+    return null;
+  };
+
+  // tables: [{ label(periodKey), values: { [statement]: { [line]: { [key]: value } } }, sources, keys }]
+  const periodData = secData.quarterly || secData.ttm;
+  const tables = [
+    secData.history?.fiscalYears?.length
+      ? { label: year => `FY${year}`, values: secData.history, sources: provenance.history, keys: secData.history.fiscalYears }
+      : null,
+    periodData?.periods?.length
+      ? {
+        label: key => periodData.periods.find(p => p.key === key)?.label || key,
+        values: periodData,
+        sources: provenance[periodData.mode],
+        keys: periodData.periods.map(p => p.key)
+      }
+      : null
+  ].filter(table => table?.sources);
+
+  // Single-year responses only carry the latest figures
+  if (tables.length === 0 && provenance.latest) {
+    const latest = (statement, key) => ({ latest: getLatestValue(secData, statement, key) });
+    tables.push({
+      label: () => `FY${secData.metadata?.dataYear}`,
+      values: Object.fromEntries(STATEMENT_LAYOUTS.map(([, statement, rows]) => [
+        statement,
+        Object.fromEntries([...rows, ...getTemplateRows(secData, statement)].filter(([key]) => key).map(([key]) => [key, latest(statement, key)]))
+      ])),
+      sources: Object.fromEntries(Object.entries(provenance.latest).map(([statement, lines]) => [
+        statement,
+        Object.fromEntries(Object.entries(lines).map(([line, source]) => [line, { latest: source }]))
+      ])),
+      keys: ['latest']
+    });
+  }
+
+  tables.forEach(({ label, values, sources, keys }) => {
+    STATEMENT_LAYOUTS.forEach(([statementLabel, statement, rows]) => {
+      [...rows, ...getTemplateRows(secData, statement)].forEach(([key, lineLabel, format]) => {
+        if (!key) return;
+        keys.forEach(periodKey => {
+          const source = sources[statement]?.[key]?.[periodKey];
+          if (!source) return;
+          const value = values[statement]?.[key]?.[periodKey] ?? null;
+          addSourceRow([statementLabel, lineLabel, label(periodKey), value], source, format, noteFor(key, source));
+          (source.components || []).filter(Boolean).forEach(component => {
+            const componentNote = noteFor(key, component);
+            addSourceRow([statementLabel, lineLabel, `  Quarter to ${component.end}`, null], component, format,
+              componentNote ? `TTM component; ${componentNote}` : 'TTM component');
+          });
+        });
+      });
+    });
+  });
+
+  [16, 32, 16, 18, 44, 10, 10, 12, 12, 8, 12, 24, 48].forEach((width, i) => {
+    sheet.getColumn(i + 1).width = width;
+  });
+  sheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 4 }];
+};
+
+// Original and restated figures side by side, both linked to their filings; material revisions highlighted
+const addRestatementsSheet = (workbook, secData, company) => {
+  const { restatements } = secData;
+  if (!restatements) return;
+
+  const sheet = workbook.addWorksheet('Restatements');
+  addTitle(sheet, `${company.name} (${company.ticker}) — Restatements`, 'Values changed by a later 10-K or 10-K/A for the same period');
+  styleHeaderRow(sheet.addRow([
+    'Fiscal Year', 'Statement', 'Line Item', 'Concept', 'Original', 'Original Filing', 'Filed',
+    'Restated', 'Restating Filing', 'Filed', 'Change', 'Change %', 'Material'
+  ]));
+
+  if (restatements.length === 0) {
+    sheet.addRow(['No restatements found in the history window']).font = { italic: true };
+  }
+
+  const link = (filing) => ({ text: `${filing.form} ${filing.accessionNumber}`, hyperlink: filing.url });
+  restatements.forEach(r => {
+    const [statementLabel, , rows] = STATEMENT_LAYOUTS.find(([, statement]) => statement === r.statement) || [r.statement, null, []];
+    const [, lineLabel, format = 'usd'] = [...rows, ...getTemplateRows(secData, r.statement)].find(([key]) => key === r.line) || [r.line, r.line];
+    const row = sheet.addRow([
+      `FY${r.fiscalYear}`,
+      statementLabel,
+      lineLabel,
+      r.concept,
+      r.original.value,
+      link(r.original),
+      r.original.filed,
+      r.restated.value,
+      link(r.restated),
+      r.restated.filed,
+      r.delta,
+      r.deltaPercent === null ? null : r.deltaPercent / 100,
+      r.material ? 'Yes' : 'No'
+    ]);
+    [5, 8, 11].forEach(col => {
+      row.getCell(col).numFmt = FORMATS[format];
+    });
+    row.getCell(12).numFmt = FORMATS.percent;
+    [6, 9].forEach(col => {
+      row.getCell(col).font = { color: { argb: 'FF1D4ED8' }, underline: true };
+    });
+    if (r.material) {
+      row.getCell(13).font = { bold: true, color: { argb: 'FFB91C1C' } };
+    }
+  });
+
+  [12, 16, 32, 40, 18, 28, 12, 18, 28, 12, 16, 10, 10].forEach((width, i) => {
+    sheet.getColumn(i + 1).width = width;
+  });
+  sheet.views = [{ state: 'frozen', xSplit: 3, ySplit: 4 }];
+};
+
+const SEVERITY_COLORS = { error: 'FFB91C1C', warning: 'FFB45309', info: 'FF6B7280' };
+
+// Every validation rule with its outcome; failed rules list their findings with expected and actual values
+const addValidationSheet = (workbook, secData, company) => {
+  const { dataQuality } = secData;
+  if (!dataQuality?.rules) return;
+
+  const sheet = workbook.addWorksheet('Validation');
+  addTitle(
+    sheet,
+    `${company.name} (${company.ticker}) — Validation`,
+    `Data quality score ${dataQuality.score}/${dataQuality.maxScore}: points are deducted for each failed rule by severity`
+  );
+  styleHeaderRow(sheet.addRow(['Rule', 'Description', 'Severity', 'Status', 'Line', 'Expected', 'Actual', 'Difference', 'Tolerance']));
+
+  const numberCell = (value) => (typeof value === 'number' ? value : value ?? null);
+  dataQuality.rules.forEach(rule => {
+    const row = sheet.addRow([rule.rule, rule.description, rule.severity, rule.status]);
+    row.getCell(4).font = rule.status === 'failed'
+      ? { bold: true, color: { argb: SEVERITY_COLORS[rule.severity] } }
+      : { color: { argb: rule.status === 'passed' ? 'FF15803D' : 'FF6B7280' } };
+
+    dataQuality.findings.filter(finding => finding.rule === rule.rule).forEach(finding => {
+      const findingRow = sheet.addRow([
+        '',
+        finding.message,
+        finding.severity,
+        '',
+        finding.subject,
+        finding.operator === '=' ? numberCell(finding.expected) : `${finding.operator} ${finding.expected}`,
+        numberCell(finding.actual),
+        finding.difference,
+        finding.tolerance || null
+      ]);
+      findingRow.font = { color: { argb: SEVERITY_COLORS[finding.severity] } };
+      [6, 7, 8].forEach(col => {
+        findingRow.getCell(col).numFmt = FORMATS.usd;
+      });
+      findingRow.getCell(9).numFmt = FORMATS.percent;
+    });
+  });
+
+  [34, 70, 10, 10, 24, 18, 18, 16, 10].forEach((width, i) => {
+    sheet.getColumn(i + 1).width = width;
+  });
+  sheet.views = [{ state: 'frozen', ySplit: 4 }];
+};
+
+// "v1.0.0 (sic:6798)": which mapping version and overrides produced the figures
+const formatConceptMapping = (mapping) => {
+  if (!mapping?.version) return 'N/A';
+  return `v${mapping.version}${mapping.overrides?.length ? ` (${mapping.overrides.join(', ')})` : ''}`;
+};
+
+const addCompanyInfoSheet = (workbook, secData, company) => {
+  const sheet = workbook.addWorksheet('Company Info');
+  const { metadata, dataQuality } = secData;
+  const address = company.businessAddress;
+
+  addTitle(sheet, 'SEC 10-K FINANCIAL DATA EXTRACT', `Generated ${new Date().toLocaleString()}`);
+
+  const fields = [
+    ['Company', company.name],
+    ['Ticker', company.ticker],
+    ['CIK', company.cik],
+    ['Industry', company.sicDescription || 'N/A'],
+    ['SIC Code', company.sic || 'N/A'],
+    ['Industry Template', metadata?.industryTemplate?.label || 'N/A'],
+    ['State of Incorporation', company.stateOfIncorporation || 'N/A'],
+    ['Fiscal Year End', company.fiscalYearEnd || 'N/A'],
+    ['Data Year', metadata?.dataYear || 'N/A'],
+    ...(metadata?.asOf ? [['As Of', `${metadata.asOf} (facts filed by this date, as originally reported)`]] : []),
+    ['Filing Date', metadata?.filingDate || 'N/A'],
+    ['Data Quality Score', dataQuality ? `${dataQuality.score}/${dataQuality.maxScore}` : 'N/A'],
+    ['Concept Mapping', formatConceptMapping(metadata?.conceptMapping)]
+  ];
+
+  if (address) {
+    fields.push(
+      ['Business Address', [address.street1, address.street2].filter(Boolean).join(', ')],
+      ['', `${address.city || ''}, ${address.stateOrCountry || ''} ${address.zipCode || ''}`],
+      ['Phone', company.phone || 'N/A']
+    );
+  }
+
+  fields.forEach(([label, value]) => {
+    sheet.addRow([label, value]).getCell(1).font = { bold: true };
+  });
+
+  // Extracts of a single 10-K / 10-Q link back to that filing on EDGAR
+  if (metadata?.source) {
+    const { source } = metadata;
+    const row = sheet.addRow(['Source Filing', {
+      text: `${source.form} filed ${source.filingDate} (${source.accessionNumber})`,
+      hyperlink: source.documentUrl || source.indexUrl
+    }]);
+    row.getCell(1).font = { bold: true };
+    row.getCell(2).font = { color: { argb: 'FF1D4ED8' }, underline: true };
+  }
+
+  if (dataQuality?.issues?.length > 0) {
+    sheet.addRow([]);
+    sheet.addRow(['DATA QUALITY NOTES']).font = { bold: true };
+    dataQuality.issues.forEach(issue => sheet.addRow(['', issue]));
+  }
+
+  sheet.addRow([]);
+  sheet.addRow(['Data Source', 'SEC EDGAR Database (XBRL)']);
+  sheet.addRow(['Generated by', 'Universal SEC 10-K Converter']);
+
+  sheet.getColumn(1).width = 24;
+  sheet.getColumn(2).width = 60;
+};
+
+// Build the full workbook for one company extract
+export const generateEnhancedExcel = (company, secData) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Universal SEC 10-K Converter';
+  workbook.created = new Date();
+  // Formula results are not cached in the file; have Excel compute them on open
+  workbook.calcProperties.fullCalcOnLoad = true;
+
+  const statements = {
+    is: addStatementSheet(workbook, 'Income Statement', 'Income Statement', 'incomeStatement',
+      [...INCOME_STATEMENT_ROWS, ...getTemplateRows(secData, 'incomeStatement')], secData, company),
+    bs: addStatementSheet(workbook, 'Balance Sheet', 'Balance Sheet', 'balanceSheet',
+      [...BALANCE_SHEET_ROWS, ...getTemplateRows(secData, 'balanceSheet')], secData, company),
+    cf: addStatementSheet(workbook, 'Cash Flow', 'Cash Flow Statement', 'cashFlowStatement',
+      [...CASH_FLOW_ROWS, ...getTemplateRows(secData, 'cashFlowStatement')], secData, company)
+  };
+  // The filing's own statements, next to the standardized ones
+  addAsReportedSheet(workbook, secData, company, 'incomeStatement', 'Income Statement (As Reported)');
+  addAsReportedSheet(workbook, secData, company, 'balanceSheet', 'Balance Sheet (As Reported)');
+  addAsReportedSheet(workbook, secData, company, 'cashFlowStatement', 'Cash Flow (As Reported)');
+  addRatiosSheet(workbook, statements, secData, company);
+  addGrowthSheet(workbook, secData, company);
+  addCommonSizeSheet(workbook, secData, company);
+  addSegmentsSheet(workbook, secData, company);
+  addInsiderSheet(workbook, secData.insiderTransactions, company);
+  addPeriodSheet(workbook, secData, company);
+  addQuarterlySheet(workbook, secData, company);
+  addSourcesSheet(workbook, secData, company);
+  addRestatementsSheet(workbook, secData, company);
+  addValidationSheet(workbook, secData, company);
+  addCompanyInfoSheet(workbook, secData, company);
+
+  return workbook;
+};
+
+// Serialize a workbook and trigger a browser download
+export const downloadWorkbook = async (workbook, filename) => {
+  const buffer = await workbook.xlsx.writeBuffer();
+  const blob = new Blob([buffer], { type: XLSX_MIME_TYPE });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// BATCH EXPORT: a summary sheet with one row per company, then one sheet per company
+
+// Summary columns: [header, value getter, format]. Key metrics arrive as percentages (43.3 = 43.3%).
+const SUMMARY_COLUMNS = [
+  ['Input', r => r.input],
+  ['Ticker', r => r.company?.ticker ?? null],
+  ['Company', r => r.company?.name ?? null],
+  ['CIK', r => r.company?.cik ?? null],
+  ['Status', r => (r.status === 'ok' ? 'OK' : 'FAILED')],
+  ['Fiscal Year', r => r.data?.metadata?.dataYear ?? null],
+  ['Template', r => r.data?.metadata?.industryTemplate?.label ?? null],
+  ['Revenue', r => r.data?.incomeStatement?.revenues ?? null, 'usd'],
+  ['Operating Income', r => r.data?.incomeStatement?.operatingIncome ?? null, 'usd'],
+  ['Net Income', r => r.data?.incomeStatement?.netIncome ?? null, 'usd'],
+  ['Total Assets', r => r.data?.balanceSheet?.totalAssets ?? null, 'usd'],
+  ['Stockholders Equity', r => r.data?.balanceSheet?.stockholdersEquity ?? null, 'usd'],
+  ['Operating Cash Flow', r => r.data?.cashFlowStatement?.operatingCashFlow ?? null, 'usd'],
+  ['Free Cash Flow', r => r.data?.cashFlowStatement?.freeCashFlow ?? null, 'usd'],
+  ['Gross Margin', r => percentToFraction(r.data?.keyMetrics?.grossMargin), 'percent'],
+  ['Operating Margin', r => percentToFraction(r.data?.keyMetrics?.operatingMargin), 'percent'],
+  ['Net Margin', r => percentToFraction(r.data?.keyMetrics?.netMargin), 'percent'],
+  ['Return on Equity', r => percentToFraction(r.data?.keyMetrics?.returnOnEquity), 'percent'],
+  ['Current Ratio', r => r.data?.keyMetrics?.currentRatio ?? null, 'multiple'],
+  ['Debt to Equity', r => r.data?.keyMetrics?.debtToEquity ?? null, 'multiple'],
+  ['Data Quality', r => r.data?.dataQuality?.score ?? null],
+  ['Concept Mapping', r => (r.data ? formatConceptMapping(r.data.metadata?.conceptMapping) : null)],
+  ['Error', r => r.error ?? null]
+];
+
+// Excel sheet names: max 31 characters, no []:*?/\ and unique within the workbook
+const uniqueSheetName = (workbook, base) => {
+  const clean = (base || 'Company').replace(/[[\]:*?/\\]/g, '-').slice(0, 31);
+  let name = clean;
+  for (let n = 2; workbook.getWorksheet(name); n++) {
+    const suffix = ` (${n})`;
+    name = `${clean.slice(0, 31 - suffix.length)}${suffix}`;
+  }
+  return name;
+};
+
+const addBatchSummarySheet = (workbook, results) => {
+  const sheet = workbook.addWorksheet('Summary');
+  const succeeded = results.filter(r => r.status === 'ok').length;
+
+  addTitle(sheet, 'SEC 10-K BATCH EXTRACT', `${succeeded} of ${results.length} companies extracted • Generated ${new Date().toLocaleString()}`);
+  styleHeaderRow(sheet.addRow(SUMMARY_COLUMNS.map(([header]) => header)));
+
+  results.forEach(result => {
+    const row = sheet.addRow(SUMMARY_COLUMNS.map(([, getValue]) => getValue(result)));
+    SUMMARY_COLUMNS.forEach(([, , format], i) => {
+      if (format) row.getCell(i + 1).numFmt = FORMATS[format];
+    });
+    if (result.status !== 'ok') {
+      row.getCell(5).font = { bold: true, color: { argb: 'FFDC2626' } };
+    }
+  });
+
+  SUMMARY_COLUMNS.forEach(([header], i) => {
+    sheet.getColumn(i + 1).width = header === 'Company' || header === 'Error' ? 36 : 16;
+  });
+  sheet.views = [{ state: 'frozen', xSplit: 3, ySplit: 4 }];
+  sheet.autoFilter = { from: { row: 4, column: 1 }, to: { row: 4, column: SUMMARY_COLUMNS.length } };
+};
+
+const addBatchCompanySheet = (workbook, { company, data }) => {
+  const sheet = workbook.addWorksheet(uniqueSheetName(workbook, company.ticker || company.cik));
+  const { fiscalYears } = data.history;
+
+  addTitle(sheet, `${company.name || company.cik} (${company.ticker || 'N/A'})`, `CIK ${company.cik} • All amounts in USD unless noted`);
+  styleHeaderRow(sheet.addRow(['Line Item', ...fiscalYears.map(year => `FY${year}`)]));
+
+  addStackedStatements(sheet, fiscalYears.map(year => ({ key: year })), data.history, data);
+  sheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 4 }];
+};
+
+// Build one combined workbook from /api/batch-sec-data results
+export const generateBatchWorkbook = (results) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Universal SEC 10-K Converter';
+  workbook.created = new Date();
+
+  addBatchSummarySheet(workbook, results);
+  results
+    .filter(result => result.status === 'ok')
+    .forEach(result => addBatchCompanySheet(workbook, result));
+
+  return workbook;
+};
+
+// PEER COMPARISON: metric values with live MEDIAN / PERCENTILE / PERCENTRANK formulas. Functions added in Excel 2010
+// are stored with their _xlfn. prefix, as OOXML requires; without it Excel shows #NAME?
+
+// rows: [{ company, keyMetrics, dataYear, isSubject }]; metrics: PEER_METRICS from lib/peers
+export const generatePeerWorkbook = (rows, metrics, { title = 'Peer Comparison', subtitle = '' } = {}) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Universal SEC 10-K Converter';
+  workbook.created = new Date();
+  workbook.calcProperties.fullCalcOnLoad = true;
+
+  const sheet = workbook.addWorksheet('Peer Comparison');
+  const metricFormat = (metric) => FORMATS[metric.format];
+  const firstMetricColumn = 4;
+
+  addTitle(sheet, title, subtitle || `Generated ${new Date().toLocaleString()}`);
+  styleHeaderRow(sheet.addRow(['Ticker', 'Company', 'Fiscal Year', ...metrics.map(m => m.label)]));
+
+  const firstDataRow = sheet.rowCount + 1;
+  rows.forEach(row => {
+    const values = metrics.map(m => {
+      const value = row.keyMetrics?.[m.key];
+      if (value === null || value === undefined || isNaN(value)) return null;
+      return m.format === 'percent' ? Number(value) / 100 : Number(value);
+    });
+    const sheetRow = sheet.addRow([row.company.ticker, row.company.name, row.dataYear ?? null, ...values]);
+    metrics.forEach((m, i) => {
+      sheetRow.getCell(firstMetricColumn + i).numFmt = metricFormat(m);
+    });
+    if (row.isSubject) sheetRow.font = { bold: true };
+  });
+  const lastDataRow = sheet.rowCount;
+
+  const columnRange = (i) => {
+    const letter = sheet.getColumn(firstMetricColumn + i).letter;
+    return { letter, range: `${letter}$${firstDataRow}:${letter}$${lastDataRow}` };
+  };
+
+  sheet.addRow([]);
+  [
+    ['25th Percentile', range => `_xlfn.PERCENTILE.INC(${range},0.25)`],
+    ['Median', range => `MEDIAN(${range})`],
+    ['75th Percentile', range => `_xlfn.PERCENTILE.INC(${range},0.75)`]
+  ].forEach(([label, formula]) => {
+    const row = sheet.addRow([label]);
+    row.font = { italic: true };
+    metrics.forEach((m, i) => {
+      const cell = row.getCell(firstMetricColumn + i);
+      cell.value = { formula: `IFERROR(${formula(columnRange(i).range)},"")` };
+      cell.numFmt = metricFormat(m);
+    });
+  });
+
+  sheet.addRow([]);
+  sheet.addRow(['PERCENTILE RANK WITHIN PEER GROUP (0% = lowest, 100% = highest)']).font = { bold: true };
+  styleHeaderRow(sheet.addRow(['Ticker', 'Company', '', ...metrics.map(m => m.label)]));
+  rows.forEach((row, index) => {
+    const dataRow = firstDataRow + index;
+    const rankRow = sheet.addRow([row.company.ticker, row.company.name]);
+    metrics.forEach((m, i) => {
+      const { letter, range } = columnRange(i);
+      const cell = rankRow.getCell(firstMetricColumn + i);
+      cell.value = { formula: `IFERROR(_xlfn.PERCENTRANK.INC(${range},${letter}${dataRow}),"")` };
+      cell.numFmt = '0%';
+    });
+    if (row.isSubject) rankRow.font = { bold: true };
+  });
+
+  sheet.getColumn(1).width = 10;
+  sheet.getColumn(2).width = 36;
+  sheet.getColumn(3).width = 12;
+  metrics.forEach((_, i) => {
+    sheet.getColumn(firstMetricColumn + i).width = 16;
+  });
+  sheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 4 }];
+
+  return workbook;
+};
+
+// SCREEN: ranked /api/screen results, one column per screened field
+
+// result: the /api/screen response
+export const generateScreenWorkbook = (result) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Universal SEC 10-K Converter';
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Screen');
+  const { columns } = result;
+  const firstValueColumn = 5;
+  const criteria = result.filters.map(({ field, operator, value }) => `${field} ${operator} ${value}`).join(', ');
+
+  addTitle(
+    sheet,
+    `SCREEN ${result.period}: ${criteria}`,
+    `${result.total} companies pass • ranked by ${result.sort} (${result.order}) • Generated ${new Date().toLocaleString()}`
+  );
+  styleHeaderRow(sheet.addRow(['Rank', 'Ticker', 'Company', 'CIK', ...columns.map(column => column.label)]));
+
+  result.results.forEach(row => {
+    const values = columns.map(({ field, unit }) => (unit === 'percent' ? percentToFraction(row.values[field]) : row.values[field] ?? null));
+    const sheetRow = sheet.addRow([row.rank, row.ticker, row.name, row.cik, ...values]);
+    columns.forEach(({ unit }, i) => {
+      sheetRow.getCell(firstValueColumn + i).numFmt = FORMATS[unit];
+    });
+  });
+
+  sheet.getColumn(1).width = 8;
+  sheet.getColumn(2).width = 10;
+  sheet.getColumn(3).width = 40;
+  sheet.getColumn(4).width = 14;
+  columns.forEach((_, i) => {
+    sheet.getColumn(firstValueColumn + i).width = 18;
+  });
+  sheet.views = [{ state: 'frozen', xSplit: 3, ySplit: 4 }];
+  sheet.autoFilter = { from: { row: 4, column: 1 }, to: { row: 4, column: firstValueColumn + columns.length - 1 } };
+
+  return workbook;
+};
+
+// Insider transactions from /api/insider-transactions as a workbook of their own
+export const generateInsiderWorkbook = (insiders, company) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Universal SEC 10-K Converter';
+  workbook.created = new Date();
+  workbook.calcProperties.fullCalcOnLoad = true;
+
+  addInsiderSheet(workbook, insiders, company);
+  return workbook;
+};
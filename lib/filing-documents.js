@@ -0,0 +1,140 @@
+// Documents inside one filing's folder on EDGAR (Archives/edgar/data/<cik>/<accession>/): the XBRL instance,
+// inline XBRL, linkbases and the primary document. A filing source is
+//   { name, listDocuments(cik, accessionNumber, { cacheLog }) -> [{ name, size }] | null,
+//     getDocument(cik, accessionNumber, name, { parse, cacheKey, cacheLog }) -> parse(text) }
+// Filings never change once accepted, so only what `parse` returns is cached, under `cacheKey`.
+// Set SEC_FILING_FIXTURE_DIR to read filings from local files. The bulk archives behind SEC_DATA_SOURCE=local hold
+// no filing documents, so without fixtures the local data source reports them as not available offline.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { edgarFetchCachedJson, isLocalDataSource, CACHE_TTLS, EdgarNotFoundError, EdgarOfflineError } from './edgar';
+import { filingFolderUrl } from './filings';
+
+export const filingDocumentsConfig = {
+  // Unset = EDGAR. A directory laid out like the archives: <cik>/<accession without dashes>/<document>
+  fixtureDir: process.env.SEC_FILING_FIXTURE_DIR || null
+};
+
+export const createEdgarFilingSource = () => ({
+  name: 'edgar',
+  listDocuments: async (cik, accessionNumber, { cacheLog } = {}) => {
+    try {
+      const listing = await edgarFetchCachedJson(
+        `filing-index-${accessionNumber}`,
+        `${filingFolderUrl(cik, accessionNumber)}/index.json`,
+        { resource: 'filingIndex', ttlMs: CACHE_TTLS.filingDocuments, cacheLog }
+      );
+      return (listing?.directory?.item || [])
+        .filter(item => item.type !== 'folder.gif')
+        .map(item => ({ name: item.name, size: Number(item.size) || null }));
+    } catch (error) {
+      if (error instanceof EdgarNotFoundError) return null;
+      throw error;
+    }
+  },
+  getDocument: (cik, accessionNumber, name, { parse, cacheKey, cacheLog } = {}) => edgarFetchCachedJson(
+    cacheKey,
+    `${filingFolderUrl(cik, accessionNumber)}/${encodeURIComponent(name)}`,
+    {
+      resource: 'filingDocument',
+      ttlMs: CACHE_TTLS.filingDocuments,
+      cacheLog,
+      accept: '*/*',
+      parse: async (response) => parse(await response.text())
+    }
+  )
+});
+
+export const createFixtureFilingSource = (dir) => {
+  const folder = (cik, accessionNumber) => path.join(dir, String(Number(cik)), accessionNumber.replace(/-/g, ''));
+  return {
+    name: 'fixtures',
+    listDocuments: async (cik, accessionNumber) => {
+      try {
+        const names = await fs.readdir(folder(cik, accessionNumber));
+        return Promise.all(names.map(async name => ({ name, size: (await fs.stat(path.join(folder(cik, accessionNumber), name))).size })));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    getDocument: async (cik, accessionNumber, name, { parse } = {}) => {
+      const file = path.join(folder(cik, accessionNumber), name);
+      try {
+        return parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') throw new EdgarNotFoundError(`No filing fixture ${file}`);
+        throw error;
+      }
+    }
+  };
+};
+
+// Never reaches EDGAR: every read fails with EdgarOfflineError
+export const createOfflineFilingSource = () => {
+  const unavailable = async (cik, accessionNumber) => {
+    throw new EdgarOfflineError(
+      `Filing documents of ${accessionNumber} are not available offline (SEC_DATA_SOURCE=local); set SEC_FILING_FIXTURE_DIR to read them from local files`
+    );
+  };
+  return { name: 'offline', listDocuments: unavailable, getDocument: unavailable };
+};
+
+let filingSource = null;
+
+export const getFilingSource = () => {
+  if (!filingSource) {
+    if (filingDocumentsConfig.fixtureDir) {
+      filingSource = createFixtureFilingSource(filingDocumentsConfig.fixtureDir);
+    } else {
+      filingSource = isLocalDataSource() ? createOfflineFilingSource() : createEdgarFilingSource();
+    }
+  }
+  return filingSource;
+};
+
+// Replace the source (e.g. with fixtures in a test); null restores the configured one
+export const setFilingSource = (source) => {
+  filingSource = source;
+};
+
+// Linkbases and other XML that sits next to the instance in the folder
+const SUPPORTING_XML = /(_cal|_def|_lab|_pre|_ref)\.xml$|^FilingSummary\.xml$|^MetaLinks/i;
+
+// The filing's XBRL instance: { name, format: 'xbrl' | 'inline' } or null when it has none.
+// EDGAR extracts an instance (name_htm.xml) from every inline XBRL filing; that is smaller than the inline
+// document and preferred. Older filings carry a plain instance (aapl-20180929.xml).
+// Without either, the primary document is read as inline XBRL.
+export const findInstanceDocument = (documents, primaryDocument = null) => {
+  const names = (documents || []).map(document => document.name);
+  const extracted = names.find(name => /_htm\.xml$/i.test(name));
+  if (extracted) return { name: extracted, format: 'xbrl' };
+  const instance = names.find(name => /\.xml$/i.test(name) && !SUPPORTING_XML.test(name));
+  if (instance) return { name: instance, format: 'xbrl' };
+  if (primaryDocument && names.includes(primaryDocument) && /\.html?$/i.test(primaryDocument)) {
+    return { name: primaryDocument, format: 'inline' };
+  }
+  return null;
+};
+
+// The filing's taxonomy schema and linkbases by name: { schema, presentation, calculation, label }, each null when
+// missing. Filings carry them as separate files (aapl-20230930.xsd, aapl-20230930_pre.xml...) in every XBRL format.
+export const findLinkbaseDocuments = (documents) => {
+  const names = (documents || []).map(document => document.name);
+  const bySuffix = (pattern) => names.find(name => pattern.test(name)) || null;
+  return {
+    schema: bySuffix(/\.xsd$/i),
+    presentation: bySuffix(/_pre\.xml$/i),
+    calculation: bySuffix(/_cal\.xml$/i),
+    label: bySuffix(/_lab\.xml$/i)
+  };
+};
+
+// A 13F-HR's information table: the XML beside primary_doc.xml (the cover page), named by the filer or its agent
+// (infotable.xml, form13fInfoTable.xml, 0001234567-24-000001.xml...). Null for a notice without holdings.
+export const findInformationTableDocument = (documents) => {
+  const candidates = (documents || [])
+    .map(document => document.name)
+    .filter(name => /\.xml$/i.test(name) && !/^primary_doc\.xml$/i.test(name));
+  return candidates.find(name => /info/i.test(name)) || candidates[0] || null;
+};
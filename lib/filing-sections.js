@@ -0,0 +1,314 @@
+// Narrative sections of a 10-K: the primary HTML document split into its Items (1 Business, 1A Risk Factors,
+// 7 MD&A...), as clean text with word counts, and Item 1A's risk factors compared with the prior year's 10-K
+import { getSubmissions } from './edgar';
+import { getFilingSource } from './filing-documents';
+import { findLatestFiling } from './filings';
+
+// Form 10-K items in filing order: [item, title]
+export const TEN_K_ITEMS = [
+  ['1', 'Business'],
+  ['1A', 'Risk Factors'],
+  ['1B', 'Unresolved Staff Comments'],
+  ['1C', 'Cybersecurity'],
+  ['2', 'Properties'],
+  ['3', 'Legal Proceedings'],
+  ['4', 'Mine Safety Disclosures'],
+  ['5', 'Market for Registrant\'s Common Equity, Related Stockholder Matters and Issuer Purchases of Equity Securities'],
+  ['6', '[Reserved]'],
+  ['7', 'Management\'s Discussion and Analysis of Financial Condition and Results of Operations'],
+  ['7A', 'Quantitative and Qualitative Disclosures About Market Risk'],
+  ['8', 'Financial Statements and Supplementary Data'],
+  ['9', 'Changes in and Disagreements With Accountants on Accounting and Financial Disclosure'],
+  ['9A', 'Controls and Procedures'],
+  ['9B', 'Other Information'],
+  ['9C', 'Disclosure Regarding Foreign Jurisdictions that Prevent Inspections'],
+  ['10', 'Directors, Executive Officers and Corporate Governance'],
+  ['11', 'Executive Compensation'],
+  ['12', 'Security Ownership of Certain Beneficial Owners and Management and Related Stockholder Matters'],
+  ['13', 'Certain Relationships and Related Transactions, and Director Independence'],
+  ['14', 'Principal Accountant Fees and Services'],
+  ['15', 'Exhibits and Financial Statement Schedules'],
+  ['16', 'Form 10-K Summary']
+];
+
+export const TEN_K_FORMS = ['10-K', '10-K/A', '10-K405', '10-KT'];
+
+export const SECTION_FORMATS = ['json', 'text', 'markdown'];
+
+const ITEM_TITLES = Object.fromEntries(TEN_K_ITEMS);
+
+// "Item 1A. Risk Factors", "ITEM 7 — MANAGEMENT'S DISCUSSION..." at the start of a short paragraph
+const ITEM_HEADING = /^item\s+(\d{1,2}[A-C]?)\s*(?:[.:\-–—]|$|\s)/i;
+const MAX_HEADING_WORDS = 25;
+
+// Risk factor titles are one sentence, set apart above their discussion; category headings ("Risks Related to
+// Our Business") are shorter and carry no closing punctuation
+const MAX_RISK_TITLE_WORDS = 60;
+const MIN_RISK_TITLES = 3;
+
+// Word-set overlap at which a reworded risk factor title still counts as the same risk
+const SAME_RISK_SIMILARITY = 0.6;
+
+// HTML TO TEXT
+
+const NAMED_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', rsquo: '\'', lsquo: '\'', rdquo: '"', ldquo: '"',
+  mdash: '—', ndash: '–', bull: '•', middot: '·', hellip: '…', reg: '®', trade: '™', copy: '©', sect: '§'
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return isNaN(code) ? match : String.fromCodePoint(code);
+  }
+  return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+const BLOCK_TAGS = 'p|div|tr|li|h[1-6]|table|section|article|blockquote|center|ul|ol|dl|dt|dd|hr|title';
+
+// Running page furniture: page numbers, "Table of Contents" back-links, "Apple Inc. | 2023 Form 10-K | 12"
+const isPageFurniture = (line) => /^(\d{1,3}|[ivxl]{1,6}|page \d+|table of contents|index)$/i.test(line) ||
+  /\|\s*\d{4}\s+form\s+10-k\s*\|\s*\d+$/i.test(line);
+
+// Paragraphs of readable text from a filing's HTML (inline XBRL included: its hidden header is dropped)
+export const htmlToParagraphs = (html) => decodeEntities(
+  String(html)
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|head|ix:header)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(new RegExp(`</?(${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+)
+  .replace(/[\u00a0\u2002\u2003\u2009\u200b]/g, ' ')
+  .split('\n')
+  .map(line => line.replace(/\s+/g, ' ').trim())
+  .filter(line => line && !isPageFurniture(line));
+
+export const countWords = (text) => (String(text).match(/\S+/g) || []).length;
+
+// ITEMS
+
+// Split a 10-K into its items: [{ item, title, words, text }] in filing order, paragraphs separated by blank lines.
+// The table of contents names every item too; of an item's headings, the one opening the longest stretch of text
+// before the next heading is the real one.
+export const splitTenKItems = (paragraphs) => {
+  const headings = [];
+  paragraphs.forEach((paragraph, index) => {
+    const match = ITEM_HEADING.exec(paragraph);
+    if (!match || countWords(paragraph) > MAX_HEADING_WORDS) return;
+    const item = match[1].toUpperCase();
+    if (ITEM_TITLES[item] !== undefined) headings.push({ item, index });
+  });
+
+  const span = (heading, i) => paragraphs
+    .slice(heading.index + 1, headings[i + 1]?.index ?? paragraphs.length)
+    .reduce((sum, paragraph) => sum + paragraph.length, 0);
+  const chosen = new Map();
+  headings.forEach((heading, i) => {
+    const length = span(heading, i);
+    if (!chosen.has(heading.item) || length > chosen.get(heading.item).length) chosen.set(heading.item, { ...heading, length });
+  });
+
+  const ordered = [...chosen.values()].sort((a, b) => a.index - b.index);
+  return ordered.map((heading, i) => {
+    const text = paragraphs.slice(heading.index + 1, ordered[i + 1]?.index ?? paragraphs.length).join('\n\n');
+    return { item: heading.item, title: ITEM_TITLES[heading.item], words: countWords(text), text };
+  });
+};
+
+// RISK FACTORS
+
+const normalizeWords = (text) => String(text).toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+
+const similarity = (a, b) => {
+  const left = new Set(normalizeWords(a));
+  const right = new Set(normalizeWords(b));
+  if (left.size === 0 && right.size === 0) return 1;
+  const shared = [...left].filter(word => right.has(word)).length;
+  return shared / (left.size + right.size - shared);
+};
+
+// Item 1A as individual risks: [{ title, category, words, text }]. A title is a short paragraph ending in a sentence
+// mark and followed by a longer one. Without enough of those, every paragraph is taken as its own risk.
+export const splitRiskFactors = (text) => {
+  const paragraphs = String(text || '').split(/\n{2,}/).filter(Boolean);
+  const isTitle = (paragraph, i) => countWords(paragraph) <= MAX_RISK_TITLE_WORDS && /[.?!]["”']?$/.test(paragraph) &&
+    countWords(paragraphs[i + 1] || '') > countWords(paragraph);
+  const isCategory = (paragraph) => countWords(paragraph) <= 12 && !/[.?!:;,]$/.test(paragraph);
+
+  const titles = paragraphs.filter(isTitle).length;
+  if (titles < MIN_RISK_TITLES) {
+    return paragraphs.map(paragraph => ({
+      title: paragraph.split(/\s+/).slice(0, 20).join(' '),
+      category: null,
+      words: countWords(paragraph),
+      text: paragraph
+    }));
+  }
+
+  const risks = [];
+  let category = null;
+  paragraphs.forEach((paragraph, i) => {
+    if (isTitle(paragraph, i)) {
+      risks.push({ title: paragraph, category, body: [] });
+    } else if (isCategory(paragraph)) {
+      category = paragraph;
+    } else if (risks.length > 0) {
+      risks[risks.length - 1].body.push(paragraph);
+    }
+  });
+  return risks.map(({ title, category: riskCategory, body }) => ({
+    title,
+    category: riskCategory,
+    words: countWords(body.join(' ')),
+    text: body.join('\n\n')
+  }));
+};
+
+// Risks added, removed and reworded between two years' Item 1A. Titles match exactly (ignoring case and punctuation)
+// or, failing that, by word overlap; a matched risk whose title or discussion changed is `modified`.
+// Returns { summary: { current, prior, added, removed, modified, unchanged }, added, removed, modified }
+export const diffRiskFactors = (current, prior) => {
+  const key = (risk) => normalizeWords(risk.title).join(' ');
+  const unmatched = new Set(prior.map((_, i) => i));
+  const added = [];
+  const modified = [];
+  let unchanged = 0;
+
+  const exact = new Map();
+  prior.forEach((risk, i) => {
+    if (!exact.has(key(risk))) exact.set(key(risk), i);
+  });
+
+  const pending = [];
+  current.forEach(risk => {
+    const i = exact.get(key(risk));
+    if (i === undefined || !unmatched.has(i)) {
+      pending.push(risk);
+      return;
+    }
+    unmatched.delete(i);
+    const textSimilarity = similarity(risk.text, prior[i].text);
+    if (textSimilarity === 1) {
+      unchanged++;
+    } else {
+      modified.push({ title: risk.title, priorTitle: prior[i].title, category: risk.category, titleSimilarity: 1, textSimilarity });
+    }
+  });
+
+  pending.forEach(risk => {
+    let best = null;
+    unmatched.forEach(i => {
+      const score = similarity(risk.title, prior[i].title);
+      if (score >= SAME_RISK_SIMILARITY && (!best || score > best.score)) best = { i, score };
+    });
+    if (!best) {
+      added.push({ title: risk.title, category: risk.category, words: risk.words });
+      return;
+    }
+    unmatched.delete(best.i);
+    modified.push({
+      title: risk.title,
+      priorTitle: prior[best.i].title,
+      category: risk.category,
+      titleSimilarity: best.score,
+      textSimilarity: similarity(risk.text, prior[best.i].text)
+    });
+  });
+
+  const removed = [...unmatched].sort((a, b) => a - b)
+    .map(i => ({ title: prior[i].title, category: prior[i].category, words: prior[i].words }));
+
+  return {
+    summary: { current: current.length, prior: prior.length, added: added.length, removed: removed.length, modified: modified.length, unchanged },
+    added,
+    removed,
+    modified
+  };
+};
+
+// FILINGS
+
+const dayBefore = (date) => new Date(new Date(date) - 86400000).toISOString().split('T')[0];
+
+const filingSummary = (filing) => ({
+  accessionNumber: filing.accessionNumber,
+  form: filing.form,
+  filingDate: filing.filingDate,
+  reportDate: filing.reportDate,
+  document: filing.primaryDocument,
+  documentUrl: filing.documentUrl,
+  indexUrl: filing.indexUrl
+});
+
+// Every item of one 10-K. Only the split text is cached, not the (multi-megabyte) HTML.
+export const getFilingItems = async (cik, filing, { cacheLog } = {}) => getFilingSource().getDocument(
+  cik,
+  filing.accessionNumber,
+  filing.primaryDocument,
+  { cacheKey: `sections-${filing.accessionNumber}`, parse: (html) => splitTenKItems(htmlToParagraphs(html)), cacheLog }
+);
+
+// Sections of one 10-K (a lib/filings entry). items: item numbers to return (all when empty).
+// compare: diff Item 1A against the 10-K filed before it. Returns { company, source, sections, riskFactors }.
+export const getTenKSections = async (cik, filing, { items = [], compare = true, cacheLog } = {}) => {
+  const submissions = await getSubmissions(cik, { cacheLog });
+  const all = await getFilingItems(cik, filing, { cacheLog });
+  const wanted = items.map(item => item.toUpperCase());
+  const sections = wanted.length > 0 ? all.filter(section => wanted.includes(section.item)) : all;
+
+  const riskText = all.find(section => section.item === '1A')?.text;
+  const risks = splitRiskFactors(riskText);
+  let diff = null;
+  if (compare && riskText) {
+    const priorFiling = await findLatestFiling(cik, ['10-K'], { asOf: dayBefore(filing.filingDate), cacheLog });
+    const priorText = priorFiling && (await getFilingItems(cik, priorFiling, { cacheLog })).find(section => section.item === '1A')?.text;
+    diff = priorText
+      ? { against: filingSummary(priorFiling), ...diffRiskFactors(risks, splitRiskFactors(priorText)) }
+      : null;
+  }
+
+  return {
+    company: { cik: String(cik).padStart(10, '0'), name: submissions.name },
+    source: filingSummary(filing),
+    sections,
+    riskFactors: riskText ? { count: risks.length, titles: risks.map(risk => risk.title), diff } : null
+  };
+};
+
+// EXPORT
+
+// The sections as one plain-text or Markdown document, with the risk factor changes at the end
+export const formatSections = (result, format) => {
+  const markdown = format === 'markdown';
+  const heading = (text, level) => (markdown ? `${'#'.repeat(level)} ${text}` : `${text}\n${(level === 1 ? '=' : '-').repeat(text.length)}`);
+  const bullet = (text) => (markdown ? `- ${text}` : `  * ${text}`);
+  const { company, source, sections, riskFactors } = result;
+
+  const parts = [
+    heading(`${company.name} — ${source.form} filed ${source.filingDate}`, 1),
+    `Accession ${source.accessionNumber}${source.reportDate ? `, period ended ${source.reportDate}` : ''}. Source: ${source.documentUrl}`
+  ];
+  sections.forEach(({ item, title, words, text }) => {
+    parts.push(heading(`Item ${item}. ${title}`, 2), `(${words.toLocaleString('en-US')} words)`, text);
+  });
+
+  const diff = riskFactors?.diff;
+  if (diff) {
+    const { summary, against } = diff;
+    parts.push(
+      heading(`Risk factor changes since the ${against.form} filed ${against.filingDate}`, 2),
+      `${summary.current} risk factors (${summary.prior} the year before): ${summary.added} added, ${summary.removed} removed, ` +
+        `${summary.modified} modified, ${summary.unchanged} unchanged.`
+    );
+    [['Added', diff.added], ['Removed', diff.removed], ['Modified', diff.modified]].forEach(([label, risks]) => {
+      if (risks.length === 0) return;
+      parts.push(heading(label, 3), risks.map(risk => {
+        const reworded = risk.priorTitle && risk.priorTitle !== risk.title ? ` (was: ${risk.priorTitle})` : '';
+        return bullet(`${markdown ? `**${risk.title}**` : risk.title}${reworded}`);
+      }).join('\n'));
+    });
+  }
+  return `${parts.join('\n\n')}\n`;
+};
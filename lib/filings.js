@@ -0,0 +1,120 @@
+// Filing history from the submissions feed: `filings.recent` (the latest 1,000 or so filings)
+// plus the older pages listed in `filings.files`
+import { config, getSubmissions, getSubmissionsArchive } from './edgar';
+
+// Forms offered as quick filters in the filing browser; any form type can be requested
+export const COMMON_FORMS = ['10-K', '10-Q', '8-K', 'DEF 14A', 'S-1'];
+
+// Filings whose XBRL facts can feed /api/sec-data
+export const EXTRACTABLE_FORMS = ['10-K', '10-K/A', '10-Q', '10-Q/A'];
+
+export const filingFolderUrl = (cik, accessionNumber) =>
+  `${config.wwwBaseUrl}/Archives/edgar/data/${Number(cik)}/${accessionNumber.replace(/-/g, '')}`;
+
+export const filingIndexUrl = (cik, accessionNumber) =>
+  `${filingFolderUrl(cik, accessionNumber)}/${accessionNumber}-index.htm`;
+
+// Submissions lists are columnar ({ accessionNumber: [...], form: [...], ... }); turn them into one object per filing
+const toFilings = (block, cik) => (block?.accessionNumber || []).map((accessionNumber, i) => {
+  const form = block.form?.[i] || null;
+  const primaryDocument = block.primaryDocument?.[i] || null;
+  const folder = filingFolderUrl(cik, accessionNumber);
+  const isXBRL = Boolean(block.isXBRL?.[i]);
+  return {
+    accessionNumber,
+    form,
+    filingDate: block.filingDate?.[i] || null,
+    reportDate: block.reportDate?.[i] || null,
+    acceptanceDateTime: block.acceptanceDateTime?.[i] || null,
+    primaryDocument,
+    description: block.primaryDocDescription?.[i] || null,
+    items: block.items?.[i] || null, // 8-K item numbers, e.g. "2.02,9.01"
+    size: block.size?.[i] ?? null,
+    isXBRL,
+    indexUrl: filingIndexUrl(cik, accessionNumber),
+    documentUrl: primaryDocument ? `${folder}/${primaryDocument}` : null,
+    extractable: isXBRL && EXTRACTABLE_FORMS.includes(form)
+  };
+});
+
+// Every filing of a company, newest first. Archive pages entirely outside [from, to] are not downloaded.
+export const getFilingHistory = async (cik, { from = null, to = null, cacheLog } = {}) => {
+  const submissions = await getSubmissions(cik, { cacheLog });
+  const filings = toFilings(submissions.filings?.recent, cik);
+
+  const archives = (submissions.filings?.files || []).filter(file =>
+    (!from || !file.filingTo || file.filingTo >= from) && (!to || !file.filingFrom || file.filingFrom <= to)
+  );
+  for (const file of archives) {
+    const page = await getSubmissionsArchive(file.name, { cacheLog });
+    filings.push(...toFilings(page, cik));
+  }
+
+  filings.sort((a, b) => (b.filingDate || '').localeCompare(a.filingDate || '') ||
+    (b.acceptanceDateTime || '').localeCompare(a.acceptanceDateTime || ''));
+
+  return { company: { cik: String(cik).padStart(10, '0'), name: submissions.name }, filings };
+};
+
+// forms: ['10-K', '8-K']; each also matches its amendments (10-K/A). Dates are inclusive YYYY-MM-DD filing dates.
+export const filterFilings = (filings, { forms = [], from = null, to = null } = {}) => {
+  const wanted = forms.map(form => form.toUpperCase());
+  return filings.filter(filing => {
+    const form = (filing.form || '').toUpperCase();
+    if (wanted.length > 0 && !wanted.some(w => form === w || form === `${w}/A`)) return false;
+    if (from && filing.filingDate < from) return false;
+    if (to && filing.filingDate > to) return false;
+    return true;
+  });
+};
+
+// The newest `limit` filings of `forms` (amendments included, as in filterFilings) filed between from and to.
+// Archive pages are read newest first and only until `limit` filings are found.
+export const findRecentFilings = async (cik, { forms = [], from = null, to = null, limit, cacheLog } = {}) => {
+  const submissions = await getSubmissions(cik, { cacheLog });
+  const matches = filterFilings(toFilings(submissions.filings?.recent, cik), { forms, from, to });
+
+  const archives = (submissions.filings?.files || [])
+    .filter(file => (!from || !file.filingTo || file.filingTo >= from) && (!to || !file.filingFrom || file.filingFrom <= to))
+    .sort((a, b) => (b.filingTo || '').localeCompare(a.filingTo || ''));
+  for (const file of archives) {
+    if (matches.length >= limit) break;
+    const page = await getSubmissionsArchive(file.name, { cacheLog });
+    matches.push(...filterFilings(toFilings(page, cik), { forms, from, to }));
+  }
+
+  matches.sort((a, b) => (b.filingDate || '').localeCompare(a.filingDate || '') ||
+    (b.acceptanceDateTime || '').localeCompare(a.acceptanceDateTime || ''));
+
+  return { company: { cik: String(cik).padStart(10, '0'), name: submissions.name }, filings: matches.slice(0, limit) };
+};
+
+// Look a filing up by accession number, reading archive pages only when it is not among the recent filings
+export const findFiling = async (cik, accessionNumber, { cacheLog } = {}) => {
+  const submissions = await getSubmissions(cik, { cacheLog });
+  const recent = toFilings(submissions.filings?.recent, cik).find(f => f.accessionNumber === accessionNumber);
+  if (recent) return recent;
+
+  for (const file of submissions.filings?.files || []) {
+    const page = await getSubmissionsArchive(file.name, { cacheLog });
+    const match = toFilings(page, cik).find(f => f.accessionNumber === accessionNumber);
+    if (match) return match;
+  }
+  return null;
+};
+
+// The newest filing of one of `forms` (exact form types, amendments not included) filed on or before `asOf`
+export const findLatestFiling = async (cik, forms, { asOf = null, cacheLog } = {}) => {
+  const matches = (filing) => forms.includes(filing.form) && (!asOf || filing.filingDate <= asOf);
+  const submissions = await getSubmissions(cik, { cacheLog });
+  const recent = toFilings(submissions.filings?.recent, cik).find(matches);
+  if (recent) return recent;
+
+  // Archive pages run from newer to older filings
+  for (const file of submissions.filings?.files || []) {
+    const page = await getSubmissionsArchive(file.name, { cacheLog });
+    const match = toFilings(page, cik).find(matches);
+    if (match) return match;
+  }
+  return null;
+};
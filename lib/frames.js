@@ -0,0 +1,70 @@
+// XBRL frames: one concept's value for every filer in a calendar period (data.sec.gov/api/xbrl/frames).
+// A frames source is { name, getFrame({ taxonomy, concept, unit, period }, { cacheLog }) } resolving to the frame
+// document ({ taxonomy, tag, uom, ccp, data: [{ accn, cik, entityName, loc, start?, end, val }] }) or null when no
+// filer reported the concept for the period. Set SEC_FRAMES_FIXTURE_DIR to serve frames from local files.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { config, edgarFetchCachedJson, CACHE_TTLS, EdgarNotFoundError } from './edgar';
+
+export const framesConfig = {
+  // Unset = EDGAR. A directory laid out like the API: <taxonomy>/<concept>/<unit>/<period>.json
+  fixtureDir: process.env.SEC_FRAMES_FIXTURE_DIR || null
+};
+
+// Calendar periods: CY2023 (annual), CY2023Q1 (quarter), CY2023Q4I (instant at the end of the quarter)
+export const FRAME_PERIOD_PATTERN = /^CY\d{4}(Q[1-4])?I?$/;
+
+// The instant frame for a duration period's end: balance sheet values for CY2023 come from CY2023Q4I
+export const instantPeriod = (period) => {
+  if (period.endsWith('I')) return period;
+  return /Q[1-4]$/.test(period) ? `${period}I` : `${period}Q4I`;
+};
+
+// Companyfacts writes per-share units as USD/shares; the frames API as USD-per-shares
+export const frameUnit = (unit) => unit.replace('/', '-per-');
+
+const framePath = ({ taxonomy, concept, unit, period }) => [taxonomy, concept, frameUnit(unit), `${period}.json`];
+
+export const createEdgarFramesSource = () => ({
+  name: 'edgar',
+  getFrame: async (frame, { cacheLog } = {}) => {
+    const parts = framePath(frame);
+    try {
+      return await edgarFetchCachedJson(
+        `frames-${parts.join('-').replace(/\.json$/, '')}`,
+        `${config.dataBaseUrl}/api/xbrl/frames/${parts.map(encodeURIComponent).join('/')}`,
+        { resource: 'frames', ttlMs: CACHE_TTLS.frames, cacheLog }
+      );
+    } catch (error) {
+      if (error instanceof EdgarNotFoundError) return null;
+      throw error;
+    }
+  }
+});
+
+export const createFixtureFramesSource = (dir) => ({
+  name: 'fixtures',
+  getFrame: async (frame) => {
+    const file = path.join(dir, ...framePath(frame));
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Cannot read frame fixture ${file}: ${error.message}`);
+    }
+  }
+});
+
+let framesSource = null;
+
+export const getFramesSource = () => {
+  if (!framesSource) {
+    framesSource = framesConfig.fixtureDir ? createFixtureFramesSource(framesConfig.fixtureDir) : createEdgarFramesSource();
+  }
+  return framesSource;
+};
+
+// Replace the source (e.g. with fixtures in a test); null restores the configured one
+export const setFramesSource = (source) => {
+  framesSource = source;
+};
@@ -0,0 +1,295 @@
+// Institutional holdings from Form 13F-HR. A filer's holdings come from the information table XML of one of its
+// 13F-HR filings. Who holds a company comes from the 13F data sets ingested into the local store
+// (lib/local-store.js), because EDGAR has no per-issuer view of 13F filings.
+import { getSubmissions, padCik, EdgarNotFoundError } from './edgar';
+import { getFilingSource, findInformationTableDocument } from './filing-documents';
+import { readHoldingsIndex, readIssuerHoldings } from './local-store';
+import { parseXml, textOf } from './xbrl-instance';
+
+export const THIRTEEN_F_FORMS = ['13F-HR', '13F-HR/A'];
+
+export const DEFAULT_HOLDERS = 100;
+export const MAX_HOLDERS = 1000;
+
+// Filings from 2023-01-03 report values in dollars; earlier ones in thousands
+const VALUE_IN_DOLLARS_FROM = '2023-01-03';
+
+// INFORMATION TABLE
+
+// Information tables use a default namespace or an ns1:/n1: prefix depending on the filing agent, so elements
+// are matched by local name; every element parses as an array (see lib/xbrl-instance.js)
+const localName = (qname) => String(qname).split(':').pop();
+
+const children = (node, name) => (node && typeof node === 'object'
+  ? Object.entries(node).filter(([key]) => localName(key) === name).flatMap(([, value]) => value)
+  : []);
+
+const child = (node, name) => children(node, name)[0];
+
+const textAt = (node, ...path) => {
+  const target = path.reduce((current, name) => child(current, name), node);
+  if (target === undefined) return null;
+  return textOf(target).trim() || null;
+};
+
+const numberAt = (node, ...path) => {
+  const text = textAt(node, ...path);
+  const number = text === null ? NaN : Number(text.replace(/,/g, ''));
+  return isNaN(number) ? null : number;
+};
+
+// One row per infoTable entry, as filed: [{ issuer, titleOfClass, cusip, value, shares, shareType ('SH' or 'PRN'),
+//   putCall ('PUT', 'CALL' or null), investmentDiscretion, votingAuthority: { sole, shared, none } }].
+// Values are as reported, in thousands of dollars before 2023-01-03.
+export const parseInformationTable = (text) => {
+  const table = child(parseXml(text), 'informationTable');
+  if (!table) return null;
+  return children(table, 'infoTable').map(entry => ({
+    issuer: textAt(entry, 'nameOfIssuer'),
+    titleOfClass: textAt(entry, 'titleOfClass'),
+    cusip: (textAt(entry, 'cusip') || '').toUpperCase() || null,
+    value: numberAt(entry, 'value'),
+    shares: numberAt(entry, 'shrsOrPrnAmt', 'sshPrnamt'),
+    shareType: (textAt(entry, 'shrsOrPrnAmt', 'sshPrnamtType') || 'SH').toUpperCase(),
+    putCall: (textAt(entry, 'putCall') || '').toUpperCase() || null,
+    investmentDiscretion: textAt(entry, 'investmentDiscretion'),
+    votingAuthority: {
+      sole: numberAt(entry, 'votingAuthority', 'Sole') || 0,
+      shared: numberAt(entry, 'votingAuthority', 'Shared') || 0,
+      none: numberAt(entry, 'votingAuthority', 'None') || 0
+    }
+  }));
+};
+
+// Rows for the same security and option side (a manager's sub-advisers and discretion types file separately),
+// added up and largest first, with each position's share of the portfolio's value
+export const aggregateHoldings = (rows) => {
+  const positions = new Map();
+  rows.forEach(row => {
+    const key = `${row.cusip}|${row.shareType}|${row.putCall || ''}`;
+    if (!positions.has(key)) {
+      positions.set(key, {
+        issuer: row.issuer,
+        titleOfClass: row.titleOfClass,
+        cusip: row.cusip,
+        value: 0,
+        shares: 0,
+        shareType: row.shareType,
+        putCall: row.putCall,
+        votingAuthority: { sole: 0, shared: 0, none: 0 },
+        lines: 0
+      });
+    }
+    const position = positions.get(key);
+    position.value += row.value || 0;
+    position.shares += row.shares || 0;
+    position.votingAuthority.sole += row.votingAuthority.sole;
+    position.votingAuthority.shared += row.votingAuthority.shared;
+    position.votingAuthority.none += row.votingAuthority.none;
+    position.lines++;
+  });
+  const total = [...positions.values()].reduce((sum, position) => sum + position.value, 0);
+  return [...positions.values()]
+    .sort((a, b) => b.value - a.value)
+    .map(position => ({ ...position, weight: total ? position.value / total : null }));
+};
+
+const filingSummary = (filing, document) => ({
+  accessionNumber: filing.accessionNumber,
+  form: filing.form,
+  filingDate: filing.filingDate,
+  reportDate: filing.reportDate,
+  document,
+  indexUrl: filing.indexUrl
+});
+
+// The holdings reported in one 13F-HR (or 13F-HR/A): { filer, source, totals: { positions, lines, value }, holdings }.
+// Values are in dollars. Null when the filing has no information table, e.g. a notice or a combination report
+// whose holdings another manager files.
+export const getFilerHoldings = async (cik, filing, { cacheLog } = {}) => {
+  const source = getFilingSource();
+  const submissions = await getSubmissions(cik, { cacheLog });
+  const name = findInformationTableDocument(await source.listDocuments(cik, filing.accessionNumber, { cacheLog }));
+  if (!name) return null;
+
+  let rows;
+  try {
+    rows = await source.getDocument(cik, filing.accessionNumber, name, {
+      cacheKey: `information-table-${filing.accessionNumber}`,
+      parse: parseInformationTable,
+      cacheLog
+    });
+  } catch (error) {
+    if (error instanceof EdgarNotFoundError) return null;
+    throw error;
+  }
+  if (!rows) return null;
+
+  const scale = filing.filingDate < VALUE_IN_DOLLARS_FROM ? 1000 : 1;
+  const holdings = aggregateHoldings(rows.map(row => ({ ...row, value: row.value === null ? null : row.value * scale })));
+  return {
+    filer: { cik: padCik(cik), name: submissions.name },
+    source: filingSummary(filing, name),
+    totals: {
+      positions: holdings.length,
+      lines: rows.length,
+      value: holdings.reduce((sum, holding) => sum + holding.value, 0)
+    },
+    holdings
+  };
+};
+
+// HOLDERS (local store)
+
+// Legal form and listing words that 13F issuer names and EDGAR company names add or abbreviate differently:
+// "APPLE INC" / "Apple Inc.", "BERKSHIRE HATHAWAY INC DEL" / "BERKSHIRE HATHAWAY INC"
+const NAME_SUFFIXES = new Set(['INC', 'INCORPORATED', 'CORP', 'CORPORATION', 'CO', 'COMPANY', 'LTD', 'LIMITED', 'PLC',
+  'LLC', 'LP', 'NV', 'SA', 'AG', 'SE', 'DEL', 'DE', 'NEW', 'COM', 'THE']);
+
+export const normalizeIssuerName = (name) => {
+  const words = String(name || '')
+    .toUpperCase()
+    .replace(/&/g, ' AND ')
+    .replace(/\b(CL|CLASS)\s+[A-Z]\b/g, ' ')
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+  while (words.length > 1 && NAME_SUFFIXES.has(words[words.length - 1])) words.pop();
+  if (words[0] === 'THE' && words.length > 1) words.shift();
+  return words.join(' ');
+};
+
+// Normalized name -> issuer numbers (the CUSIP's first six characters), built once per holdings index
+const issuersByName = new WeakMap();
+
+const matchIssuers = (index, companyName) => {
+  if (!issuersByName.has(index)) {
+    const byName = new Map();
+    Object.entries(index.issuers).forEach(([issuer, names]) => {
+      new Set(names.map(normalizeIssuerName)).forEach(name => byName.set(name, [...(byName.get(name) || []), issuer]));
+    });
+    issuersByName.set(index, byName);
+  }
+  return issuersByName.get(index).get(normalizeIssuerName(companyName)) || [];
+};
+
+// The quarter end before a 13F period of report
+const previousQuarterEnd = (period) => {
+  const year = Number(period.slice(0, 4));
+  const quarter = Math.ceil(Number(period.slice(5, 7)) / 3);
+  return quarter === 1 ? `${year - 1}-12-31` : `${year}-${['03-31', '06-30', '09-30'][quarter - 2]}`;
+};
+
+// Share positions per filer and option side in one period. Principal amounts (bonds) are left out, and so are
+// rows from reports the index no longer counts, e.g. an original since restated.
+const positionsIn = (documents, index, period, cusip) => {
+  const positions = new Map();
+  documents.forEach(document => {
+    Object.entries(document.periods[period] || {}).forEach(([filer, { accession, rows }]) => {
+      if (index.reports[period]?.[filer]?.[0] !== accession) return;
+      rows.forEach(([rowCusip, titleOfClass, value, shares, shareType, putCall]) => {
+        if (shareType !== 'SH' || (cusip.length === 9 && rowCusip !== cusip)) return;
+        const key = `${filer}|${putCall || ''}`;
+        if (!positions.has(key)) positions.set(key, { filer, putCall: putCall || null, shares: 0, value: 0, cusips: new Set() });
+        const position = positions.get(key);
+        position.shares += shares;
+        position.value += value;
+        position.cusips.add(`${rowCusip}|${titleOfClass}`);
+      });
+    });
+  });
+  return positions;
+};
+
+// A holder without a report for the quarter yet (13Fs are due 45 days after it) has not exited
+const changeStatus = (current, prior, reported) => {
+  if (!prior) return 'new';
+  if (!current) return reported ? 'exited' : 'unreported';
+  if (current.shares > prior.shares) return 'increased';
+  if (current.shares < prior.shares) return 'decreased';
+  return 'unchanged';
+};
+
+// Institutions holding a company in one quarter (the latest ingested by default), with the change in each position
+// from the quarter before when that quarter is ingested too. The company's securities are found by `cusip`
+// (all six-character issuer matches or one nine-character CUSIP), otherwise by matching its EDGAR name against
+// 13F issuer names. Returns null when nothing in the store matches.
+// Returns { company, issuer: { numbers, names, cusips }, period, priorPeriod, periods, total, totals, holders }.
+export const getInstitutionalHolders = async (cik, { cusip = null, period = null, limit = DEFAULT_HOLDERS, cacheLog } = {}) => {
+  const submissions = await getSubmissions(cik, { cacheLog });
+  const index = await readHoldingsIndex();
+  if (cacheLog) cacheLog.holdings = 'LOCAL';
+
+  const wanted = (cusip || '').toUpperCase();
+  const issuers = wanted ? [wanted.slice(0, 6)].filter(issuer => index.issuers[issuer]) : matchIssuers(index, submissions.name);
+  const documents = (await Promise.all(issuers.map(readIssuerHoldings))).filter(Boolean);
+  if (documents.length === 0) return null;
+
+  const periods = [...new Set(documents.flatMap(document => Object.keys(document.periods)))].sort().reverse();
+  const selected = period || periods[0];
+  if (!periods.includes(selected)) return null;
+  const priorPeriod = index.reports[previousQuarterEnd(selected)] ? previousQuarterEnd(selected) : null;
+
+  const current = positionsIn(documents, index, selected, wanted);
+  const prior = priorPeriod ? positionsIn(documents, index, priorPeriod, wanted) : new Map();
+
+  const holders = [...new Set([...current.keys(), ...prior.keys()])].map(key => {
+    const now = current.get(key);
+    const before = prior.get(key);
+    const { filer, putCall } = now || before;
+    const shares = now?.shares || 0;
+    const priorShares = before?.shares || 0;
+    return {
+      holder: { cik: filer, name: index.filers[filer] || null },
+      putCall,
+      shares,
+      value: now?.value || 0,
+      ...(priorPeriod && {
+        priorShares,
+        priorValue: before?.value || 0,
+        change: shares - priorShares,
+        changePercent: priorShares ? (shares - priorShares) / priorShares * 100 : null,
+        status: changeStatus(now, before, Boolean(index.reports[selected]?.[filer]))
+      })
+    };
+  });
+  // Largest positions first; exits after the holders, largest exit first
+  holders.sort((a, b) => (b.value - a.value) || ((b.priorValue || 0) - (a.priorValue || 0)));
+
+  const shareholders = holders.filter(holder => !holder.putCall);
+  const count = (status) => shareholders.filter(holder => holder.status === status).length;
+  const cusips = new Map([...current.values()].flatMap(position => [...position.cusips])
+    .map(entry => entry.split('|'))
+    .map(([number, titleOfClass]) => [number, { cusip: number, titleOfClass }]));
+
+  return {
+    company: { cik: padCik(cik), name: submissions.name },
+    issuer: {
+      numbers: documents.map(document => document.issuer),
+      names: documents.flatMap(document => index.issuers[document.issuer] || []),
+      cusips: [...cusips.values()]
+    },
+    period: selected,
+    priorPeriod,
+    periods,
+    total: holders.length,
+    totals: {
+      holders: shareholders.filter(holder => holder.shares > 0).length,
+      shares: shareholders.reduce((sum, holder) => sum + holder.shares, 0),
+      value: shareholders.reduce((sum, holder) => sum + holder.value, 0),
+      ...(priorPeriod && {
+        priorHolders: shareholders.filter(holder => holder.priorShares > 0).length,
+        priorShares: shareholders.reduce((sum, holder) => sum + holder.priorShares, 0),
+        priorValue: shareholders.reduce((sum, holder) => sum + holder.priorValue, 0),
+        new: count('new'),
+        increased: count('increased'),
+        decreased: count('decreased'),
+        unchanged: count('unchanged'),
+        exited: count('exited'),
+        unreported: count('unreported')
+      })
+    },
+    holders: holders.slice(0, limit)
+  };
+};
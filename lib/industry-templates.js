@@ -0,0 +1,103 @@
+// Industry templates: banks, insurers and REITs report different headline lines than industrial companies.
+// The concept chains for their lines are in lib/mappings/concepts.json (`templates`); this module holds the arithmetic.
+
+const isNumber = (value) => value !== null && value !== undefined && !isNaN(value);
+
+const percent = (numerator, denominator) => {
+  if (!isNumber(numerator) || !denominator) return null;
+  return Number(((numerator / denominator) * 100).toFixed(2));
+};
+
+// Derived template lines per period, in place. statements: { [statement]: { [line]: { [periodKey]: value } } }
+export const deriveTemplateLines = (template, statements, periodKeys) => {
+  const is = statements.incomeStatement;
+  const value = (line, key) => is[line]?.[key] ?? null;
+  const derive = (compute) => Object.fromEntries(periodKeys.map(key => [key, compute(key)]));
+
+  if (template === 'bank') {
+    // Some banks tag only gross interest income and expense
+    is.netInterestIncome = derive(k => value('netInterestIncome', k) ?? (
+      isNumber(value('interestIncome', k)) && isNumber(value('interestExpense', k))
+        ? value('interestIncome', k) - value('interestExpense', k)
+        : null
+    ));
+    // Net revenue for banks that tag no total revenue concept
+    is.revenues = derive(k => value('revenues', k) ?? (
+      isNumber(value('netInterestIncome', k)) ? value('netInterestIncome', k) + (value('noninterestIncome', k) || 0) : null
+    ));
+  }
+
+  if (template === 'insurance') {
+    // Contract revenue is only fee income for insurers; fall back to premiums plus investment income
+    is.revenues = derive(k => value('revenues', k) ?? (
+      isNumber(value('premiumsEarned', k)) ? value('premiumsEarned', k) + (value('netInvestmentIncome', k) || 0) : null
+    ));
+  }
+
+  if (template === 'reit') {
+    // NAREIT funds from operations: net income + real estate D&A - gains on property sales + impairments
+    is.fundsFromOperations = derive(k => (
+      isNumber(value('netIncome', k)) && isNumber(value('depreciationAndAmortization', k))
+        ? value('netIncome', k) + value('depreciationAndAmortization', k) -
+          (value('gainOnSaleOfRealEstate', k) || 0) + (value('impairmentOfRealEstate', k) || 0)
+        : null
+    ));
+  }
+};
+
+// Labels and formulas of the template metrics, in the shape of the ratio library's definitions (lib/ratios.js)
+export const TEMPLATE_METRIC_DEFINITIONS = {
+  bank: [
+    { key: 'netInterestMargin', label: 'Net Interest Margin', category: 'Banking', unit: 'percent', formula: 'Net interest income / average total assets' },
+    { key: 'efficiencyRatio', label: 'Efficiency Ratio', category: 'Banking', unit: 'percent', formula: 'Noninterest expense / (net interest income + noninterest income)' },
+    { key: 'provisionToLoans', label: 'Provision to Loans', category: 'Banking', unit: 'percent', formula: 'Provision for credit losses / loans' },
+    { key: 'loansToDeposits', label: 'Loans to Deposits', category: 'Banking', unit: 'percent', formula: 'Loans / deposits' }
+  ],
+  insurance: [
+    { key: 'lossRatio', label: 'Loss Ratio', category: 'Insurance', unit: 'percent', formula: 'Losses and loss adjustment expenses / premiums earned' },
+    { key: 'expenseRatio', label: 'Expense Ratio', category: 'Insurance', unit: 'percent', formula: '(Policy acquisition costs + other underwriting expenses) / premiums earned' },
+    { key: 'combinedRatio', label: 'Combined Ratio', category: 'Insurance', unit: 'percent', formula: 'Loss ratio + expense ratio' }
+  ],
+  reit: [
+    { key: 'ffoPerShare', label: 'FFO per Share', category: 'REIT', unit: 'perShare', formula: 'Funds from operations / shares outstanding' },
+    { key: 'ffoMargin', label: 'FFO Margin', category: 'REIT', unit: 'percent', formula: 'Funds from operations / revenue' }
+  ]
+};
+
+// Template ratios for the latest year, in percentage points like the other key metrics.
+// `is` and `bs` are flat { line: value }; priorTotalAssets turns the NIM denominator into an average.
+export const calculateTemplateMetrics = (template, { is, bs, priorTotalAssets }) => {
+  if (template === 'bank') {
+    const averageAssets = bs.totalAssets && priorTotalAssets ? (bs.totalAssets + priorTotalAssets) / 2 : bs.totalAssets;
+    const netRevenue = isNumber(is.netInterestIncome) ? is.netInterestIncome + (is.noninterestIncome || 0) : null;
+    return {
+      // Interest-earning assets are not tagged consistently, so average total assets stand in for them
+      netInterestMargin: percent(is.netInterestIncome, averageAssets),
+      efficiencyRatio: percent(is.noninterestExpense, netRevenue),
+      provisionToLoans: percent(is.provisionForCreditLosses, bs.loans),
+      loansToDeposits: percent(bs.loans, bs.deposits)
+    };
+  }
+
+  if (template === 'insurance') {
+    const underwritingExpenses = (is.policyAcquisitionCosts || 0) + (is.otherUnderwritingExpenses || 0) || null;
+    const lossRatio = percent(is.lossesAndLossAdjustmentExpenses, is.premiumsEarned);
+    const expenseRatio = percent(underwritingExpenses, is.premiumsEarned);
+    return {
+      lossRatio,
+      expenseRatio,
+      combinedRatio: lossRatio !== null && expenseRatio !== null ? Number((lossRatio + expenseRatio).toFixed(2)) : null
+    };
+  }
+
+  if (template === 'reit') {
+    return {
+      ffoPerShare: isNumber(is.fundsFromOperations) && is.sharesOutstanding > 0
+        ? Number((is.fundsFromOperations / is.sharesOutstanding).toFixed(2))
+        : null,
+      ffoMargin: percent(is.fundsFromOperations, is.revenues)
+    };
+  }
+
+  return {};
+};
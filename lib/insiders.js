@@ -0,0 +1,218 @@
+// Insider transactions from the Form 4 filings listed in a company's submissions. Each Form 4 carries an ownership
+// XML document (the primary document without its xslF345X05/ rendering prefix) with the reporting owners and their
+// non-derivative and derivative transactions.
+import { EdgarOfflineError } from './edgar';
+import { getFilingSource } from './filing-documents';
+import { findRecentFilings } from './filings';
+import { parseXml, textOf } from './xbrl-instance';
+
+export const INSIDER_FORMS = ['4'];
+
+export const DEFAULT_INSIDER_FILINGS = 40;
+export const MAX_INSIDER_FILINGS = 200;
+
+// Ownership documents read at a time; the shared rate limiter still paces the requests
+const OWNERSHIP_CONCURRENCY = 5;
+
+// Form 4 transaction codes (General Instruction 8)
+export const TRANSACTION_CODES = {
+  P: 'Open market purchase',
+  S: 'Open market sale',
+  A: 'Grant or award',
+  D: 'Disposition to the issuer',
+  F: 'Tax withholding',
+  I: 'Discretionary transaction',
+  M: 'Option exercise',
+  C: 'Conversion',
+  E: 'Expiration of short derivative position',
+  H: 'Expiration of long derivative position',
+  O: 'Exercise of out-of-the-money derivative',
+  X: 'Exercise of in-the-money derivative',
+  G: 'Gift',
+  L: 'Small acquisition',
+  W: 'Acquisition or disposition by will',
+  Z: 'Voting trust deposit or withdrawal',
+  J: 'Other acquisition or disposition',
+  K: 'Equity swap',
+  U: 'Tender in change of control',
+  V: 'Voluntarily reported earlier'
+};
+
+// Only open market trades say anything about what insiders think of the price; grants, exercises and tax
+// withholding are compensation mechanics
+const BUY_CODE = 'P';
+const SELL_CODE = 'S';
+
+// ownershipDocument elements are unprefixed; every element parses as an array (see lib/xbrl-instance.js)
+const child = (node, name) => (node && typeof node === 'object' ? (node[name] || [])[0] : undefined);
+const children = (node, name) => (node && typeof node === 'object' ? node[name] || [] : []);
+
+const textAt = (node, ...path) => {
+  const target = path.reduce((current, name) => child(current, name), node);
+  if (target === undefined) return null;
+  return textOf(target).trim() || null;
+};
+
+const numberAt = (node, ...path) => {
+  const text = textAt(node, ...path);
+  const number = text === null ? NaN : Number(text.replace(/,/g, ''));
+  return isNaN(number) ? null : number;
+};
+
+const flag = (value) => value === '1' || String(value).toLowerCase() === 'true';
+
+// "Director, Chief Executive Officer, 10% Owner"
+const relationshipOf = ({ isDirector, isOfficer, officerTitle, isTenPercentOwner, isOther, otherText }) => [
+  isDirector && 'Director',
+  isOfficer && (officerTitle || 'Officer'),
+  isTenPercentOwner && '10% Owner',
+  isOther && (otherText || 'Other')
+].filter(Boolean).join(', ');
+
+const parseOwner = (node) => {
+  const relationship = child(node, 'reportingOwnerRelationship');
+  const owner = {
+    cik: textAt(node, 'reportingOwnerId', 'rptOwnerCik'),
+    name: textAt(node, 'reportingOwnerId', 'rptOwnerName'),
+    isDirector: flag(textAt(relationship, 'isDirector')),
+    isOfficer: flag(textAt(relationship, 'isOfficer')),
+    officerTitle: textAt(relationship, 'officerTitle'),
+    isTenPercentOwner: flag(textAt(relationship, 'isTenPercentOwner')),
+    isOther: flag(textAt(relationship, 'isOther')),
+    otherText: textAt(relationship, 'otherText')
+  };
+  return { ...owner, relationship: relationshipOf(owner) };
+};
+
+const parseTransaction = (node, derivative) => {
+  const shares = numberAt(node, 'transactionAmounts', 'transactionShares', 'value');
+  const price = numberAt(node, 'transactionAmounts', 'transactionPricePerShare', 'value');
+  const code = textAt(node, 'transactionCoding', 'transactionCode');
+  return {
+    security: textAt(node, 'securityTitle', 'value'),
+    date: textAt(node, 'transactionDate', 'value'),
+    code,
+    codeLabel: TRANSACTION_CODES[code] || null,
+    acquiredDisposed: textAt(node, 'transactionAmounts', 'transactionAcquiredDisposedCode', 'value'),
+    shares,
+    price,
+    value: shares !== null && price ? shares * price : null,
+    sharesOwnedAfter: numberAt(node, 'postTransactionAmounts', 'sharesOwnedFollowingTransaction', 'value'),
+    ownership: textAt(node, 'ownershipNature', 'directOrIndirectOwnership', 'value'),
+    derivative
+  };
+};
+
+// Returns { issuer: { cik, name, ticker }, owners: [{ cik, name, relationship, isDirector, ... }],
+//   transactions: [{ security, date, code, codeLabel, acquiredDisposed, shares, price, value, sharesOwnedAfter,
+//   ownership, derivative }] }. Holdings without a transaction (the tables' *Holding rows) are left out.
+export const parseOwnershipDocument = (text) => {
+  const document = child(parseXml(text), 'ownershipDocument');
+  if (!document) return null;
+  const issuer = child(document, 'issuer');
+  return {
+    issuer: {
+      cik: textAt(issuer, 'issuerCik'),
+      name: textAt(issuer, 'issuerName'),
+      ticker: textAt(issuer, 'issuerTradingSymbol')
+    },
+    owners: children(document, 'reportingOwner').map(parseOwner),
+    transactions: [
+      ...children(child(document, 'nonDerivativeTable'), 'nonDerivativeTransaction').map(node => parseTransaction(node, false)),
+      ...children(child(document, 'derivativeTable'), 'derivativeTransaction').map(node => parseTransaction(node, true))
+    ]
+  };
+};
+
+// "2024Q1" for a transaction date
+const quarterOf = (date) => `${date.slice(0, 4)}Q${Math.floor((Number(date.slice(5, 7)) - 1) / 3) + 1}`;
+
+// Open market buying and selling per calendar quarter, newest first:
+// [{ quarter, buys: { count, shares, value }, sells: { count, shares, value }, netShares, netValue }]
+export const summarizeByQuarter = (transactions) => {
+  const quarters = new Map();
+  transactions
+    .filter(({ code, date, derivative }) => !derivative && date && (code === BUY_CODE || code === SELL_CODE))
+    .forEach(({ code, date, shares, value }) => {
+      const quarter = quarterOf(date);
+      if (!quarters.has(quarter)) {
+        quarters.set(quarter, { quarter, buys: { count: 0, shares: 0, value: 0 }, sells: { count: 0, shares: 0, value: 0 } });
+      }
+      const side = quarters.get(quarter)[code === BUY_CODE ? 'buys' : 'sells'];
+      side.count++;
+      side.shares += shares || 0;
+      side.value += value || 0;
+    });
+  return [...quarters.values()]
+    .sort((a, b) => b.quarter.localeCompare(a.quarter))
+    .map(entry => ({
+      ...entry,
+      netShares: entry.buys.shares - entry.sells.shares,
+      netValue: entry.buys.value - entry.sells.value
+    }));
+};
+
+// The ownership XML of one Form 4, parsed; only the parsed document is cached
+const getOwnershipDocument = (cik, filing, { cacheLog } = {}) => getFilingSource().getDocument(
+  cik,
+  filing.accessionNumber,
+  filing.primaryDocument.split('/').pop(),
+  { cacheKey: `ownership-${filing.accessionNumber}`, parse: parseOwnershipDocument, cacheLog }
+);
+
+// Insider transactions in the company's latest `limit` Form 4 filings (amendments included), filed between
+// from and to (YYYY-MM-DD, inclusive). Each transaction row carries its filing and reporting owners.
+// Returns { company, total (Form 4s read), filings, skipped, transactions (newest first), quarters }. A filing whose
+// ownership document is missing or cannot be read, or that reports another issuer's stock (the company filing as an
+// owner), is skipped and listed by accession number in `skipped`.
+export const getInsiderTransactions = async (cik, { from = null, to = null, limit = DEFAULT_INSIDER_FILINGS, cacheLog } = {}) => {
+  const { company, filings } = await findRecentFilings(cik, { forms: INSIDER_FORMS, from, to, limit, cacheLog });
+  const selected = filings.filter(filing => filing.primaryDocument);
+
+  const documents = [];
+  for (let i = 0; i < selected.length; i += OWNERSHIP_CONCURRENCY) {
+    documents.push(...await Promise.all(selected.slice(i, i + OWNERSHIP_CONCURRENCY).map(async filing => {
+      try {
+        return await getOwnershipDocument(cik, filing, { cacheLog });
+      } catch (error) {
+        // Offline, every document fails alike; otherwise one bad filing must not hide the others
+        if (error instanceof EdgarOfflineError) throw error;
+        console.warn(`Skipping Form 4 ${filing.accessionNumber}: ${error.message}`);
+        return null;
+      }
+    })));
+  }
+
+  const transactions = [];
+  const skipped = [];
+  selected.forEach((filing, i) => {
+    const document = documents[i];
+    if (!document || Number(document.issuer.cik) !== Number(cik)) {
+      skipped.push(filing.accessionNumber);
+      return;
+    }
+    const owners = document.owners.map(({ cik: ownerCik, name, relationship }) => ({ cik: ownerCik, name, relationship }));
+    document.transactions.forEach(transaction => {
+      transactions.push({
+        accessionNumber: filing.accessionNumber,
+        form: filing.form,
+        filingDate: filing.filingDate,
+        documentUrl: filing.documentUrl,
+        owner: owners.map(owner => owner.name).join('; '),
+        relationship: owners.map(owner => owner.relationship).filter(Boolean).join('; '),
+        owners,
+        ...transaction
+      });
+    });
+  });
+
+  transactions.sort((a, b) => (b.date || '').localeCompare(a.date || '') || b.filingDate.localeCompare(a.filingDate));
+  return {
+    company,
+    total: selected.length,
+    filings: selected.length - skipped.length,
+    skipped,
+    transactions,
+    quarters: summarizeByQuarter(transactions)
+  };
+};
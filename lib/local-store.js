@@ -0,0 +1,288 @@
+// Local store of SEC's nightly bulk archives (companyfacts.zip, submissions.zip), filled by `npm run ingest`.
+// With SEC_DATA_SOURCE=local the EDGAR client serves company facts, submissions and the ticker lists from here.
+// Layout under SEC_LOCAL_STORE_DIR, one gzipped document per file, sharded by the CIK's last three digits:
+//   index.json                                   { version, ingestedAt, sources, companies: { [cik]: entry } }
+//   companyfacts/193/CIK0000320193.json.gz
+//   submissions/193/CIK0000320193.json.gz        (and paged-out CIK0000320193-submissions-001.json.gz)
+// 13F holdings from SEC's Form 13F data sets sit beside them, one document per issuer (the CUSIP's first six
+// characters), sharded by its first two:
+//   holdings/index.json                          { version, ingestedAt, sources, filers, reports, issuers }
+//   holdings/03/037833.json.gz                   { issuer, periods: { [period]: { [filer cik]: { accession, rows } } } }
+// Only node built-ins here: scripts/ingest-sec-bulk.mjs imports this module outside of Next.
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+export const localStoreConfig = {
+  dir: process.env.SEC_LOCAL_STORE_DIR || null
+};
+
+export const STORE_VERSION = 1;
+
+// In ingest order: submissions first, so company facts land on indexed companies
+export const STORE_COLLECTIONS = ['submissions', 'companyfacts'];
+
+// Bulk archive members worth keeping: CIK0000320193.json and CIK0000320193-submissions-001.json
+export const DOCUMENT_NAME_PATTERN = /^CIK(\d{10})(-submissions-\d{3})?\.json$/;
+
+// The store is missing, unreadable or from an incompatible ingest
+export class LocalStoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LocalStoreError';
+  }
+}
+
+const INDEX_FILE = 'index.json';
+
+export const HOLDINGS_COLLECTION = 'holdings';
+
+// The issuer part of a CUSIP
+export const ISSUER_PATTERN = /^[0-9A-Z]{6}$/;
+
+const documentPath = (dir, collection, name) => {
+  const [, cik] = DOCUMENT_NAME_PATTERN.exec(name) || [];
+  if (!cik) throw new LocalStoreError(`Not a store document name: ${name}`);
+  return path.join(dir, collection, cik.slice(-3), `${name}.gz`);
+};
+
+const holdingsPath = (dir, issuer) => {
+  if (!ISSUER_PATTERN.test(issuer)) throw new LocalStoreError(`Not a CUSIP issuer number: ${issuer}`);
+  return path.join(dir, HOLDINGS_COLLECTION, issuer.slice(0, 2), `${issuer}.json.gz`);
+};
+
+const requireDir = () => {
+  if (!localStoreConfig.dir) {
+    throw new LocalStoreError('The local store needs SEC_LOCAL_STORE_DIR pointing at an ingested store');
+  }
+  return localStoreConfig.dir;
+};
+
+// READING
+
+let loadedIndex = null;
+
+// index.json, reloaded when a new ingest rewrites it
+export const readStoreIndex = async () => {
+  const file = path.join(requireDir(), INDEX_FILE);
+  let stat;
+  try {
+    stat = await fs.promises.stat(file);
+  } catch (error) {
+    throw new LocalStoreError(`No local store at ${localStoreConfig.dir} (run npm run ingest first): ${error.message}`);
+  }
+  if (loadedIndex?.file === file && loadedIndex.mtimeMs === stat.mtimeMs) return loadedIndex.index;
+
+  let index;
+  try {
+    index = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new LocalStoreError(`Cannot read local store index ${file}: ${error.message}`);
+  }
+  if (index.version !== STORE_VERSION) {
+    throw new LocalStoreError(`Local store ${localStoreConfig.dir} is version ${index.version}; re-run npm run ingest`);
+  }
+  // Ticker lists derived from the index, built once per index so search-index can keep its prebuilt copy
+  loadedIndex = { file, mtimeMs: stat.mtimeMs, index, tickerFiles: null };
+  return index;
+};
+
+// One document by archive name, e.g. readDocument('submissions', 'CIK0000320193.json'); null when not stored.
+// The index is checked first, so a missing store fails instead of looking empty.
+export const readDocument = async (collection, name) => {
+  await readStoreIndex();
+  const file = documentPath(requireDir(), collection, name);
+  try {
+    return JSON.parse((await gunzip(await fs.promises.readFile(file))).toString('utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new LocalStoreError(`Cannot read ${collection} document ${file}: ${error.message}`);
+  }
+};
+
+// company_tickers.json and company_tickers_exchange.json, in SEC's shapes, from the submissions in the index
+export const readTickerFiles = async () => {
+  const index = await readStoreIndex();
+  if (loadedIndex.tickerFiles) return loadedIndex.tickerFiles;
+
+  const listings = Object.entries(index.companies).flatMap(([cik, company]) => (
+    (company.tickers || []).map((ticker, i) => ({ cik: Number(cik), name: company.name, ticker, exchange: company.exchanges?.[i] || null }))
+  ));
+  loadedIndex.tickerFiles = {
+    tickers: Object.fromEntries(listings.map(({ cik, name, ticker }, i) => [i, { cik_str: cik, ticker, title: name }])),
+    tickersExchange: {
+      fields: ['cik', 'name', 'ticker', 'exchange'],
+      data: listings.map(({ cik, name, ticker, exchange }) => [cik, name, ticker, exchange])
+    }
+  };
+  return loadedIndex.tickerFiles;
+};
+
+// Companies in the index registered under a SIC code: [{ cik, name, state }]
+export const listCompaniesBySic = async (sic) => {
+  const index = await readStoreIndex();
+  return Object.entries(index.companies)
+    .filter(([, company]) => company.sic && Number(company.sic) === Number(sic))
+    .map(([cik, company]) => ({ cik, name: company.name, state: company.state || null }));
+};
+
+let loadedHoldingsIndex = null;
+
+// holdings/index.json, reloaded when a new ingest rewrites it
+export const readHoldingsIndex = async () => {
+  const file = path.join(requireDir(), HOLDINGS_COLLECTION, INDEX_FILE);
+  let stat;
+  try {
+    stat = await fs.promises.stat(file);
+  } catch (error) {
+    throw new LocalStoreError(`No 13F holdings in ${localStoreConfig.dir} (run npm run ingest with a Form 13F data set): ${error.message}`);
+  }
+  if (loadedHoldingsIndex?.file === file && loadedHoldingsIndex.mtimeMs === stat.mtimeMs) return loadedHoldingsIndex.index;
+
+  let index;
+  try {
+    index = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new LocalStoreError(`Cannot read holdings index ${file}: ${error.message}`);
+  }
+  if (index.version !== STORE_VERSION) {
+    throw new LocalStoreError(`Holdings in ${localStoreConfig.dir} are version ${index.version}; re-run npm run ingest`);
+  }
+  loadedHoldingsIndex = { file, mtimeMs: stat.mtimeMs, index };
+  return index;
+};
+
+// The 13F positions in one issuer's securities, by the CUSIP's first six characters; null when none are stored
+export const readIssuerHoldings = async (issuer) => {
+  const file = holdingsPath(requireDir(), issuer);
+  try {
+    return JSON.parse((await gunzip(await fs.promises.readFile(file))).toString('utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new LocalStoreError(`Cannot read holdings document ${file}: ${error.message}`);
+  }
+};
+
+// WRITING (scripts/ingest-sec-bulk.mjs)
+
+// Index entry for a company from its submissions document. Filers with neither a SIC code nor a ticker
+// (individuals, most funds) are left out of the index; their documents are still stored and readable by CIK.
+export const indexEntry = (submissions) => {
+  if (!submissions?.sic && !(submissions?.tickers || []).length) return null;
+  return {
+    name: submissions.name || null,
+    tickers: submissions.tickers || [],
+    exchanges: submissions.exchanges || [],
+    sic: submissions.sic || null,
+    sicDescription: submissions.sicDescription || null,
+    state: submissions.addresses?.business?.stateOrCountry || null
+  };
+};
+
+// Writes documents into `dir` and the index last, so a store is only ever read with a complete index.
+// An existing index is extended: ingest submissions.zip and companyfacts.zip in either order, or one again later.
+export const createStoreWriter = async (dir) => {
+  let index = { version: STORE_VERSION, ingestedAt: null, sources: {}, companies: {} };
+  try {
+    const existing = JSON.parse(await fs.promises.readFile(path.join(dir, INDEX_FILE), 'utf8'));
+    if (existing.version === STORE_VERSION) index = existing;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new LocalStoreError(`Cannot read existing index in ${dir}: ${error.message}`);
+  }
+  const createdDirs = new Set();
+
+  const writeDocument = async (collection, name, text) => {
+    const file = documentPath(dir, collection, name);
+    const parent = path.dirname(file);
+    if (!createdDirs.has(parent)) {
+      await fs.promises.mkdir(parent, { recursive: true });
+      createdDirs.add(parent);
+    }
+    await fs.promises.writeFile(file, await gzip(text));
+  };
+
+  // Companies are keyed by the padded CIK; `facts` marks the ones with XBRL company facts
+  const updateCompany = (cik, fields) => {
+    const current = index.companies[cik];
+    if (!current && !fields.name) {
+      // Facts for a filer whose submissions are not (yet) ingested: keep a stub so the flag survives
+      index.companies[cik] = { name: null, tickers: [], exchanges: [], sic: null, sicDescription: null, state: null, ...fields };
+      return;
+    }
+    index.companies[cik] = { ...current, ...fields };
+  };
+
+  const finish = async (source, { file, documents }) => {
+    index.ingestedAt = new Date().toISOString();
+    index.sources[source] = { file: path.basename(file), documents, ingestedAt: index.ingestedAt };
+    const target = path.join(dir, INDEX_FILE);
+    await fs.promises.writeFile(`${target}.tmp`, JSON.stringify(index));
+    await fs.promises.rename(`${target}.tmp`, target);
+    return index;
+  };
+
+  return { writeDocument, updateCompany, finish };
+};
+
+// Writes 13F holdings into `dir`, merging with what earlier data sets stored, and holdings/index.json last.
+// `reports` names the one report counted per filer and period ({ [period]: { [cik]: [accession, filingDate] } });
+// rows stored under another accession, e.g. an original since restated, are ignored by readers.
+export const createHoldingsWriter = async (dir) => {
+  const indexFile = path.join(dir, HOLDINGS_COLLECTION, INDEX_FILE);
+  let index = { version: STORE_VERSION, ingestedAt: null, sources: {}, filers: {}, reports: {}, issuers: {} };
+  try {
+    const existing = JSON.parse(await fs.promises.readFile(indexFile, 'utf8'));
+    if (existing.version === STORE_VERSION) index = existing;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new LocalStoreError(`Cannot read existing holdings index in ${dir}: ${error.message}`);
+  }
+  const createdDirs = new Set();
+
+  // The report to count for a filer and period: the one filed last. Returns false when a later one is stored.
+  // The filer's name is taken from its latest report in any period.
+  const updateReport = (period, cik, name, accession, filingDate) => {
+    const current = index.reports[period]?.[cik];
+    if (current && current[1] > filingDate) return false;
+    const latest = Object.values(index.reports).every(reports => !reports[cik] || reports[cik][1] <= filingDate);
+    index.reports[period] = { ...index.reports[period], [cik]: [accession, filingDate] };
+    if (name && (latest || !index.filers[cik])) index.filers[cik] = name;
+    return true;
+  };
+
+  // periods: { [period]: { [filer cik]: { accession, rows } } }, replacing the filers' earlier rows for the period
+  const updateIssuer = async (issuer, names, periods) => {
+    const file = holdingsPath(dir, issuer);
+    let document = { issuer, periods: {} };
+    try {
+      document = JSON.parse((await gunzip(await fs.promises.readFile(file))).toString('utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new LocalStoreError(`Cannot read holdings document ${file}: ${error.message}`);
+    }
+    Object.entries(periods).forEach(([period, filers]) => {
+      document.periods[period] = { ...document.periods[period], ...filers };
+    });
+
+    const parent = path.dirname(file);
+    if (!createdDirs.has(parent)) {
+      await fs.promises.mkdir(parent, { recursive: true });
+      createdDirs.add(parent);
+    }
+    await fs.promises.writeFile(file, await gzip(JSON.stringify(document)));
+    index.issuers[issuer] = [...new Set([...(index.issuers[issuer] || []), ...names])];
+  };
+
+  const finish = async ({ file, reports, positions }) => {
+    index.ingestedAt = new Date().toISOString();
+    index.sources[path.basename(file)] = { reports, positions, ingestedAt: index.ingestedAt };
+    await fs.promises.mkdir(path.dirname(indexFile), { recursive: true });
+    await fs.promises.writeFile(`${indexFile}.tmp`, JSON.stringify(index));
+    await fs.promises.rename(`${indexFile}.tmp`, indexFile);
+    return index;
+  };
+
+  return { updateReport, updateIssuer, finish };
+};
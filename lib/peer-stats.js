@@ -0,0 +1,47 @@
+// Peer metrics and statistics for the comparison view (used in the browser and on the server)
+
+// Ratios compared across peers. Percent metrics come from keyMetrics in percentage points (43.3 = 43.3%).
+export const PEER_METRICS = [
+  { key: 'grossMargin', label: 'Gross Margin', format: 'percent', higherIsBetter: true },
+  { key: 'operatingMargin', label: 'Operating Margin', format: 'percent', higherIsBetter: true },
+  { key: 'netMargin', label: 'Net Margin', format: 'percent', higherIsBetter: true },
+  { key: 'returnOnAssets', label: 'Return on Assets', format: 'percent', higherIsBetter: true },
+  { key: 'returnOnEquity', label: 'Return on Equity', format: 'percent', higherIsBetter: true },
+  { key: 'returnOnInvestedCapital', label: 'Return on Invested Capital', format: 'percent', higherIsBetter: true },
+  { key: 'currentRatio', label: 'Current Ratio', format: 'multiple', higherIsBetter: true },
+  { key: 'quickRatio', label: 'Quick Ratio', format: 'multiple', higherIsBetter: true },
+  { key: 'debtToEquity', label: 'Debt to Equity', format: 'multiple', higherIsBetter: false },
+  { key: 'debtToAssets', label: 'Debt to Assets', format: 'percent', higherIsBetter: false },
+  { key: 'netDebtToEbitda', label: 'Net Debt to EBITDA', format: 'multiple', higherIsBetter: false },
+  { key: 'interestCoverage', label: 'Interest Coverage', format: 'multiple', higherIsBetter: true },
+  { key: 'assetTurnover', label: 'Asset Turnover', format: 'multiple', higherIsBetter: true }
+];
+
+export const median = (values) => {
+  const sorted = values.filter(v => typeof v === 'number' && !isNaN(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Same definition as Excel's PERCENTRANK.INC, so the page and the workbook agree: share of the
+// other values strictly below this one (0 = lowest, 100 = highest)
+export const percentileRank = (values, value) => {
+  const numbers = values.filter(v => typeof v === 'number' && !isNaN(v));
+  if (value === null || value === undefined || numbers.length < 2) return null;
+  const below = numbers.filter(v => v < value).length;
+  return Math.round((below / (numbers.length - 1)) * 100);
+};
+
+// rows: [{ company, keyMetrics }] -> per-metric median and each company's percentile rank
+export const buildPeerStats = (rows) => {
+  const stats = {};
+  PEER_METRICS.forEach(({ key }) => {
+    const values = rows.map(row => row.keyMetrics?.[key] ?? null);
+    stats[key] = {
+      median: median(values),
+      ranks: values.map(value => percentileRank(values, value))
+    };
+  });
+  return stats;
+};
@@ -0,0 +1,50 @@
+// SIC-based peer groups: filers registered under the same SIC code on EDGAR
+import { XMLParser } from 'fast-xml-parser';
+import { config, edgarFetchCachedJson, CACHE_TTLS, isLocalDataSource } from './edgar';
+import { listCompaniesBySic } from './local-store';
+
+const PAGE_SIZE = 100;
+
+const xmlParser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '' });
+
+const asArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+// EDGAR's company browse feed (action=getcompany&SIC=...&output=atom), one entry per filer
+export const parseSicCompanyFeed = (xml) => {
+  const feed = xmlParser.parse(xml)?.feed;
+  return asArray(feed?.entry).map(entry => {
+    const info = entry.content?.['company-info'] || entry.content || {};
+    const idMatch = String(entry.id || entry.link?.href || '').match(/CIK=?(\d+)/i);
+    const cik = info.cik ?? idMatch?.[1];
+    if (!cik) return null;
+    return {
+      cik: String(cik).padStart(10, '0'),
+      name: info.name || info['conformed-name'] || entry.title || null,
+      state: info.state || null
+    };
+  }).filter(Boolean);
+};
+
+// Filers registered under a SIC code, up to maxPages * 100. The local store answers from its index.
+export const getCompaniesBySic = async (sic, { maxPages = 3, cacheLog } = {}) => {
+  if (isLocalDataSource()) {
+    if (cacheLog) cacheLog.sicCompanies = 'LOCAL';
+    return (await listCompaniesBySic(sic)).slice(0, maxPages * PAGE_SIZE);
+  }
+
+  const companies = [];
+  for (let page = 0; page < maxPages; page++) {
+    const url = `${config.wwwBaseUrl}/cgi-bin/browse-edgar?action=getcompany&SIC=${encodeURIComponent(sic)}` +
+      `&type=10-K&owner=include&start=${page * PAGE_SIZE}&count=${PAGE_SIZE}&output=atom`;
+    const pageCompanies = await edgarFetchCachedJson(`sic-${sic}-${page}`, url, {
+      resource: 'sicCompanies',
+      ttlMs: CACHE_TTLS.tickers,
+      cacheLog,
+      accept: 'application/atom+xml',
+      parse: async (response) => parseSicCompanyFeed(await response.text())
+    });
+    companies.push(...pageCompanies);
+    if (pageCompanies.length < PAGE_SIZE) break;
+  }
+  return companies;
+};
@@ -0,0 +1,139 @@
+// Share prices for valuation multiples, through a pluggable provider.
+// A provider is { name, getClose(ticker, date) } resolving to the last close on or before the date,
+// { date: 'YYYY-MM-DD', close }, or null. PRICE_PROVIDER picks one by name; registerPriceProvider adds more.
+import fs from 'fs';
+import path from 'path';
+
+export const priceConfig = {
+  // Unset = the file provider when PRICE_FILE is set, otherwise no prices (multiples stay null)
+  provider: process.env.PRICE_PROVIDER || null,
+  file: process.env.PRICE_FILE || null
+};
+
+// A close this many days before the requested date still counts (weekends, holidays, thin trading)
+export const MAX_PRICE_AGE_DAYS = 7;
+
+// The provider is misconfigured: unknown name, or a price file that cannot be read or parsed
+export class PriceProviderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PriceProviderError';
+  }
+}
+
+const isValidRow = (row) => /^\d{4}-\d{2}-\d{2}$/.test(row.date) && typeof row.close === 'number' && isFinite(row.close) && row.close > 0;
+
+// CSV with a header row naming ticker, date and close columns (any order; other columns are ignored)
+const parseCsv = (text) => {
+  const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim());
+  const columns = (header || '').split(',').map(column => column.trim().toLowerCase());
+  const index = Object.fromEntries(['ticker', 'date', 'close'].map(name => [name, columns.indexOf(name)]));
+  const missing = Object.entries(index).filter(([, i]) => i === -1).map(([name]) => name);
+  if (missing.length > 0) throw new Error(`CSV header lacks ${missing.join(', ')}`);
+
+  return lines.map(line => {
+    const cells = line.split(',').map(cell => cell.trim());
+    return { ticker: cells[index.ticker], date: cells[index.date], close: Number(cells[index.close]) };
+  });
+};
+
+// JSON as { "AAPL": [{ "date", "close" }] } or [{ "ticker", "date", "close" }]
+const parseJson = (text) => {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return data;
+  return Object.entries(data).flatMap(([ticker, rows]) => (rows || []).map(row => ({ ticker, ...row })));
+};
+
+const daysBetween = (from, to) => (new Date(to) - new Date(from)) / 86400000;
+
+// The last close on or before `date`, no older than MAX_PRICE_AGE_DAYS: { date, close } or null
+export const closeOnOrBefore = (prices, date) => {
+  const close = prices
+    .filter(row => row.date <= date)
+    .reduce((latest, row) => (!latest || row.date > latest.date ? row : latest), null);
+  return close && daysBetween(close.date, date) <= MAX_PRICE_AGE_DAYS ? close : null;
+};
+
+// Closes grouped by upper-case ticker
+const groupByTicker = (rows) => {
+  const byTicker = new Map();
+  rows.filter(row => row.ticker && isValidRow(row)).forEach(({ ticker, date, close }) => {
+    const key = ticker.toUpperCase();
+    if (!byTicker.has(key)) byTicker.set(key, []);
+    byTicker.get(key).push({ date, close });
+  });
+  return byTicker;
+};
+
+// Local price file, .csv or .json, read once on first use
+export const createFilePriceProvider = (file) => {
+  if (!file) throw new PriceProviderError('PRICE_FILE is not set');
+  let byTicker = null;
+
+  const load = () => {
+    if (byTicker) return byTicker;
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw new PriceProviderError(`Cannot read price file ${file}: ${error.message}`);
+    }
+    try {
+      byTicker = groupByTicker(path.extname(file).toLowerCase() === '.csv' ? parseCsv(text) : parseJson(text));
+    } catch (error) {
+      throw new PriceProviderError(`Cannot parse price file ${file}: ${error.message}`);
+    }
+    return byTicker;
+  };
+
+  return {
+    name: 'file',
+    getClose: async (ticker, date) => closeOnOrBefore(load().get(String(ticker).toUpperCase()) || [], date)
+  };
+};
+
+// Fixed prices for tests and demos: { [ticker]: [{ date, close }] }. Tickers not listed trade flat at `defaultClose`.
+export const createMockPriceProvider = (prices = {}, { defaultClose = 100 } = {}) => {
+  const byTicker = groupByTicker(Object.entries(prices).flatMap(([ticker, rows]) => rows.map(row => ({ ticker, ...row }))));
+  return {
+    name: 'mock',
+    getClose: async (ticker, date) => {
+      const closes = byTicker.get(String(ticker).toUpperCase());
+      if (closes) return closeOnOrBefore(closes, date);
+      return defaultClose ? { date, close: defaultClose } : null;
+    }
+  };
+};
+
+const providerFactories = {
+  file: () => createFilePriceProvider(priceConfig.file),
+  mock: () => createMockPriceProvider()
+};
+
+let activeProvider;
+
+// Add a provider under a name PRICE_PROVIDER can select; factory() returns { name, getClose }
+export const registerPriceProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  activeProvider = undefined;
+};
+
+// Replace the configured provider (e.g. with a mock); null turns prices off
+export const setPriceProvider = (provider) => {
+  activeProvider = provider;
+};
+
+// The configured provider, or null when prices are not configured. Throws PriceProviderError for an unknown name.
+export const getPriceProvider = () => {
+  if (activeProvider !== undefined) return activeProvider;
+  const name = priceConfig.provider || (priceConfig.file ? 'file' : null);
+  if (!name) {
+    activeProvider = null;
+    return activeProvider;
+  }
+  if (!providerFactories[name]) {
+    throw new PriceProviderError(`Unknown price provider "${name}" (available: ${Object.keys(providerFactories).join(', ')})`);
+  }
+  activeProvider = providerFactories[name]();
+  return activeProvider;
+};
@@ -0,0 +1,152 @@
+// Discrete-quarter and trailing-twelve-month derivation from XBRL duration facts.
+// 10-Q filings report most flow items year-to-date (3M, 6M, 9M), and Q4 only ever appears as
+// part of the 10-K full year, so true quarters have to be reconstructed by subtraction.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const QUARTER_DAYS = 91.3;
+
+const PERIODIC_FORMS = ['10-Q', '10-Q/A', '10-K', '10-K/A'];
+
+const daysBetween = (start, end) => (new Date(end) - new Date(start)) / DAY_MS;
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+// Number of quarters a duration covers (1 = three months ... 4 = full year), or null for odd stub periods
+const quartersInDuration = (start, end) => {
+  const days = daysBetween(start, end);
+  const quarters = Math.round(days / QUARTER_DAYS);
+  if (quarters < 1 || quarters > 4) return null;
+  // 52/53-week years and calendar quirks put real quarters within about two weeks of the nominal length
+  return Math.abs(days - quarters * QUARTER_DAYS) <= 15 ? quarters : null;
+};
+
+const isUsableValue = (v) => PERIODIC_FORMS.includes(v.form) && v.end && v.val !== null && v.val !== undefined && !isNaN(v.val);
+
+// The same period is repeated as a comparative in later filings. prefer: 'latest' keeps the latest filed
+// (possibly restated) figure, 'original' the figure first reported for the period.
+const oneFactPerPeriod = (values, keyOf, prefer = 'latest') => {
+  const byPeriod = {};
+  values.forEach(v => {
+    const key = keyOf(v);
+    const current = byPeriod[key];
+    if (!current || (prefer === 'original' ? v.filed < current.filed : v.filed > current.filed)) byPeriod[key] = v;
+  });
+  return Object.values(byPeriod);
+};
+
+// Discrete three-month values keyed by period end date. `facts` holds the XBRL facts each value came from
+// (one when reported directly, the cumulative figure and the one subtracted from it when derived).
+// kind: 'flow' (additive, e.g. revenue), 'perShare' (EPS, treated as additive) or 'shares'
+// (weighted-average counts, which cannot be subtracted and are only taken when reported directly).
+export const getDiscreteQuarters = (values, { kind = 'flow', prefer = 'latest' } = {}) => {
+  const durations = oneFactPerPeriod(
+    (values || []).filter(v => isUsableValue(v) && v.start),
+    v => `${v.start}|${v.end}`,
+    prefer
+  );
+
+  // Year-to-date facts grouped by their start date, which is the fiscal year start
+  const ytdByStart = {};
+  const fiscalYearStarts = new Set();
+  const fiscalYearEnds = {};
+  durations.forEach(v => {
+    const quarters = quartersInDuration(v.start, v.end);
+    if (!quarters) return;
+    ytdByStart[v.start] = ytdByStart[v.start] || {};
+    ytdByStart[v.start][quarters] = v;
+    if (quarters >= 2) fiscalYearStarts.add(v.start);
+    if (quarters === 4) fiscalYearEnds[v.start] = v.end;
+  });
+
+  const discrete = {};
+
+  // 1. Three-month values reported as such
+  durations.forEach(v => {
+    if (quartersInDuration(v.start, v.end) !== 1) return;
+    discrete[v.end] = { value: v.val, startDate: v.start, endDate: v.end, derived: false, facts: [v] };
+  });
+
+  // 2. Quarters hidden inside cumulative figures: Qn = YTD(n) - YTD(n-1), including Q4 = FY - 9M
+  if (kind !== 'shares') {
+    Object.values(ytdByStart).forEach(byQuarters => {
+      for (let n = 2; n <= 4; n++) {
+        const current = byQuarters[n];
+        const prior = byQuarters[n - 1];
+        if (!current || !prior || discrete[current.end]) continue;
+        discrete[current.end] = {
+          value: current.val - prior.val,
+          startDate: addDays(prior.end, 1),
+          endDate: current.end,
+          derived: true,
+          derivation: n === 4 ? 'FY - 9M' : `${n * 3}M - ${(n - 1) * 3}M`,
+          facts: [current, prior]
+        };
+      }
+    });
+  }
+
+  // Label each quarter with its fiscal year (year of the fiscal year end, as in annual mode) and quarter number
+  const starts = [...fiscalYearStarts].sort();
+  Object.values(discrete).forEach(q => {
+    const fiscalStart = starts.filter(s => s <= q.startDate && daysBetween(s, q.endDate) < 380).pop();
+    if (!fiscalStart) {
+      q.fiscalYear = null;
+      q.fiscalQuarter = null;
+      return;
+    }
+    q.fiscalQuarter = Math.min(4, Math.max(1, Math.round(daysBetween(fiscalStart, q.endDate) / QUARTER_DAYS)));
+    q.fiscalYear = new Date(fiscalYearEnds[fiscalStart] || addDays(fiscalStart, 364)).getFullYear();
+  });
+
+  return discrete;
+};
+
+// Point-in-time (balance sheet) values at each reported period end
+export const getInstantValues = (values, { prefer = 'latest' } = {}) => {
+  const instants = oneFactPerPeriod(
+    (values || []).filter(v => isUsableValue(v) && !v.start),
+    v => v.end,
+    prefer
+  );
+  return Object.fromEntries(instants.map(v => [v.end, { value: v.val, endDate: v.end, facts: [v] }]));
+};
+
+// Trailing twelve months ending at each quarter that has the three preceding contiguous quarters.
+// Flow and per-share items are summed; share counts are averaged.
+export const getTrailingTwelveMonths = (discrete, { kind = 'flow' } = {}) => {
+  const quarters = Object.values(discrete);
+  const previousQuarter = (q) => quarters.find(p => {
+    const gap = daysBetween(p.endDate, q.startDate);
+    return gap >= 0 && gap <= 7;
+  });
+
+  const ttm = {};
+  quarters.forEach(q => {
+    const chain = [q];
+    while (chain.length < 4) {
+      const previous = previousQuarter(chain[chain.length - 1]);
+      if (!previous) break;
+      chain.push(previous);
+    }
+    if (chain.length < 4) return;
+
+    const total = chain.reduce((sum, c) => sum + c.value, 0);
+    ttm[q.endDate] = {
+      value: kind === 'shares' ? total / 4 : total,
+      startDate: chain[3].startDate,
+      endDate: q.endDate,
+      fiscalYear: q.fiscalYear,
+      fiscalQuarter: q.fiscalQuarter,
+      components: chain // The four quarters summed, latest first
+    };
+  });
+  return ttm;
+};
+
+export const formatQuarterLabel = (q) => (
+  q.fiscalQuarter ? `Q${q.fiscalQuarter} FY${q.fiscalYear}` : q.endDate
+);
@@ -0,0 +1,277 @@
+// Financial ratio library. Every ratio carries its formula so the output documents how each figure was computed.
+// Balance sheet inputs are averaged over the opening and closing balance (the prior year end and the latest),
+// falling back to the closing balance when the prior year is not reported.
+
+const isNumber = (value) => value !== null && value !== undefined && !isNaN(value);
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+const divide = (numerator, denominator) => {
+  if (!isNumber(numerator) || !isNumber(denominator) || denominator === 0) return null;
+  return numerator / denominator;
+};
+
+// Percentages in percentage points (43.3 = 43.3%), like the rest of keyMetrics
+const UNIT_FORMATS = {
+  percent: { scale: 100, decimals: 2, limit: 1000 },
+  multiple: { scale: 1, decimals: 2 },
+  days: { scale: 1, decimals: 1 },
+  perShare: { scale: 1, decimals: 2 },
+  usd: { scale: 1, decimals: 0 }
+};
+
+// Total debt: borrowings due within a year plus long-term debt
+const totalDebt = (bs) => (
+  isNumber(bs.shortTermDebt) || isNumber(bs.longTermDebt) ? (bs.shortTermDebt || 0) + (bs.longTermDebt || 0) : null
+);
+
+const ebitda = (is) => (
+  isNumber(is.operatingIncome) && isNumber(is.depreciationAndAmortization) ? is.operatingIncome + is.depreciationAndAmortization : null
+);
+
+const effectiveTaxRate = (is) => {
+  const rate = divide(is.incomeTaxExpense, is.pretaxIncome);
+  // Loss years and large one-off benefits give rates that say nothing about the ongoing tax burden
+  return rate !== null && rate >= 0 && rate <= 1 ? rate : null;
+};
+
+const investedCapital = (bs) => {
+  const debt = totalDebt(bs);
+  return isNumber(bs.stockholdersEquity) ? (debt || 0) + bs.stockholdersEquity - (bs.cashAndCashEquivalents || 0) : null;
+};
+
+const marketCap = ({ price, is }) => (isNumber(price) && is.sharesOutstanding > 0 ? price * is.sharesOutstanding : null);
+
+// Enterprise value: market cap plus debt and noncontrolling interests, less cash
+const enterpriseValue = (context) => {
+  const { bs } = context;
+  const equityValue = marketCap(context);
+  if (equityValue === null) return null;
+  return equityValue + (totalDebt(bs) || 0) + (bs.noncontrollingInterest || 0) - (bs.cashAndCashEquivalents || 0);
+};
+
+// A multiple on a negative denominator (a loss, negative book value) has no meaning
+const positiveDivide = (numerator, denominator) => (denominator > 0 ? divide(numerator, denominator) : null);
+
+// Ratio definitions: key (the keyMetrics field), label, category, unit, formula and compute(context).
+// context: { is, bs, cf, prior, average(line), periodDays } with flat { line: value } statements; `prior` is the
+// balance sheet one fiscal year earlier and average(line) the averaged balance sheet line.
+export const RATIO_DEFINITIONS = [
+  // Profitability
+  {
+    key: 'grossMargin', label: 'Gross Margin', category: 'Profitability', unit: 'percent',
+    formula: 'Gross profit / revenue',
+    compute: ({ is }) => divide(is.grossProfit, is.revenues)
+  },
+  {
+    key: 'operatingMargin', label: 'Operating Margin', category: 'Profitability', unit: 'percent',
+    formula: 'Operating income / revenue',
+    compute: ({ is }) => divide(is.operatingIncome, is.revenues)
+  },
+  {
+    key: 'ebitdaMargin', label: 'EBITDA Margin', category: 'Profitability', unit: 'percent',
+    formula: '(Operating income + depreciation & amortization) / revenue',
+    compute: ({ is }) => divide(ebitda(is), is.revenues)
+  },
+  {
+    key: 'netMargin', label: 'Net Profit Margin', category: 'Profitability', unit: 'percent',
+    formula: 'Net income / revenue',
+    compute: ({ is }) => divide(is.netIncome, is.revenues)
+  },
+  {
+    key: 'effectiveTaxRate', label: 'Effective Tax Rate', category: 'Profitability', unit: 'percent',
+    formula: 'Income tax expense / pretax income (blank outside 0-100%)',
+    compute: ({ is }) => effectiveTaxRate(is)
+  },
+
+  // Returns
+  {
+    key: 'returnOnAssets', label: 'Return on Assets', category: 'Returns', unit: 'percent',
+    formula: 'Net income / average total assets',
+    compute: ({ is, average }) => divide(is.netIncome, average('totalAssets'))
+  },
+  {
+    key: 'returnOnEquity', label: 'Return on Equity', category: 'Returns', unit: 'percent',
+    formula: 'Net income / average stockholders equity',
+    compute: ({ is, average }) => divide(is.netIncome, average('stockholdersEquity'))
+  },
+  {
+    key: 'returnOnInvestedCapital', label: 'Return on Invested Capital', category: 'Returns', unit: 'percent',
+    formula: 'Operating income x (1 - effective tax rate) / average invested capital (total debt + equity - cash)',
+    compute: ({ is, bs, prior }) => {
+      const taxRate = effectiveTaxRate(is);
+      const closing = investedCapital(bs);
+      const opening = investedCapital(prior);
+      if (taxRate === null || !isNumber(is.operatingIncome) || !(closing > 0)) return null;
+      return divide(is.operatingIncome * (1 - taxRate), isNumber(opening) ? (opening + closing) / 2 : closing);
+    }
+  },
+
+  // Liquidity
+  {
+    key: 'currentRatio', label: 'Current Ratio', category: 'Liquidity', unit: 'multiple',
+    formula: 'Current assets / current liabilities',
+    compute: ({ bs }) => divide(bs.currentAssets, bs.currentLiabilities)
+  },
+  {
+    key: 'quickRatio', label: 'Quick Ratio', category: 'Liquidity', unit: 'multiple',
+    formula: '(Current assets - inventory) / current liabilities',
+    compute: ({ bs }) => (isNumber(bs.currentAssets) ? divide(bs.currentAssets - (bs.inventory || 0), bs.currentLiabilities) : null)
+  },
+  {
+    key: 'cashRatio', label: 'Cash Ratio', category: 'Liquidity', unit: 'multiple',
+    formula: 'Cash and cash equivalents / current liabilities',
+    compute: ({ bs }) => divide(bs.cashAndCashEquivalents, bs.currentLiabilities)
+  },
+
+  // Leverage
+  {
+    key: 'debtToEquity', label: 'Debt to Equity', category: 'Leverage', unit: 'multiple',
+    formula: '(Short-term debt + long-term debt) / stockholders equity',
+    compute: ({ bs }) => divide(totalDebt(bs), bs.stockholdersEquity)
+  },
+  {
+    key: 'debtToAssets', label: 'Debt to Assets', category: 'Leverage', unit: 'percent',
+    formula: '(Short-term debt + long-term debt) / total assets',
+    compute: ({ bs }) => divide(totalDebt(bs), bs.totalAssets)
+  },
+  {
+    key: 'netDebtToEbitda', label: 'Net Debt to EBITDA', category: 'Leverage', unit: 'multiple',
+    formula: '(Total debt - cash and cash equivalents) / (operating income + depreciation & amortization)',
+    compute: ({ is, bs }) => {
+      const debt = totalDebt(bs);
+      return isNumber(debt) ? divide(debt - (bs.cashAndCashEquivalents || 0), ebitda(is)) : null;
+    }
+  },
+  {
+    key: 'interestCoverage', label: 'Interest Coverage', category: 'Leverage', unit: 'multiple',
+    formula: 'Operating income / interest expense',
+    compute: ({ is }) => divide(is.operatingIncome, is.interestExpense)
+  },
+
+  // Efficiency
+  {
+    key: 'assetTurnover', label: 'Asset Turnover', category: 'Efficiency', unit: 'multiple',
+    formula: 'Revenue / average total assets',
+    compute: ({ is, average }) => divide(is.revenues, average('totalAssets'))
+  },
+  {
+    key: 'daysSalesOutstanding', label: 'Days Sales Outstanding', category: 'Efficiency', unit: 'days',
+    formula: 'Average accounts receivable / revenue x days in period',
+    compute: ({ is, average, periodDays }) => {
+      const ratio = divide(average('accountsReceivable'), is.revenues);
+      return ratio === null ? null : ratio * periodDays;
+    }
+  },
+  {
+    key: 'daysInventoryOutstanding', label: 'Days Inventory Outstanding', category: 'Efficiency', unit: 'days',
+    formula: 'Average inventory / cost of revenue x days in period',
+    compute: ({ is, average, periodDays }) => {
+      const ratio = divide(average('inventory'), is.costOfRevenues);
+      return ratio === null ? null : ratio * periodDays;
+    }
+  },
+  {
+    key: 'daysPayablesOutstanding', label: 'Days Payables Outstanding', category: 'Efficiency', unit: 'days',
+    formula: 'Average accounts payable / cost of revenue x days in period',
+    compute: ({ is, average, periodDays }) => {
+      const ratio = divide(average('accountsPayable'), is.costOfRevenues);
+      return ratio === null ? null : ratio * periodDays;
+    }
+  },
+  {
+    key: 'cashConversionCycle', label: 'Cash Conversion Cycle', category: 'Efficiency', unit: 'days',
+    formula: 'Days sales outstanding + days inventory outstanding - days payables outstanding',
+    compute: (context, computed) => {
+      const { daysSalesOutstanding: dso, daysInventoryOutstanding: dio, daysPayablesOutstanding: dpo } = computed;
+      return isNumber(dso) && isNumber(dpo) ? dso + (dio || 0) - dpo : null;
+    }
+  },
+
+  // Per share
+  {
+    key: 'bookValuePerShare', label: 'Book Value per Share', category: 'Per Share', unit: 'perShare',
+    formula: 'Stockholders equity / shares outstanding',
+    compute: ({ is, bs }) => (is.sharesOutstanding > 0 ? divide(bs.stockholdersEquity, is.sharesOutstanding) : null)
+  },
+  {
+    key: 'revenuePerShare', label: 'Revenue per Share', category: 'Per Share', unit: 'perShare',
+    formula: 'Revenue / shares outstanding',
+    compute: ({ is }) => (is.sharesOutstanding > 0 ? divide(is.revenues, is.sharesOutstanding) : null)
+  }
+];
+
+// Runs definitions in order; a compute may read the values worked out before it through its second argument
+const evaluate = (definitions, context) => {
+  const computed = {};
+  const ratios = {};
+  definitions.forEach(({ key, label, category, unit, formula, compute }) => {
+    const raw = compute(context, computed);
+    const { scale, decimals, limit } = UNIT_FORMATS[unit];
+    // Ratios outside a plausible range come from tiny or mismatched denominators
+    const value = isNumber(raw) && isFinite(raw) && (!limit || Math.abs(raw * scale) <= limit)
+      ? round(raw * scale, decimals)
+      : null;
+    computed[key] = value;
+    ratios[key] = { label, category, unit, formula, value };
+  });
+  return ratios;
+};
+
+// Computes every ratio for one period. is / bs / cf are the period's flat statements and prior the balance sheet
+// one year earlier; periodDays turns the day-count ratios into days (365 for a year, about 91 for a quarter).
+// Returns { [key]: { label, category, unit, formula, value } }, with value in the unit's convention (or null).
+export const calculateRatios = ({ is, bs, cf = {}, prior = {}, periodDays = 365 }) => {
+  const average = (line) => {
+    if (!isNumber(bs[line])) return null;
+    return isNumber(prior[line]) ? (bs[line] + prior[line]) / 2 : bs[line];
+  };
+  return evaluate(RATIO_DEFINITIONS, { is, bs, cf, prior, average, periodDays });
+};
+
+// Valuation at one share price, against one period's statements. context: { price, is, bs, cf }
+export const VALUATION_DEFINITIONS = [
+  {
+    key: 'marketCap', label: 'Market Capitalization', category: 'Valuation', unit: 'usd',
+    formula: 'Share price x shares outstanding',
+    compute: marketCap
+  },
+  {
+    key: 'enterpriseValue', label: 'Enterprise Value', category: 'Valuation', unit: 'usd',
+    formula: 'Market cap + total debt + noncontrolling interest - cash and cash equivalents',
+    compute: enterpriseValue
+  },
+  {
+    key: 'priceToEarnings', label: 'Price to Earnings', category: 'Valuation', unit: 'multiple',
+    formula: 'Market cap / net income (blank for a loss)',
+    compute: (context) => positiveDivide(marketCap(context), context.is.netIncome)
+  },
+  {
+    key: 'priceToBook', label: 'Price to Book', category: 'Valuation', unit: 'multiple',
+    formula: 'Market cap / stockholders equity (blank for negative equity)',
+    compute: (context) => positiveDivide(marketCap(context), context.bs.stockholdersEquity)
+  },
+  {
+    key: 'priceToSales', label: 'Price to Sales', category: 'Valuation', unit: 'multiple',
+    formula: 'Market cap / revenue',
+    compute: (context) => positiveDivide(marketCap(context), context.is.revenues)
+  },
+  {
+    key: 'evToEbitda', label: 'EV to EBITDA', category: 'Valuation', unit: 'multiple',
+    formula: 'Enterprise value / (operating income + depreciation & amortization) (blank for negative EBITDA)',
+    compute: (context) => positiveDivide(enterpriseValue(context), ebitda(context.is))
+  },
+  {
+    key: 'evToSales', label: 'EV to Sales', category: 'Valuation', unit: 'multiple',
+    formula: 'Enterprise value / revenue',
+    compute: (context) => positiveDivide(enterpriseValue(context), context.is.revenues)
+  },
+  {
+    key: 'freeCashFlowYield', label: 'Free Cash Flow Yield', category: 'Valuation', unit: 'percent',
+    formula: 'Free cash flow (operating + investing cash flow) / market cap',
+    compute: (context) => positiveDivide(context.cf.freeCashFlow, marketCap(context))
+  }
+];
+
+// Valuation multiples for one share price: { [key]: { label, category, unit, formula, value } }, like calculateRatios
+export const calculateValuation = ({ price, is, bs, cf = {} }) => evaluate(VALUATION_DEFINITIONS, { price, is, bs, cf });
@@ -0,0 +1,38 @@
+// Restatement detection: the same fiscal period reported with a different value in a later 10-K or 10-K/A.
+// Companyfacts keeps every filing's copy of a value, so the original figure can be compared with each revision.
+
+const ANNUAL_FORMS = ['10-K', '10-K/A'];
+
+// Revisions of at least this share of the originally reported value are flagged as material (percent)
+export const MATERIALITY_PERCENT = 5;
+
+const isNumber = (value) => value !== null && value !== undefined && !isNaN(value);
+
+// Every change to one period's value across annual filings, oldest first.
+// values: companyfacts entries for one concept and unit; start is null for balance sheet (instant) values.
+// Returns [{ original, restated, delta, deltaPercent, material }] with the raw facts as original / restated.
+export const findRestatements = (values, { start = null, end }) => {
+  const reports = (values || [])
+    .filter(v => ANNUAL_FORMS.includes(v.form) && v.end === end && (v.start || null) === start && isNumber(v.val))
+    .sort((a, b) => (a.filed < b.filed ? -1 : a.filed > b.filed ? 1 : 0));
+  if (reports.length < 2) return [];
+
+  const [original] = reports;
+  const changes = [];
+  let previous = original;
+  reports.slice(1).forEach(v => {
+    if (v.val === previous.val) return; // Repeated unchanged as a comparative
+    const delta = v.val - original.val;
+    const deltaPercent = original.val !== 0 ? Number(((delta / Math.abs(original.val)) * 100).toFixed(2)) : null;
+    changes.push({
+      original,
+      restated: v,
+      delta,
+      deltaPercent,
+      // A value restated from zero has no percentage; any change to it counts
+      material: deltaPercent === null || Math.abs(deltaPercent) >= MATERIALITY_PERCENT
+    });
+    previous = v;
+  });
+  return changes;
+};
@@ -0,0 +1,239 @@
+// Cross-sectional screening on XBRL frames: every filer's value of a line item for one calendar period,
+// filtered ("revenues>1B", "netMargin>20"), ranked and joined to the company names in company_tickers.json.
+import { getFramesSource, FRAME_PERIOD_PATTERN, instantPeriod } from './frames';
+import { loadConceptMapping, resolveConceptMapping } from './concept-mapping';
+import { calculateRatios, RATIO_DEFINITIONS } from './ratios';
+import { getSearchIndex, findCompanyByCik } from './search-index';
+
+export const MAX_FILTERS = 5;
+export const DEFAULT_SCREEN_LIMIT = 100;
+export const MAX_SCREEN_LIMIT = 1000;
+
+// Frames are fetched per concept, and a full frame runs to several MB, so only the head of each fallback chain is
+// tried. Filers reporting a line under a later concept in the chain drop out of the screen.
+export const MAX_FRAME_CONCEPTS = 4;
+
+// Lines worked out from mapped lines, as in the extraction
+const DERIVED_LINES = {
+  grossProfit: {
+    statement: 'incomeStatement',
+    inputs: ['revenues', 'costOfRevenues'],
+    compute: ({ revenues, costOfRevenues }) => (revenues > 0 && costOfRevenues > 0 ? revenues - costOfRevenues : null)
+  },
+  freeCashFlow: {
+    statement: 'cashFlowStatement',
+    inputs: ['operatingCashFlow', 'investingCashFlow'],
+    compute: ({ operatingCashFlow, investingCashFlow }) => (
+      operatingCashFlow && investingCashFlow ? operatingCashFlow + investingCashFlow : null
+    )
+  }
+};
+
+// Ratios that can be screened, with the lines each needs. Values come from lib/ratios, on closing balances:
+// a frame holds one period, so there is no prior balance sheet to average with.
+const SCREEN_RATIOS = {
+  grossMargin: ['revenues', 'costOfRevenues'],
+  operatingMargin: ['revenues', 'operatingIncome'],
+  netMargin: ['revenues', 'netIncome'],
+  returnOnAssets: ['netIncome', 'totalAssets'],
+  returnOnEquity: ['netIncome', 'stockholdersEquity'],
+  currentRatio: ['currentAssets', 'currentLiabilities'],
+  debtToEquity: ['shortTermDebt', 'longTermDebt', 'stockholdersEquity'],
+  debtToAssets: ['shortTermDebt', 'longTermDebt', 'totalAssets'],
+  interestCoverage: ['operatingIncome', 'interestExpense'],
+  assetTurnover: ['revenues', 'totalAssets']
+};
+
+const SUFFIXES = { K: 1e3, M: 1e6, B: 1e9, T: 1e12 };
+const OPERATORS = {
+  '>=': (value, threshold) => value >= threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '>': (value, threshold) => value > threshold,
+  '<': (value, threshold) => value < threshold,
+  '=': (value, threshold) => value === threshold
+};
+
+// "revenues>1B", "netMargin >= 20%", "debtToEquity<0.5"
+const FILTER_PATTERN = /^\s*([A-Za-z]+)\s*(>=|<=|>|<|=)\s*(-?\d+(?:\.\d+)?)\s*([KMBT%])?\s*$/i;
+
+// Column headings for line keys that do not read well split at capitals
+const LINE_LABELS = { sga: 'SG&A', rd: 'R&D' };
+
+const lineLabel = (line) => LINE_LABELS[line] || line.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+
+const UNIT_BY_MAPPING_UNIT = { USD: 'usd', 'USD/shares': 'perShare', shares: 'shares' };
+
+const statementKinds = { incomeStatement: 'flow', balanceSheet: 'instant', cashFlowStatement: 'flow' };
+
+// Base mapping lines (industry templates need a SIC code per filer, which frames do not carry):
+// { [line]: { statement, concepts, units, instant } }
+const screenLines = () => {
+  const { lineItems } = resolveConceptMapping(loadConceptMapping());
+  return Object.fromEntries(Object.entries(lineItems).flatMap(([statement, lines]) => (
+    Object.entries(lines).map(([line, spec]) => [line, {
+      statement,
+      concepts: spec.concepts.slice(0, MAX_FRAME_CONCEPTS),
+      units: spec.units || 'USD',
+      instant: (spec.kind || statementKinds[statement]) === 'instant'
+    }])
+  )));
+};
+
+// Every field a filter or sort can name: mapped lines, derived lines and SCREEN_RATIOS
+export const getScreenFields = () => [
+  ...Object.keys(screenLines()),
+  ...Object.keys(DERIVED_LINES),
+  ...Object.keys(SCREEN_RATIOS)
+];
+
+const parseFilter = (text, fields) => {
+  const match = FILTER_PATTERN.exec(text);
+  if (!match) return { error: `Cannot read filter "${text}" (expected e.g. revenues>1B or netMargin>20)` };
+  const [, field, operator, number, suffix] = match;
+  if (!fields.includes(field)) return { error: `Unknown screen field "${field}"` };
+  const scale = suffix && suffix !== '%' ? SUFFIXES[suffix.toUpperCase()] : 1;
+  return { filter: { field, operator, value: Number(number) * scale } };
+};
+
+// Validate the /api/screen query. Filters come as repeated `filter` parameters or one comma-separated list.
+// Ratio thresholds use the ratio's own unit: percentages in points (netMargin>20), multiples as-is.
+// Returns { options } on success or { error } with a message for a 400 response.
+export const parseScreenOptions = ({ period, filter, sort, order = 'desc', limit } = {}) => {
+  if (!period || !FRAME_PERIOD_PATTERN.test(period) || period.endsWith('I')) {
+    return { error: 'period must be a calendar year or quarter (e.g. CY2023 or CY2023Q4)' };
+  }
+
+  const fields = getScreenFields();
+  const texts = [].concat(filter || []).flatMap(value => String(value).split(',')).filter(text => text.trim());
+  if (texts.length === 0) return { error: 'At least one filter required (e.g. revenues>1B)' };
+  if (texts.length > MAX_FILTERS) return { error: `At most ${MAX_FILTERS} filters per screen` };
+
+  const filters = [];
+  for (const text of texts) {
+    const { filter: parsed, error } = parseFilter(text, fields);
+    if (error) return { error };
+    filters.push(parsed);
+  }
+
+  const sortField = sort || filters[0].field;
+  if (!fields.includes(sortField)) return { error: `Unknown sort field "${sortField}"` };
+  if (!['asc', 'desc'].includes(order)) return { error: 'order must be asc or desc' };
+
+  const limitCount = limit !== undefined ? parseInt(limit, 10) : DEFAULT_SCREEN_LIMIT;
+  if (isNaN(limitCount) || limitCount < 1 || limitCount > MAX_SCREEN_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_SCREEN_LIMIT}` };
+  }
+
+  return { options: { period, filters, sort: sortField, order, limit: limitCount } };
+};
+
+// Lines to fetch for a set of fields, expanding derived lines and ratios to their inputs
+const linesFor = (fields) => [...new Set(fields.flatMap(field => {
+  if (SCREEN_RATIOS[field]) {
+    return SCREEN_RATIOS[field].flatMap(line => (DERIVED_LINES[line] ? DERIVED_LINES[line].inputs : [line]));
+  }
+  return DERIVED_LINES[field] ? DERIVED_LINES[field].inputs : [field];
+}))];
+
+// One line for every filer in the period: Map cik -> { value, concept, accn, entityName }.
+// Concepts are tried in chain order; a filer's value comes from the first concept it reported.
+const fetchLine = async (source, spec, period, { cacheLog }) => {
+  const byCik = new Map();
+  for (const concept of spec.concepts) {
+    const [taxonomy, name] = concept.includes(':') ? concept.split(':') : ['us-gaap', concept];
+    const frame = await source.getFrame(
+      { taxonomy, concept: name, unit: spec.units, period: spec.instant ? instantPeriod(period) : period },
+      { cacheLog }
+    );
+    (frame?.data || []).forEach(({ cik, entityName, accn, val }) => {
+      const key = String(cik).padStart(10, '0');
+      if (!byCik.has(key) && typeof val === 'number') byCik.set(key, { value: val, concept, accn, entityName });
+    });
+  }
+  return byCik;
+};
+
+// { field, label, unit } for each field in the results; units as in lib/ratios (percent, multiple, usd, ...)
+const describeField = (field, lines) => {
+  const ratio = SCREEN_RATIOS[field] && RATIO_DEFINITIONS.find(definition => definition.key === field);
+  if (ratio) return { field, label: ratio.label, unit: ratio.unit };
+  return { field, label: lineLabel(field), unit: UNIT_BY_MAPPING_UNIT[lines[field]?.units] || 'usd' };
+};
+
+const compare = (order) => (a, b) => {
+  const diff = order === 'asc' ? a.sortValue - b.sortValue : b.sortValue - a.sortValue;
+  return diff || a.cik.localeCompare(b.cik);
+};
+
+// Run a screen from parseScreenOptions. Returns {
+//   period, filters, sort, order, source, total, columns: [{ field, label, unit }],
+//   results: [{ rank, cik, ticker, name, exchange, values: { [field]: value }, sources: { [line]: { concept, accn } } }]
+// }, ranked by the sort field; filers without a value for a filter field fail that filter.
+export const runScreen = async ({ period, filters, sort, order, limit }, { cacheLog } = {}) => {
+  const source = getFramesSource();
+  const lines = screenLines();
+  const fields = [...new Set([...filters.map(f => f.field), sort])];
+
+  // Fetched one line at a time: each frame is a large document
+  const lineValues = {};
+  for (const line of linesFor(fields)) {
+    lineValues[line] = lines[line] ? await fetchLine(source, lines[line], period, { cacheLog }) : new Map();
+  }
+
+  // Every filer must pass the first filter, so only filers reporting one of its input lines are screened.
+  // Any one line can be enough: total debt, for instance, is long-term debt alone when short-term debt is missing.
+  const candidates = [...new Set(linesFor([filters[0].field]).flatMap(line => [...lineValues[line].keys()]))];
+  const periodDays = /Q[1-4]$/.test(period) ? 91 : 365;
+
+  const screened = candidates.map(cik => {
+    const flat = Object.fromEntries(Object.entries(lineValues).map(([line, byCik]) => [line, byCik.get(cik)?.value ?? null]));
+    Object.entries(DERIVED_LINES).forEach(([line, { inputs, compute }]) => {
+      if (inputs.every(input => input in flat)) flat[line] = compute(flat);
+    });
+
+    const statement = (name) => Object.fromEntries(Object.entries(flat).filter(([line]) => (
+      (lines[line] || DERIVED_LINES[line])?.statement === name
+    )));
+    const needsRatios = fields.some(field => SCREEN_RATIOS[field]);
+    const ratios = needsRatios
+      ? calculateRatios({ is: statement('incomeStatement'), bs: statement('balanceSheet'), cf: statement('cashFlowStatement'), periodDays })
+      : {};
+
+    const values = Object.fromEntries(fields.map(field => [field, SCREEN_RATIOS[field] ? ratios[field].value : flat[field] ?? null]));
+    const sources = Object.fromEntries(Object.entries(lineValues)
+      .filter(([, byCik]) => byCik.has(cik))
+      .map(([line, byCik]) => [line, { concept: byCik.get(cik).concept, accn: byCik.get(cik).accn }]));
+    const entityName = Object.values(lineValues).map(byCik => byCik.get(cik)?.entityName).find(Boolean) || null;
+    return { cik, entityName, values, sources, sortValue: values[sort] };
+  }).filter(({ values }) => filters.every(({ field, operator, value }) => (
+    values[field] !== null && OPERATORS[operator](values[field], value)
+  )));
+
+  const searchIndex = await getSearchIndex({ cacheLog });
+  const ranked = screened
+    .filter(row => row.sortValue !== null)
+    .sort(compare(order))
+    .concat(screened.filter(row => row.sortValue === null));
+
+  return {
+    period,
+    filters,
+    sort,
+    order,
+    source: source.name,
+    total: ranked.length,
+    columns: fields.map(field => describeField(field, lines)),
+    results: ranked.slice(0, limit).map(({ cik, entityName, values, sources }, i) => {
+      const company = findCompanyByCik(searchIndex, cik);
+      return {
+        rank: i + 1,
+        cik,
+        ticker: company?.ticker || null,
+        name: company?.name || entityName,
+        exchange: company?.exchange || null,
+        values,
+        sources
+      };
+    })
+  };
+};
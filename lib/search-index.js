@@ -0,0 +1,177 @@
+// Prebuilt in-memory company index and relevance scoring for /api/search-companies
+import { getCompanyTickers, getCompanyTickersExchange } from './edgar';
+
+// Score bands: a better match type always outranks a worse one
+const SCORES = {
+  exactTicker: 1000,
+  tickerPrefix: 800,
+  namePrefix: 700,
+  wordStart: 600,
+  substring: 400,
+  fuzzy: 200
+};
+
+const normalize = (text) => (text || '').toLowerCase().replace(/[^a-z0-9&.\- ]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions), capped for speed
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    let rowMin = Infinity;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, rows[i][j]);
+    }
+    if (rowMin > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+};
+
+// Typos allowed grow with query length; very short queries must match exactly
+const maxTypos = (length) => (length >= 7 ? 2 : length >= 4 ? 1 : 0);
+
+let index = null;
+let indexSources = null;
+
+const buildIndex = (tickersData, exchangeData) => {
+  const companies = new Map();
+
+  // company_tickers_exchange.json is { fields: [...], data: [[cik, name, ticker, exchange], ...] }
+  const fields = exchangeData?.fields || [];
+  const column = (name) => fields.indexOf(name);
+  (exchangeData?.data || []).forEach(row => {
+    const ticker = row[column('ticker')];
+    if (!ticker) return;
+    companies.set(ticker, {
+      ticker,
+      name: row[column('name')],
+      cik: String(row[column('cik')]).padStart(10, '0'),
+      exchange: row[column('exchange')] || null
+    });
+  });
+
+  // company_tickers.json still lists some filers the exchange file omits
+  Object.values(tickersData || {}).forEach(company => {
+    if (!company.ticker || companies.has(company.ticker)) return;
+    companies.set(company.ticker, {
+      ticker: company.ticker,
+      name: company.title,
+      cik: company.cik_str.toString().padStart(10, '0'),
+      exchange: null
+    });
+  });
+
+  const entries = [...companies.values()].map(company => {
+    const name = normalize(company.name);
+    return {
+      company,
+      ticker: company.ticker.toLowerCase(),
+      name,
+      words: name.split(' ').filter(Boolean),
+      exchange: (company.exchange || '').toLowerCase()
+    };
+  });
+
+  const byCik = new Map();
+  entries.forEach(entry => {
+    // Several share classes can map to one CIK; the first listed is the primary ticker
+    if (!byCik.has(entry.company.cik)) byCik.set(entry.company.cik, entry.company);
+  });
+
+  const byTicker = new Map(entries.map(entry => [entry.ticker, entry.company]));
+
+  return { entries, byCik, byTicker, exchanges: [...new Set(entries.map(e => e.company.exchange).filter(Boolean))].sort() };
+};
+
+// The index is rebuilt only when the cached source files change
+export const getSearchIndex = async ({ cacheLog } = {}) => {
+  const [tickersData, exchangeData] = await Promise.all([
+    getCompanyTickers({ cacheLog }),
+    getCompanyTickersExchange({ cacheLog })
+  ]);
+  if (!index || indexSources?.tickersData !== tickersData || indexSources?.exchangeData !== exchangeData) {
+    index = buildIndex(tickersData, exchangeData);
+    indexSources = { tickersData, exchangeData };
+  }
+  return index;
+};
+
+const scoreEntry = (entry, query, queryWords) => {
+  if (entry.ticker === query) return SCORES.exactTicker;
+  if (entry.ticker.startsWith(query)) return SCORES.tickerPrefix - (entry.ticker.length - query.length);
+  if (entry.name.startsWith(query)) return SCORES.namePrefix - Math.min(entry.name.length - query.length, 99) / 100;
+
+  // Every query word starts some word of the name, e.g. "gen mot" -> "general motors co"
+  if (queryWords.every(qw => entry.words.some(w => w.startsWith(qw)))) {
+    return SCORES.wordStart - Math.min(entry.words.length, 99) / 100;
+  }
+
+  if (entry.ticker.includes(query) || entry.name.includes(query)) return SCORES.substring;
+
+  // Typo tolerance: each query word within a few edits of the ticker or a name word
+  let totalDistance = 0;
+  for (const qw of queryWords) {
+    const max = maxTypos(qw.length);
+    if (max === 0) return 0;
+    const best = Math.min(
+      editDistance(qw, entry.ticker, max),
+      ...entry.words.map(w => editDistance(qw, w.slice(0, qw.length + max), max))
+    );
+    if (best > max) return 0;
+    totalDistance += best;
+  }
+  return SCORES.fuzzy - totalDistance * 10;
+};
+
+// Returns { total, results } for one page of ranked matches
+export const searchCompanies = (searchIndex, rawQuery, { limit = 10, offset = 0, exchanges = [] } = {}) => {
+  const query = normalize(rawQuery);
+  const queryWords = query.split(' ').filter(Boolean);
+  const exchangeFilter = exchanges.map(e => e.toLowerCase());
+
+  const matches = [];
+  searchIndex.entries.forEach(entry => {
+    if (exchangeFilter.length > 0 && !exchangeFilter.includes(entry.exchange)) return;
+    const score = scoreEntry(entry, query, queryWords);
+    if (score > 0) matches.push({ entry, score });
+  });
+
+  matches.sort((a, b) =>
+    b.score - a.score ||
+    a.entry.ticker.length - b.entry.ticker.length ||
+    a.entry.ticker.localeCompare(b.entry.ticker)
+  );
+
+  return {
+    total: matches.length,
+    results: matches.slice(offset, offset + limit).map(({ entry, score }) => ({
+      ...entry.company,
+      score: Math.round(score)
+    }))
+  };
+};
+
+export const findCompanyByCik = (searchIndex, cik) => searchIndex.byCik.get(String(cik).padStart(10, '0')) || null;
+
+// Resolve a user-supplied ticker or CIK (e.g. "brk.b", "320193", "CIK0000320193") to a company.
+// CIKs of filers without a listed ticker still resolve, with only the CIK filled in.
+export const resolveCompany = (searchIndex, identifier) => {
+  const value = String(identifier || '').trim();
+  if (!value) return null;
+  const cik = value.replace(/^CIK/i, '');
+  if (/^\d{1,10}$/.test(cik)) {
+    return findCompanyByCik(searchIndex, cik) || { ticker: null, name: null, cik: cik.padStart(10, '0'), exchange: null };
+  }
+  // SEC writes share classes with a dash (BRK-B); users often type a dot
+  return searchIndex.byTicker.get(value.toLowerCase().replace(/\./g, '-')) || null;
+};
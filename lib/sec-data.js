@@ -0,0 +1,768 @@
+// SEC financial data extraction from XBRL company facts
+import { getCompanyFacts, getSubmissions } from './edgar';
+import { loadConceptMapping, resolveConceptMapping, REQUIRED_LINE_ITEMS } from './concept-mapping';
+import { deriveTemplateLines, calculateTemplateMetrics, TEMPLATE_METRIC_DEFINITIONS } from './industry-templates';
+import { calculateRatios, calculateValuation } from './ratios';
+import { getPriceProvider } from './prices';
+import { getDiscreteQuarters, getInstantValues, getTrailingTwelveMonths, formatQuarterLabel } from './quarters';
+import { filingIndexUrl } from './filings';
+import { findRestatements } from './restatements';
+import { buildAnalytics, CAGR_PERIODS } from './analytics';
+import { runValidation } from './validation';
+import { getSegments } from './segments';
+import { getAsReportedStatements } from './as-reported';
+import { getInsiderTransactions } from './insiders';
+
+export const DEFAULT_HISTORY_YEARS = 5;
+export const MAX_HISTORY_YEARS = 20;
+export const DEFAULT_QUARTERS = 8;
+export const MAX_QUARTERS = 40;
+export const PERIOD_MODES = ['annual', 'quarterly', 'ttm'];
+
+// A 10-K also carries quarterly and stub-period facts; annual durations fall in this window (52/53-week years included)
+const isAnnualDuration = (v) => {
+  if (!v.start) return true; // Point-in-time (balance sheet) values have no start date
+  const days = (new Date(v.end) - new Date(v.start)) / (1000 * 60 * 60 * 24);
+  return days >= 350 && days <= 380;
+};
+
+// Unprefixed concepts are us-gaap; others name their taxonomy (e.g. dei:EntityCommonStockSharesOutstanding)
+const splitConcept = (concept) => (concept.includes(':') ? concept.split(':') : ['us-gaap', concept]);
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+
+// Validate the extraction query parameters shared by /api/sec-data and the batch route.
+// Returns { options } on success or { error } with a message for a 400 response.
+export const parseExtractionOptions = ({ years, from, to, period = 'annual', quarters, asOf, segments = 'false', asReported = 'false', insiders = 'false' } = {}) => {
+  // History window: either the latest `years` fiscal years, or an explicit `from`/`to` range
+  const yearCount = years !== undefined ? parseInt(years, 10) : DEFAULT_HISTORY_YEARS;
+  const fromYear = from !== undefined ? parseInt(from, 10) : null;
+  const toYear = to !== undefined ? parseInt(to, 10) : null;
+
+  if (isNaN(yearCount) || yearCount < 1 || yearCount > MAX_HISTORY_YEARS) {
+    return { error: `years must be between 1 and ${MAX_HISTORY_YEARS}` };
+  }
+  if ((fromYear !== null && isNaN(fromYear)) || (toYear !== null && isNaN(toYear))) {
+    return { error: 'from and to must be fiscal years (e.g. 2019)' };
+  }
+  if (fromYear !== null && toYear !== null && (fromYear > toYear || toYear - fromYear + 1 > MAX_HISTORY_YEARS)) {
+    return { error: `from/to must span 1 to ${MAX_HISTORY_YEARS} years` };
+  }
+
+  // Quarterly and TTM modes add a per-quarter view on top of the annual data
+  const quarterCount = quarters !== undefined ? parseInt(quarters, 10) : DEFAULT_QUARTERS;
+
+  if (!PERIOD_MODES.includes(period)) {
+    return { error: `period must be one of: ${PERIOD_MODES.join(', ')}` };
+  }
+  if (isNaN(quarterCount) || quarterCount < 1 || quarterCount > MAX_QUARTERS) {
+    return { error: `quarters must be between 1 and ${MAX_QUARTERS}` };
+  }
+
+  // Point-in-time mode for backtesting: only facts filed on or before this date
+  if (asOf !== undefined && !isValidDate(asOf)) {
+    return { error: 'asOf must be a date (YYYY-MM-DD)' };
+  }
+
+  // Segment breakdowns read the filing's XBRL instance: one or two extra documents, so they are opt-in
+  if (!['true', 'false'].includes(segments)) {
+    return { error: 'segments must be true or false' };
+  }
+  // As-reported statements read the filing's linkbases as well as its instance
+  if (!['true', 'false'].includes(asReported)) {
+    return { error: 'asReported must be true or false' };
+  }
+  // Insider transactions read one ownership document per Form 4
+  if (!['true', 'false'].includes(insiders)) {
+    return { error: 'insiders must be true or false' };
+  }
+
+  return {
+    options: {
+      yearCount,
+      fromYear,
+      toYear,
+      period,
+      quarterCount,
+      asOf: asOf ?? null,
+      includeSegments: segments === 'true',
+      includeAsReported: asReported === 'true',
+      includeInsiders: insiders === 'true'
+    }
+  };
+};
+
+// Extract statements, history, ratios and data quality for one company.
+// `sourceFiling` (from lib/filings findFiling) restricts the extraction to the facts of one 10-K or 10-Q.
+// `asOf` (YYYY-MM-DD) sees only facts filed by that date, and takes each period as originally reported.
+// Throws EdgarError subclasses when SEC data cannot be fetched.
+export const extractSecData = async ({
+  ticker,
+  cik,
+  yearCount = DEFAULT_HISTORY_YEARS,
+  fromYear = null,
+  toYear = null,
+  period: requestedPeriod = 'annual',
+  quarterCount = DEFAULT_QUARTERS,
+  sourceFiling = null,
+  asOf = null,
+  includeSegments = false,
+  includeAsReported = false,
+  includeInsiders = false,
+  cacheLog
+}) => {
+  // A 10-Q reports no fiscal-year figures, so its statements are the quarter it covers
+  const isQuarterlySource = Boolean(sourceFiling?.form?.startsWith('10-Q'));
+  const period = isQuarterlySource && requestedPeriod === 'annual' ? 'quarterly' : requestedPeriod;
+
+  // Fetch company facts from SEC (rate limited by the shared EDGAR client)
+  const submissions = await getSubmissions(cik, { cacheLog });
+  const factsData = await getCompanyFacts(cik, { cacheLog, submissions });
+  const facts = factsData.facts;
+  const usgaap = facts['us-gaap'] || {};
+  const dei = facts['dei'] || {};
+
+  // Concept chains for this filer: the base mapping, its industry template and any SIC / company overrides
+  const conceptMapping = resolveConceptMapping(loadConceptMapping(), { cik, sic: submissions?.sic });
+  const { lineItems } = conceptMapping;
+  const industryTemplate = conceptMapping.template.key;
+
+  // Extracting from one filing keeps only the values it reported (current period and comparatives);
+  // as of a date, only the values filed by then
+  const isVisible = (v) => (!sourceFiling || v.accn === sourceFiling.accessionNumber) && (!asOf || v.filed <= asOf);
+  const getFact = (concept) => {
+    const [taxonomy, name] = splitConcept(concept);
+    const fact = facts[taxonomy]?.[name];
+    if (!fact || (!sourceFiling && !asOf)) return fact;
+    return {
+      ...fact,
+      units: Object.fromEntries(Object.entries(fact.units || {}).map(([unit, values]) => [unit, values.filter(isVisible)]))
+    };
+  };
+
+  // Later filings repeat each period as a comparative, possibly restated. Normally the latest filed figure wins;
+  // as of a date, the figure first reported, which is what an investor saw at the time.
+  const prefer = asOf ? 'original' : 'latest';
+  const isPreferredFiling = (v, current) => (prefer === 'original' ? v.filed < current.filed : v.filed > current.filed);
+
+  // Get fiscal year end info
+  const entityInfo = {
+    fiscalYearEnd: dei?.CurrentFiscalYearEndDate?.units?.USD?.[0]?.val || 'Unknown'
+  };
+
+  console.log(`\n=== Processing ${ticker} (CIK: ${cik}) ===`);
+  console.log(`Available US-GAAP fields: ${Object.keys(usgaap).length}`);
+  console.log(`Industry template: ${conceptMapping.template.label} (SIC ${submissions?.sic || 'unknown'})`);
+  if (asOf) console.log(`As of ${asOf}: facts filed by then, as originally reported`);
+  if (sourceFiling) console.log(`Source filing: ${sourceFiling.form} ${sourceFiling.accessionNumber} (filed ${sourceFiling.filingDate})`);
+  console.log(`Concept mapping v${conceptMapping.version}${conceptMapping.overrides.length ? ` (${conceptMapping.overrides.join(', ')})` : ''}`);
+
+  // The XBRL fact behind a value and the filing that reported it, so every number can be traced back to EDGAR
+  const toProvenance = (concept, v, unit) => {
+    const [taxonomy, name] = splitConcept(concept);
+    return {
+      concept: name,
+      taxonomy,
+      unit,
+      accessionNumber: v.accn || null,
+      form: v.form,
+      filed: v.filed,
+      fiscalYear: v.fy ?? null,
+      fiscalPeriod: v.fp ?? null,
+      start: v.start || null,
+      end: v.end,
+      frame: v.frame || null,
+      url: v.accn ? filingIndexUrl(cik, v.accn) : null
+    };
+  };
+
+  // Get every ANNUAL value keyed by fiscal year. The fallback chain is applied per year,
+  // so a filer that switched concepts (e.g. SalesRevenueNet -> RevenueFromContract...) keeps its older years.
+  const getAnnualValuesByYear = (fieldNames, units = 'USD') => {
+    const byYear = {};
+    try {
+      const fieldArray = Array.isArray(fieldNames) ? fieldNames : [fieldNames];
+
+      for (const fieldName of fieldArray) {
+        const fact = getFact(fieldName);
+        if (!fact || !fact.units || !fact.units[units]) continue;
+
+        const candidates = {};
+        fact.units[units].forEach(v => {
+          const isAnnual = v.form && (v.form === '10-K' || v.form === '10-K/A');
+          const isFullYear = v.fp === 'FY';
+          const hasValidValue = v.val !== null && v.val !== undefined && !isNaN(v.val);
+          if (!isAnnual || !isFullYear || !hasValidValue || !v.end || !isAnnualDuration(v)) return;
+
+          // One figure per year: the latest period end, then the preferred filing of that period
+          const year = new Date(v.end).getFullYear();
+          const current = candidates[year];
+          if (!current || v.end > current.end || (v.end === current.end && isPreferredFiling(v, current))) {
+            candidates[year] = v;
+          }
+        });
+
+        Object.entries(candidates).forEach(([year, v]) => {
+          if (byYear[year]) return; // An earlier concept in the chain already covers this year
+          byYear[year] = {
+            value: v.val,
+            year: Number(year),
+            endDate: v.end,
+            filingDate: v.filed,
+            concept: fieldName,
+            provenance: toProvenance(fieldName, v, units)
+          };
+        });
+      }
+    } catch (error) {
+      console.error(`Error getting annual history for ${fieldNames}:`, error);
+    }
+    return byYear;
+  };
+
+  // Discrete quarters for a concept chain, keyed by period end date. The fallback chain is applied per quarter.
+  const getQuarterSeries = (fieldNames, units = 'USD', kind = 'flow') => {
+    const byEnd = {};
+    try {
+      const fieldArray = Array.isArray(fieldNames) ? fieldNames : [fieldNames];
+
+      for (const fieldName of fieldArray) {
+        const values = getFact(fieldName)?.units?.[units];
+        if (!values || values.length === 0) continue;
+
+        const series = kind === 'instant' ? getInstantValues(values, { prefer }) : getDiscreteQuarters(values, { kind, prefer });
+        Object.entries(series).forEach(([end, q]) => {
+          if (byEnd[end]) return;
+          // A derived quarter is traced to the cumulative fact it starts from, plus the one subtracted from it
+          const [fact, ...subtracted] = q.facts.map(v => toProvenance(fieldName, v, units));
+          byEnd[end] = {
+            ...q,
+            concept: fieldName,
+            provenance: subtracted.length ? { ...fact, derivation: q.derivation, subtracted } : fact
+          };
+        });
+      }
+    } catch (error) {
+      console.error(`Error getting quarterly values for ${fieldNames}:`, error);
+    }
+    return byEnd;
+  };
+
+  // Get the most recent discrete quarters for trend analysis
+  const getQuarterlyValues = (fieldNames, units = 'USD', quarters = 4) => {
+    return Object.values(getQuarterSeries(fieldNames, units))
+      .sort((a, b) => new Date(b.endDate) - new Date(a.endDate))
+      .slice(0, quarters)
+      .map(q => ({
+        value: q.value,
+        period: q.fiscalQuarter ? `Q${q.fiscalQuarter}` : 'Q?',
+        endDate: q.endDate,
+        year: q.fiscalYear ?? new Date(q.endDate).getFullYear(),
+        derived: q.derived
+      }));
+  };
+
+  console.log('\n--- Extracting Financial Data ---');
+
+  // Balance sheet lines are point-in-time; everything else is a flow over the period
+  const statementKinds = { incomeStatement: 'flow', balanceSheet: 'instant', cashFlowStatement: 'flow' };
+  const forEachLineItem = (callback) => {
+    Object.entries(lineItems).forEach(([statement, lines]) => {
+      Object.entries(lines).forEach(([line, spec]) => {
+        callback(statement, line, {
+          fields: spec.concepts,
+          units: spec.units || 'USD',
+          kind: spec.kind || statementKinds[statement]
+        });
+      });
+    });
+  };
+
+  // Every annual value of every mapped line item, in the line's own units, keyed by fiscal year
+  const annualSeries = { incomeStatement: {}, balanceSheet: {}, cashFlowStatement: {} };
+  forEachLineItem((statement, line, { fields, units }) => {
+    annualSeries[statement][line] = getAnnualValuesByYear(fields, units);
+  });
+
+  // Anchor the latest statements and the default window on the latest year any headline line item was reported
+  const latestYear = Math.max(
+    0,
+    ...[annualSeries.incomeStatement.revenues, annualSeries.incomeStatement.netIncome, annualSeries.balanceSheet.totalAssets]
+      .flatMap(series => Object.keys(series).map(Number))
+  );
+
+  // Every mapped line item in that year, from the same series the history is built from, so the two always agree.
+  // A line the company no longer reports stays null rather than carrying an older year. A 10-Q source reads its
+  // own quarter.
+  const latestData = { incomeStatement: {}, balanceSheet: {}, cashFlowStatement: {} };
+  forEachLineItem((statement, line, { fields, units, kind }) => {
+    if (!isQuarterlySource) {
+      latestData[statement][line] = annualSeries[statement][line][latestYear] || null;
+      return;
+    }
+    const quarter = getQuarterSeries(fields, units, kind)[sourceFiling.reportDate];
+    latestData[statement][line] = quarter ? {
+      value: quarter.value,
+      year: quarter.fiscalYear ?? new Date(quarter.endDate).getFullYear(),
+      endDate: quarter.endDate,
+      filingDate: sourceFiling.filingDate,
+      provenance: quarter.provenance
+    } : null;
+  });
+
+  // The same values as single-period series, so industry template lines are derived exactly as for the history
+  const latestSeries = Object.fromEntries(Object.entries(latestData).map(([statement, lines]) => [
+    statement,
+    Object.fromEntries(Object.entries(lines).map(([line, found]) => [line, { latest: found?.value ?? null }]))
+  ]));
+  deriveTemplateLines(industryTemplate, latestSeries, ['latest']);
+  const latestValues = (statement) => Object.fromEntries(
+    Object.entries(latestSeries[statement]).map(([line, byKey]) => [line, byKey.latest])
+  );
+
+  // Lines beyond the standard statements (net interest income, premiums earned, FFO, ...)
+  const templateLines = (statement) => Object.fromEntries(
+    Object.entries(latestValues(statement)).filter(([line]) => !REQUIRED_LINE_ITEMS[statement].includes(line))
+  );
+
+  // Banks without a total revenue concept date the extract by their interest income instead
+  const revenueData = latestData.incomeStatement.revenues ||
+    latestData.incomeStatement.netInterestIncome ||
+    latestData.incomeStatement.interestIncome ||
+    null;
+  const revenue = latestSeries.incomeStatement.revenues.latest || 0;
+
+  const costData = latestData.incomeStatement.costOfRevenues;
+  const costOfRevenue = costData?.value || 0;
+
+  // Calculate gross profit
+  const grossProfit = revenue > 0 && costOfRevenue > 0 ? revenue - costOfRevenue : null;
+
+  // Operating expenses
+  const sgaData = latestData.incomeStatement.sga;
+  const rdData = latestData.incomeStatement.rd;
+  
+  // Operating income
+  const operatingIncomeData = latestData.incomeStatement.operatingIncome;
+  const operatingIncome = operatingIncomeData?.value || 0;
+
+  // Net income
+  const netIncomeData = latestData.incomeStatement.netIncome;
+  const netIncome = netIncomeData?.value || 0;
+
+  // Balance sheet items
+  const totalAssetsData = latestData.balanceSheet.totalAssets;
+  const totalAssets = totalAssetsData?.value || 0;
+
+  const totalLiabilitiesData = latestData.balanceSheet.totalLiabilities;
+  const totalLiabilities = totalLiabilitiesData?.value || 0;
+
+  const equityData = latestData.balanceSheet.stockholdersEquity;
+  const stockholdersEquity = equityData?.value || 0;
+
+  const currentAssetsData = latestData.balanceSheet.currentAssets;
+  const currentAssets = currentAssetsData?.value || 0;
+
+  const currentLiabilitiesData = latestData.balanceSheet.currentLiabilities;
+  const currentLiabilities = currentLiabilitiesData?.value || 0;
+
+  const cashData = latestData.balanceSheet.cashAndCashEquivalents;
+  const cashAndEquivalents = cashData?.value || 0;
+
+  // Cash flow items
+  const operatingCashFlowData = latestData.cashFlowStatement.operatingCashFlow;
+  const operatingCashFlow = operatingCashFlowData?.value || 0;
+
+  const investingCashFlowData = latestData.cashFlowStatement.investingCashFlow;
+  const investingCashFlow = investingCashFlowData?.value || 0;
+
+  const financingCashFlowData = latestData.cashFlowStatement.financingCashFlow;
+  const financingCashFlow = financingCashFlowData?.value || 0;
+
+  // Shares and EPS
+  const sharesData = latestData.incomeStatement.sharesOutstanding;
+  const sharesOutstanding = sharesData?.value || 0;
+
+  const epsData = latestData.incomeStatement.earningsPerShare;
+  const earningsPerShare = epsData?.value || 0;
+
+  // Get quarterly trend data for context
+  const quarterlyRevenue = getQuarterlyValues(lineItems.incomeStatement.revenues.concepts);
+  const quarterlyNetIncome = getQuarterlyValues(lineItems.incomeStatement.netIncome.concepts);
+
+  // MULTI-YEAR HISTORY: the same fallback chains, resolved for every fiscal year in the window
+  console.log('\n--- Extracting Historical Data ---');
+
+  // Derived lines, per period, with the same rules as the single-year figures
+  const addDerivedLines = (statements, periodKeys) => {
+    const derive = (compute) => Object.fromEntries(periodKeys.map(key => [key, compute(key)]));
+    const is = statements.incomeStatement;
+    const bs = statements.balanceSheet;
+    const cf = statements.cashFlowStatement;
+
+    deriveTemplateLines(industryTemplate, statements, periodKeys);
+    is.grossProfit = derive(k => is.revenues[k] > 0 && is.costOfRevenues[k] > 0 ? is.revenues[k] - is.costOfRevenues[k] : null);
+    is.totalOperatingExpenses = derive(k => (is.sga[k] || 0) + (is.rd[k] || 0) || null);
+    bs.workingCapital = derive(k => bs.currentAssets[k] && bs.currentLiabilities[k] ? bs.currentAssets[k] - bs.currentLiabilities[k] : null);
+    cf.freeCashFlow = derive(k => cf.operatingCashFlow[k] && cf.investingCashFlow[k] ? cf.operatingCashFlow[k] + cf.investingCashFlow[k] : null);
+  };
+
+  // Provenance for every value of a statements table, keyed like it. `sources` holds the extracted entries
+  // ({ [statement]: { [line]: { [periodKey]: entry } } }); a value with no tagged fact of its own (gross profit,
+  // free cash flow, FFO, bank revenue rebuilt from interest income, ...) is marked derived, and a TTM sum
+  // lists the quarters it adds up.
+  const traceValues = (statements, sources, periodKeys) => {
+    const sourceOf = (entry) => {
+      if (entry?.provenance) return entry.provenance;
+      if (entry?.components) return { derived: true, derivation: 'TTM', components: entry.components.map(c => c.provenance) };
+      return { derived: true };
+    };
+    return Object.fromEntries(Object.keys(statementKinds).map(statement => [
+      statement,
+      Object.fromEntries(Object.entries(statements[statement]).map(([line, byKey]) => [
+        line,
+        Object.fromEntries(periodKeys.map(key => [
+          key,
+          byKey[key] === null || byKey[key] === undefined ? null : sourceOf(sources[statement][line]?.[key])
+        ]))
+      ]))
+    ]));
+  };
+
+  const lastYear = toYear ?? (latestYear || new Date().getFullYear());
+  const firstYear = fromYear ?? (lastYear - yearCount + 1);
+
+  const fiscalYears = [];
+  for (let year = lastYear; year >= firstYear; year--) fiscalYears.push(year);
+
+  const history = { fiscalYears, incomeStatement: {}, balanceSheet: {}, cashFlowStatement: {} };
+  Object.entries(annualSeries).forEach(([statement, lines]) => {
+    Object.entries(lines).forEach(([line, byYear]) => {
+      history[statement][line] = Object.fromEntries(fiscalYears.map(year => [year, byYear[year]?.value ?? null]));
+    });
+  });
+  addDerivedLines(history, fiscalYears);
+  const provenance = { history: traceValues(history, annualSeries, fiscalYears) };
+
+  console.log(`History: FY${firstYear}-FY${lastYear}`);
+
+  // ANALYTICS: growth, common-size statements and margin trends over the window. The table reaches back past the
+  // window so the oldest year has a YoY figure and the CAGRs do not depend on how many years were requested.
+  const lookbackYears = [...fiscalYears];
+  for (let year = firstYear - 1; year >= firstYear - Math.max(...CAGR_PERIODS); year--) lookbackYears.push(year);
+  const growthTable = { incomeStatement: {}, balanceSheet: {}, cashFlowStatement: {} };
+  Object.entries(annualSeries).forEach(([statement, lines]) => {
+    Object.entries(lines).forEach(([line, byYear]) => {
+      growthTable[statement][line] = Object.fromEntries(lookbackYears.map(year => [year, byYear[year]?.value ?? null]));
+    });
+  });
+  addDerivedLines(growthTable, lookbackYears);
+  const perShareLines = [];
+  forEachLineItem((statement, line, { kind }) => {
+    if (kind === 'perShare' || kind === 'shares') perShareLines.push(line);
+  });
+  const analytics = buildAnalytics(growthTable, fiscalYears, { skipCommonSize: perShareLines });
+
+  // RESTATEMENTS: each history value's original figure against what later 10-Ks and 10-K/As reported for the period
+  const restatements = [];
+  forEachLineItem((statement, line, { units }) => {
+    fiscalYears.forEach(year => {
+      const found = annualSeries[statement][line][year];
+      if (!found) return;
+      const reportedIn = (v) => {
+        const { accessionNumber, form, filed, url } = toProvenance(found.concept, v, units);
+        return { value: v.val, accessionNumber, form, filed, url };
+      };
+      const values = getFact(found.concept)?.units?.[units];
+      findRestatements(values, { start: found.provenance.start, end: found.endDate }).forEach(change => {
+        restatements.push({
+          statement,
+          line,
+          fiscalYear: year,
+          concept: found.concept,
+          unit: units,
+          periodStart: found.provenance.start,
+          periodEnd: found.endDate,
+          original: reportedIn(change.original),
+          restated: reportedIn(change.restated),
+          delta: change.delta,
+          deltaPercent: change.deltaPercent,
+          material: change.material
+        });
+      });
+    });
+  });
+  if (restatements.length > 0) {
+    console.log(`Restatements: ${restatements.length} (${restatements.filter(r => r.material).length} material)`);
+  }
+
+  // QUARTERLY / TTM MODE: discrete quarters rebuilt from cumulative durations, or trailing-twelve-month sums
+  let periodData = null;
+  if (period === 'quarterly' || period === 'ttm') {
+    console.log(`\n--- Extracting ${period === 'ttm' ? 'TTM' : 'Quarterly'} Data ---`);
+
+    const quarterSeries = { incomeStatement: {}, balanceSheet: {}, cashFlowStatement: {} };
+    forEachLineItem((statement, line, { fields, units, kind }) => {
+      const discrete = getQuarterSeries(fields, units, kind);
+      quarterSeries[statement][line] = period === 'ttm' && kind !== 'instant'
+        ? getTrailingTwelveMonths(discrete, { kind })
+        : discrete;
+    });
+
+    // Periods come from the headline flow lines; balance sheet values are joined on the same end dates
+    const periodsByEnd = {};
+    [quarterSeries.incomeStatement.revenues, quarterSeries.incomeStatement.netIncome, quarterSeries.cashFlowStatement.operatingCashFlow]
+      .forEach(series => Object.values(series).forEach(q => {
+        if (!periodsByEnd[q.endDate]) periodsByEnd[q.endDate] = q;
+      }));
+
+    const periods = Object.values(periodsByEnd)
+      .sort((a, b) => new Date(b.endDate) - new Date(a.endDate))
+      .slice(0, quarterCount)
+      .map(q => ({
+        key: q.endDate,
+        label: period === 'ttm' ? `TTM ${formatQuarterLabel(q)}` : formatQuarterLabel(q),
+        fiscalYear: q.fiscalYear,
+        fiscalQuarter: q.fiscalQuarter,
+        startDate: q.startDate,
+        endDate: q.endDate
+      }));
+    const periodKeys = periods.map(p => p.key);
+
+    periodData = { mode: period, periods, incomeStatement: {}, balanceSheet: {}, cashFlowStatement: {} };
+    Object.entries(quarterSeries).forEach(([statement, lines]) => {
+      Object.entries(lines).forEach(([line, byEnd]) => {
+        periodData[statement][line] = Object.fromEntries(periodKeys.map(key => [key, byEnd[key]?.value ?? null]));
+      });
+    });
+    addDerivedLines(periodData, periodKeys);
+    provenance[periodData.mode] = traceValues(periodData, quarterSeries, periodKeys);
+
+    console.log(`${period === 'ttm' ? 'TTM' : 'Quarterly'} periods: ${periods.length}`);
+  }
+
+  // The latest figures, with derived lines worked out on a copy so the flat statements below are unchanged
+  const latestStatements = Object.fromEntries(Object.entries(latestSeries).map(([statement, lines]) => [statement, { ...lines }]));
+  addDerivedLines(latestStatements, ['latest']);
+  const latestSources = Object.fromEntries(Object.entries(latestData).map(([statement, lines]) => [
+    statement,
+    Object.fromEntries(Object.entries(lines).map(([line, found]) => [line, { latest: found }]))
+  ]));
+  provenance.latest = Object.fromEntries(Object.entries(traceValues(latestStatements, latestSources, ['latest'])).map(([statement, lines]) => [
+    statement,
+    Object.fromEntries(Object.entries(lines).map(([line, byKey]) => [line, byKey.latest]))
+  ]));
+
+  // RATIOS: the latest period against the balance sheet one fiscal year earlier, for averaged balances
+  const flatten = (statement) => Object.fromEntries(
+    Object.entries(latestStatements[statement]).map(([line, byKey]) => [line, byKey.latest])
+  );
+  const latestFlat = { is: flatten('incomeStatement'), bs: flatten('balanceSheet'), cf: flatten('cashFlowStatement') };
+  const statementYear = (totalAssetsData || revenueData)?.year || latestYear || null;
+  const priorYear = statementYear ? statementYear - 1 : null;
+  // Without a year to anchor on there is no opening balance, and ratios use closing balances only
+  const priorBalanceSheet = priorYear ? Object.fromEntries(
+    Object.entries(annualSeries.balanceSheet).map(([line, byYear]) => [line, byYear[priorYear]?.value ?? null])
+  ) : {};
+  const ratios = calculateRatios({
+    ...latestFlat,
+    prior: priorBalanceSheet,
+    // A 10-Q source has quarter flows, so the day counts run over the quarter
+    periodDays: isQuarterlySource ? 91 : 365
+  });
+  const templateMetrics = calculateTemplateMetrics(industryTemplate, {
+    is: latestValues('incomeStatement'),
+    bs: latestValues('balanceSheet'),
+    priorTotalAssets: priorBalanceSheet.totalAssets
+  });
+  (TEMPLATE_METRIC_DEFINITIONS[industryTemplate] || []).forEach(({ key, ...definition }) => {
+    ratios[key] = { ...definition, value: templateMetrics[key] ?? null };
+  });
+
+  // OPTIONAL FEATURES reach beyond company facts, to a price provider or to filing documents. One that fails comes
+  // back null with a warning, and the extraction stands.
+  const warnings = [];
+  const optional = async (feature, load) => {
+    try {
+      return await load();
+    } catch (error) {
+      console.error(`${feature} failed for ${ticker}:`, error);
+      warnings.push({ feature, message: error.message });
+      return null;
+    }
+  };
+
+  // VALUATION: multiples at the close on each fiscal year end against that year's statements, and at the latest
+  // close (on asOf when set) against the latest fiscal year. Annual figures are used even for a 10-Q source.
+  const yearStatements = (year) => {
+    const flat = (statement) => Object.fromEntries(Object.entries(history[statement]).map(([line, byYear]) => [line, byYear[year] ?? null]));
+    return { is: flat('incomeStatement'), bs: flat('balanceSheet'), cf: flat('cashFlowStatement') };
+  };
+  const periodEndOf = (year) => provenance.history.balanceSheet.totalAssets?.[year]?.end ||
+    provenance.history.incomeStatement.revenues?.[year]?.end || null;
+  const [latestFiscalYear] = fiscalYears;
+  const priced = await optional('valuation', async () => {
+    const priceProvider = getPriceProvider();
+    const valuationAt = async (date, year) => {
+      const close = priceProvider && date ? await priceProvider.getClose(ticker, date) : null;
+      const multiples = calculateValuation({ price: close?.close ?? null, ...yearStatements(year) });
+      return {
+        point: {
+          date,
+          priceDate: close?.date ?? null,
+          price: close?.close ?? null,
+          fiscalYear: year,
+          ...Object.fromEntries(Object.entries(multiples).map(([key, multiple]) => [key, multiple.value]))
+        },
+        multiples
+      };
+    };
+    const current = await valuationAt(asOf || new Date().toISOString().split('T')[0], latestFiscalYear);
+    if (!priceProvider) return { valuation: null, multiples: current.multiples };
+    const valuationHistory = Object.fromEntries(
+      await Promise.all(fiscalYears.map(async year => [year, (await valuationAt(periodEndOf(year), year)).point]))
+    );
+    return {
+      valuation: { provider: priceProvider.name, current: current.point, fiscalYearEnd: valuationHistory[latestFiscalYear], history: valuationHistory },
+      multiples: current.multiples
+    };
+  });
+  const valuation = priced?.valuation ?? null;
+  // Without prices the multiples are still listed, as null
+  Object.assign(ratios, priced?.multiples ?? calculateValuation({ price: null, ...yearStatements(latestFiscalYear) }));
+
+  // SEGMENTS: dimensional breakdowns from the source filing, or the latest 10-K
+  const segments = includeSegments
+    ? await optional('segments', () => getSegments(cik, { sourceFiling, asOf, cacheLog }))
+    : undefined;
+
+  // AS REPORTED: the same filing's complete statements, in the company's own lines and labels
+  const asReported = includeAsReported
+    ? await optional('asReported', () => getAsReportedStatements(cik, { sourceFiling, asOf, cacheLog }))
+    : undefined;
+
+  // INSIDERS: Form 4 transactions filed by asOf
+  const insiderTransactions = includeInsiders
+    ? await optional('insiderTransactions', () => getInsiderTransactions(cik, { to: asOf, cacheLog }))
+    : undefined;
+
+  // Prepare response data
+  const data = {
+    metadata: {
+      ticker: ticker,
+      cik: cik,
+      dataYear: revenueData?.year || 'N/A',
+      filingDate: revenueData?.filingDate || 'N/A',
+      fiscalYearEnd: entityInfo.fiscalYearEnd,
+      period: period,
+      ...(asOf && { asOf }),
+      ...(sourceFiling && {
+        source: {
+          accessionNumber: sourceFiling.accessionNumber,
+          form: sourceFiling.form,
+          filingDate: sourceFiling.filingDate,
+          reportDate: sourceFiling.reportDate,
+          documentUrl: sourceFiling.documentUrl,
+          indexUrl: sourceFiling.indexUrl
+        }
+      }),
+      industryTemplate: conceptMapping.template,
+      conceptMapping: {
+        version: conceptMapping.version,
+        overrides: conceptMapping.overrides
+      }
+    },
+    incomeStatement: {
+      revenues: revenue,
+      costOfRevenues: costOfRevenue,
+      grossProfit: grossProfit,
+      operatingExpenses: {
+        sga: sgaData?.value || null,
+        rd: rdData?.value || null,
+        total: (sgaData?.value || 0) + (rdData?.value || 0) || null
+      },
+      operatingIncome: operatingIncome,
+      netIncome: netIncome,
+      earningsPerShare: earningsPerShare,
+      sharesOutstanding: sharesOutstanding,
+      ...templateLines('incomeStatement')
+    },
+    balanceSheet: {
+      totalAssets: totalAssets,
+      currentAssets: currentAssets,
+      cashAndCashEquivalents: cashAndEquivalents,
+      totalLiabilities: totalLiabilities,
+      currentLiabilities: currentLiabilities,
+      stockholdersEquity: stockholdersEquity,
+      workingCapital: currentAssets && currentLiabilities ? currentAssets - currentLiabilities : null,
+      ...templateLines('balanceSheet')
+    },
+    cashFlowStatement: {
+      operatingCashFlow: operatingCashFlow,
+      investingCashFlow: investingCashFlow,
+      financingCashFlow: financingCashFlow,
+      freeCashFlow: operatingCashFlow && investingCashFlow ? operatingCashFlow + investingCashFlow : null,
+      ...templateLines('cashFlowStatement')
+    },
+    keyMetrics: {
+      // Valuation multiples are at the latest close, and null without a price provider
+      ...Object.fromEntries(Object.entries(ratios).map(([key, ratio]) => [key, ratio.value]))
+    },
+    // Label, category, unit and formula of every key metric, with its value
+    ratios: ratios,
+    valuation: valuation,
+    history: history,
+    analytics: analytics,
+    ...(segments !== undefined && { segments }),
+    ...(asReported !== undefined && { asReported }),
+    ...(insiderTransactions !== undefined && { insiderTransactions }),
+    ...(warnings.length > 0 && { warnings }),
+    provenance: provenance,
+    restatements: restatements,
+    ...(periodData && { [periodData.mode]: periodData }),
+    trends: {
+      quarterlyRevenue: quarterlyRevenue,
+      quarterlyNetIncome: quarterlyNetIncome
+    }
+  };
+
+  // Final validation summary
+  console.log('\n--- Final Data Summary ---');
+  console.log(`Revenue: $${(revenue / 1e9).toFixed(2)}B`);
+  console.log(`Gross Profit: $${(grossProfit / 1e9).toFixed(2)}B (${data.keyMetrics.grossMargin}%)`);
+  console.log(`Operating Income: $${(operatingIncome / 1e9).toFixed(2)}B`);
+  console.log(`Net Income: $${(netIncome / 1e9).toFixed(2)}B (${data.keyMetrics.netMargin}%)`);
+  console.log(`Total Assets: $${(totalAssets / 1e9).toFixed(2)}B`);
+  console.log(`Stockholders Equity: $${(stockholdersEquity / 1e9).toFixed(2)}B`);
+  console.log(`ROE: ${data.keyMetrics.returnOnEquity}%`);
+  
+  // VALIDATION: accounting identities and consistency rules on the latest figures; the score follows from the findings
+  // Share counts are dated on the cover page, not at the period end
+  const periodEnds = { incomeStatement: {}, balanceSheet: {}, cashFlowStatement: {} };
+  const concepts = { incomeStatement: {}, balanceSheet: {}, cashFlowStatement: {} };
+  forEachLineItem((statement, line, { kind }) => {
+    const found = latestData[statement][line];
+    if (kind !== 'shares') periodEnds[statement][line] = found?.endDate || null;
+    concepts[statement][line] = found?.provenance?.concept || null;
+  });
+  const validation = runValidation({
+    template: industryTemplate,
+    ...latestFlat,
+    metrics: data.keyMetrics,
+    periodEnds,
+    concepts
+  });
+
+  data.dataQuality = {
+    score: validation.score,
+    maxScore: validation.maxScore,
+    issues: validation.findings.map(finding => finding.message),
+    findings: validation.findings,
+    rules: validation.rules
+  };
+
+  console.log(`\nData Quality Score: ${validation.score}/${validation.maxScore}`);
+  validation.findings.forEach(finding => console.log(`  [${finding.severity}] ${finding.message}`));
+
+  return data;
+};
@@ -0,0 +1,137 @@
+// Segment, product and geographic breakdowns from one filing's XBRL instance. Companyfacts keeps only facts without
+// dimensions, so these come from the instance contexts: a fact whose single dimension is a breakdown axis member.
+import { getFilingSource, findInstanceDocument } from './filing-documents';
+import { findLatestFiling } from './filings';
+import { parseXbrlInstance } from './xbrl-instance';
+import { loadConceptMapping } from './concept-mapping';
+
+// Breakdowns: [key, label, axis local name]. Axes match in any namespace: filers use both us-gaap: and srt: versions.
+export const SEGMENT_AXES = [
+  ['segment', 'Business Segments', 'StatementBusinessSegmentsAxis'],
+  ['product', 'Products and Services', 'ProductOrServiceAxis'],
+  ['geography', 'Geographic Areas', 'StatementGeographicalAxis']
+];
+
+// Measures broken down, with concepts read from the line's base chain in the concept mapping
+export const SEGMENT_METRICS = [
+  ['revenues', 'Revenue', 'incomeStatement'],
+  ['operatingIncome', 'Operating Income', 'incomeStatement']
+];
+
+// Period lengths in days that count as a fiscal year or a fiscal quarter
+const ANNUAL_DAYS = [350, 380];
+const QUARTER_DAYS = [80, 100];
+
+const daysBetween = (start, end) => (new Date(end) - new Date(start)) / 86400000;
+
+const localName = (qname) => String(qname).split(':').pop();
+
+// "aapl:AmericasSegmentMember" -> "Americas Segment", "country:US" -> "US"
+export const memberLabel = (member) => localName(member)
+  .replace(/Member$/, '')
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+  .trim();
+
+// Mapping concepts are unprefixed for us-gaap; instance concepts always carry their prefix
+const conceptMatches = (mapped, concept) => (mapped.includes(':') ? mapped === concept : concept === `us-gaap:${mapped}`);
+
+// instance: parseXbrlInstance output. quarterly: the filing covers a quarter (10-Q) rather than a fiscal year.
+// Returns { periods: [end dates, newest first], breakdowns: { [axisKey]: { label, axis,
+//   metrics: { [metric]: { label, concept, unit, total: { [end]: value }, members: [{ member, label, values: { [end]: value } }] } } } } }
+// A breakdown lists only axes and metrics the filing reports; `total` is the undimensioned figure for the same period.
+export const extractSegments = (instance, { quarterly = false } = {}) => {
+  const [minDays, maxDays] = quarterly ? QUARTER_DAYS : ANNUAL_DAYS;
+  const { lineItems } = loadConceptMapping();
+  const facts = instance.facts
+    .map(fact => ({ ...fact, context: instance.contexts[fact.contextRef] }))
+    .filter(({ context }) => !context.instant && context.start && context.end &&
+      daysBetween(context.start, context.end) >= minDays && daysBetween(context.start, context.end) <= maxDays);
+
+  const periods = new Set();
+  const breakdowns = {};
+
+  SEGMENT_AXES.forEach(([axisKey, axisLabel, axisName]) => {
+    const onAxis = facts.filter(({ context }) => context.dimensions.length === 1 && localName(context.dimensions[0].axis) === axisName);
+    if (onAxis.length === 0) return;
+
+    const metrics = {};
+    SEGMENT_METRICS.forEach(([metric, metricLabel, statement]) => {
+      const chain = lineItems[statement]?.[metric]?.concepts || [];
+      // The first concept in chain order that the filer broke down on this axis
+      const mapped = chain.find(candidate => onAxis.some(fact => conceptMatches(candidate, fact.concept)));
+      if (!mapped) return;
+      const matching = onAxis.filter(fact => conceptMatches(mapped, fact.concept));
+      const [{ concept, unit }] = matching;
+
+      const members = new Map();
+      const reported = new Set();
+      matching.forEach(({ context, value }) => {
+        const { axis, member } = context.dimensions[0];
+        if (!members.has(member)) members.set(member, { member, label: memberLabel(member), axis, values: {} });
+        members.get(member).values[context.end] = value;
+        reported.add(context.end);
+        periods.add(context.end);
+      });
+
+      const total = {};
+      facts
+        .filter(fact => fact.concept === concept && fact.context.dimensions.length === 0)
+        .forEach(({ context, value }) => {
+          if (reported.has(context.end)) total[context.end] = value;
+        });
+
+      const latest = [...reported].sort().pop();
+      metrics[metric] = {
+        label: metricLabel,
+        concept,
+        unit,
+        total,
+        members: [...members.values()]
+          .sort((a, b) => (b.values[latest] ?? -Infinity) - (a.values[latest] ?? -Infinity))
+          .map(({ axis, ...entry }) => entry)
+      };
+    });
+
+    if (Object.keys(metrics).length > 0) {
+      breakdowns[axisKey] = { label: axisLabel, axis: onAxis[0].context.dimensions[0].axis, metrics };
+    }
+  });
+
+  return { periods: [...periods].sort().reverse(), breakdowns };
+};
+
+// Breakdowns reported in one filing: { source: { accessionNumber, form, filingDate, document, format, indexUrl },
+// periods, breakdowns }, or null when the filing has no XBRL instance. filing: a lib/filings entry.
+export const getFilingSegments = async (cik, filing, { cacheLog } = {}) => {
+  const source = getFilingSource();
+  const documents = await source.listDocuments(cik, filing.accessionNumber, { cacheLog });
+  const instanceDocument = findInstanceDocument(documents, filing.primaryDocument);
+  if (!instanceDocument) return null;
+
+  const quarterly = Boolean(filing.form?.startsWith('10-Q'));
+  const segments = await source.getDocument(cik, filing.accessionNumber, instanceDocument.name, {
+    // Only the breakdowns are cached, not the (large) instance
+    cacheKey: `segments-${filing.accessionNumber}`,
+    parse: (text) => extractSegments(parseXbrlInstance(text), { quarterly }),
+    cacheLog
+  });
+
+  return {
+    source: {
+      accessionNumber: filing.accessionNumber,
+      form: filing.form,
+      filingDate: filing.filingDate,
+      document: instanceDocument.name,
+      format: instanceDocument.format,
+      indexUrl: filing.indexUrl
+    },
+    ...segments
+  };
+};
+
+// Breakdowns from `sourceFiling` when given, otherwise from the latest 10-K (filed by asOf when set)
+export const getSegments = async (cik, { sourceFiling = null, asOf = null, cacheLog } = {}) => {
+  const filing = sourceFiling || await findLatestFiling(cik, ['10-K'], { asOf, cacheLog });
+  return filing ? getFilingSegments(cik, filing, { cacheLog }) : null;
+};
@@ -0,0 +1,315 @@
+// Accounting-identity validation: named rules with tolerances, run against the latest extracted figures.
+// Every failed check is a finding ({ rule, severity, expected, actual, ... }) and the data quality score is derived
+// from the failed rules, so the UI, the export and the score all report the same thing.
+
+export const MAX_QUALITY_SCORE = 100;
+
+// Points deducted once per failed rule, however many findings it produced
+export const SEVERITY_PENALTIES = { error: 25, warning: 10, info: 0 };
+
+const isNumber = (value) => value !== null && value !== undefined && !isNaN(value);
+const sum = (...values) => values.reduce((total, value) => total + (value || 0), 0);
+
+// Lines that are never negative as tagged; XBRL reports costs and liabilities as positive amounts
+const NON_NEGATIVE_LINES = [
+  ['incomeStatement', 'revenues'],
+  ['incomeStatement', 'costOfRevenues'],
+  ['incomeStatement', 'sga'],
+  ['incomeStatement', 'rd'],
+  ['incomeStatement', 'sharesOutstanding'],
+  ['incomeStatement', 'interestIncome'],
+  ['incomeStatement', 'interestExpense'],
+  ['incomeStatement', 'premiumsEarned'],
+  ['incomeStatement', 'depreciationAndAmortization'],
+  ['balanceSheet', 'totalAssets'],
+  ['balanceSheet', 'currentAssets'],
+  ['balanceSheet', 'cashAndCashEquivalents'],
+  ['balanceSheet', 'totalLiabilities'],
+  ['balanceSheet', 'currentLiabilities'],
+  ['balanceSheet', 'loans'],
+  ['balanceSheet', 'deposits']
+];
+
+// Lines read only to complete an identity. An older value means the filer stopped reporting the line
+// (e.g. a noncontrolling interest that was bought out), so it is left out of the identity, not flagged.
+const SUPPORTING_LINES = ['reportedGrossProfit', 'temporaryEquity', 'noncontrollingInterest', 'effectOfExchangeRate', 'netChangeInCash'];
+
+// The line's value when it is for the same period end as `reference` (another line of the statement)
+const alignedValue = ({ periodEnds }, statement, values, line, reference) => (
+  periodEnds[statement]?.[line] && periodEnds[statement][line] === periodEnds[statement]?.[reference] ? values[line] : null
+);
+
+// A rule has an id, a description, a severity, an optional tolerance (a share of the larger side, or of the
+// `scale` an outcome gives) and optional templates it is limited to. evaluate(context) returns null when its
+// inputs are missing, which skips the rule, or one or more outcomes: { expected, actual, operator, subject?, scale? }.
+// operator is '=' (within tolerance), '≤', '≥' or '>'; an outcome may also decide `passed` itself.
+// context: { template, is, bs, cf, metrics, periodEnds, concepts } with flat { line: value } statements,
+// and the period end and matched concept of each tagged line ({ [statement]: { [line]: ... } }).
+export const VALIDATION_RULES = [
+  {
+    id: 'revenue-present',
+    description: 'Revenue is reported',
+    severity: 'error',
+    evaluate: ({ is }) => ({ expected: 0, actual: is.revenues ?? null, operator: '>' })
+  },
+  {
+    id: 'total-assets-present',
+    description: 'Total assets are reported',
+    severity: 'error',
+    evaluate: ({ bs }) => ({ expected: 0, actual: bs.totalAssets ?? null, operator: '>' })
+  },
+  {
+    id: 'operating-cash-flow-present',
+    description: 'Operating cash flow is reported',
+    severity: 'error',
+    evaluate: ({ cf }) => ({
+      expected: 'reported',
+      actual: cf.operatingCashFlow ?? null,
+      operator: '=',
+      passed: isNumber(cf.operatingCashFlow) && cf.operatingCashFlow !== 0
+    })
+  },
+  {
+    id: 'balance-sheet-identity',
+    description: 'Total assets = total liabilities + equity (including temporary equity and noncontrolling interests)',
+    severity: 'error',
+    tolerance: 0.01,
+    evaluate: (context) => {
+      const { bs, concepts } = context;
+      if (!isNumber(bs.totalAssets) || !isNumber(bs.totalLiabilities) || !isNumber(bs.stockholdersEquity)) return null;
+      const adjustment = (line) => alignedValue(context, 'balanceSheet', bs, line, 'totalAssets');
+      // Equity may already be the total including noncontrolling interests
+      const equityIncludesNci = concepts.balanceSheet?.stockholdersEquity === 'StockholdersEquityIncludingPortionAttributableToNoncontrollingInterest';
+      return {
+        expected: sum(
+          bs.totalLiabilities,
+          bs.stockholdersEquity,
+          adjustment('temporaryEquity'),
+          equityIncludesNci ? 0 : adjustment('noncontrollingInterest')
+        ),
+        actual: bs.totalAssets,
+        operator: '='
+      };
+    }
+  },
+  {
+    id: 'gross-profit-identity',
+    description: 'Revenue - cost of revenue = gross profit as tagged',
+    severity: 'warning',
+    tolerance: 0.01,
+    templates: ['industrial'],
+    evaluate: (context) => {
+      const { is } = context;
+      const reported = alignedValue(context, 'incomeStatement', is, 'reportedGrossProfit', 'revenues');
+      if (!isNumber(reported) || !isNumber(is.revenues) || !isNumber(is.costOfRevenues)) return null;
+      return { expected: reported, actual: is.revenues - is.costOfRevenues, operator: '=' };
+    }
+  },
+  {
+    id: 'cash-flow-reconciliation',
+    description: 'Operating + investing + financing cash flows + exchange rate effect = net change in cash',
+    severity: 'warning',
+    tolerance: 0.01,
+    evaluate: (context) => {
+      const { cf } = context;
+      const sections = [cf.operatingCashFlow, cf.investingCashFlow, cf.financingCashFlow];
+      const netChange = alignedValue(context, 'cashFlowStatement', cf, 'netChangeInCash', 'operatingCashFlow');
+      if (!sections.every(isNumber) || !isNumber(netChange)) return null;
+      return {
+        expected: netChange,
+        actual: sum(...sections, alignedValue(context, 'cashFlowStatement', cf, 'effectOfExchangeRate', 'operatingCashFlow')),
+        operator: '=',
+        // The net change is small next to the flows that produce it, so the tolerance is on the gross flows
+        scale: sum(...sections.map(Math.abs))
+      };
+    }
+  },
+  {
+    id: 'period-end-alignment',
+    description: 'Every statement line is for the same period end',
+    severity: 'error',
+    evaluate: ({ periodEnds }) => {
+      const reference = periodEnds.balanceSheet?.totalAssets || periodEnds.incomeStatement?.revenues;
+      if (!reference) return null;
+      return Object.entries(periodEnds).flatMap(([, lines]) => Object.entries(lines))
+        .filter(([line, end]) => end && !SUPPORTING_LINES.includes(line))
+        .map(([line, end]) => ({ subject: line, expected: reference, actual: end, operator: '=', passed: end === reference }));
+    }
+  },
+  {
+    id: 'sign-conventions',
+    description: 'Revenue, costs, assets, liabilities, cash and share counts are not negative',
+    severity: 'warning',
+    evaluate: (context) => {
+      const statements = { incomeStatement: context.is, balanceSheet: context.bs, cashFlowStatement: context.cf };
+      return NON_NEGATIVE_LINES
+        .filter(([statement, line]) => isNumber(statements[statement][line]))
+        .map(([statement, line]) => ({ subject: line, expected: 0, actual: statements[statement][line], operator: '≥' }));
+    }
+  },
+
+  // Industrial companies: gross profit is the headline line
+  {
+    id: 'gross-profit-present',
+    description: 'Gross profit can be derived and is positive',
+    severity: 'warning',
+    templates: ['industrial'],
+    evaluate: ({ is }) => ({ expected: 0, actual: is.grossProfit ?? null, operator: '>' })
+  },
+  {
+    id: 'operating-income-within-gross-profit',
+    description: 'Operating income does not exceed gross profit',
+    severity: 'warning',
+    templates: ['industrial'],
+    evaluate: ({ is }) => (
+      isNumber(is.grossProfit) && isNumber(is.operatingIncome)
+        ? { expected: is.grossProfit, actual: is.operatingIncome, operator: '≤' }
+        : null
+    )
+  },
+  {
+    id: 'net-income-within-gross-profit',
+    description: 'Net income does not exceed gross profit (net margin within gross margin)',
+    severity: 'warning',
+    templates: ['industrial'],
+    evaluate: ({ is }) => (
+      isNumber(is.grossProfit) && isNumber(is.netIncome)
+        ? { expected: is.grossProfit, actual: is.netIncome, operator: '≤' }
+        : null
+    )
+  },
+
+  // Financial companies have no cost of revenue; their templates check their own headline lines
+  {
+    id: 'net-interest-income-present',
+    description: 'Net interest income is reported or derivable',
+    severity: 'error',
+    templates: ['bank'],
+    evaluate: ({ is }) => ({ expected: 0, actual: is.netInterestIncome ?? null, operator: '>' })
+  },
+  {
+    id: 'efficiency-ratio-range',
+    description: 'Efficiency ratio is at most 100%',
+    severity: 'warning',
+    templates: ['bank'],
+    evaluate: ({ metrics }) => (
+      isNumber(metrics.efficiencyRatio) ? { expected: 100, actual: metrics.efficiencyRatio, operator: '≤' } : null
+    )
+  },
+  {
+    id: 'premiums-earned-present',
+    description: 'Premiums earned are reported',
+    severity: 'error',
+    templates: ['insurance'],
+    evaluate: ({ is }) => ({ expected: 0, actual: is.premiumsEarned ?? null, operator: '>' })
+  },
+  {
+    id: 'combined-ratio-range',
+    description: 'Combined ratio is below 200%',
+    severity: 'warning',
+    templates: ['insurance'],
+    evaluate: ({ metrics }) => (
+      isNumber(metrics.combinedRatio) ? { expected: 200, actual: metrics.combinedRatio, operator: '≤' } : null
+    )
+  },
+  {
+    id: 'net-income-within-revenue',
+    description: 'Net income does not exceed revenue',
+    severity: 'warning',
+    templates: ['bank', 'insurance'],
+    evaluate: ({ is }) => (
+      isNumber(is.revenues) && isNumber(is.netIncome) ? { expected: is.revenues, actual: is.netIncome, operator: '≤' } : null
+    )
+  },
+  {
+    id: 'ffo-present',
+    description: 'Funds from operations can be derived (net income and depreciation)',
+    severity: 'error',
+    templates: ['reit'],
+    evaluate: ({ is }) => ({
+      expected: 'derived',
+      actual: is.fundsFromOperations ?? null,
+      operator: '=',
+      passed: isNumber(is.fundsFromOperations)
+    })
+  },
+  {
+    id: 'operating-income-within-revenue',
+    description: 'Operating income does not exceed revenue',
+    severity: 'warning',
+    templates: ['reit'],
+    evaluate: ({ is }) => (
+      isNumber(is.revenues) && isNumber(is.operatingIncome) ? { expected: is.revenues, actual: is.operatingIncome, operator: '≤' } : null
+    )
+  },
+  {
+    id: 'ffo-within-revenue',
+    description: 'Funds from operations do not exceed revenue',
+    severity: 'warning',
+    templates: ['reit'],
+    evaluate: ({ is }) => (
+      isNumber(is.revenues) && isNumber(is.fundsFromOperations)
+        ? { expected: is.revenues, actual: is.fundsFromOperations, operator: '≤' }
+        : null
+    )
+  }
+];
+
+const passes = ({ expected, actual, operator = '=', scale, passed }, tolerance) => {
+  if (passed !== undefined) return Boolean(passed);
+  if (!isNumber(actual) || !isNumber(expected)) return false;
+  const allowance = tolerance * (scale ?? Math.max(Math.abs(expected), Math.abs(actual)));
+  if (operator === '=') return Math.abs(actual - expected) <= allowance;
+  if (operator === '≤') return actual <= expected + allowance;
+  if (operator === '≥') return actual >= expected - allowance;
+  if (operator === '>') return actual > expected;
+  return false;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return 'none';
+  return typeof value === 'number' ? value.toLocaleString('en-US') : String(value);
+};
+
+const toFinding = (rule, outcome) => {
+  const { expected, actual, operator = '=', subject = null } = outcome;
+  const difference = isNumber(expected) && isNumber(actual) && typeof expected === 'number' ? actual - expected : null;
+  return {
+    rule: rule.id,
+    description: rule.description,
+    severity: rule.severity,
+    subject,
+    expected: expected ?? null,
+    actual: actual ?? null,
+    operator,
+    difference,
+    tolerance: rule.tolerance || 0,
+    message: `${rule.description}${subject ? ` (${subject})` : ''}: expected ${operator === '=' ? '' : `${operator} `}${formatValue(expected)}, got ${formatValue(actual)}`
+  };
+};
+
+// Runs the rules that apply to the context's template.
+// Returns { score, maxScore, findings, rules: [{ rule, description, severity, status: 'passed' | 'failed' | 'skipped' }] }.
+export const runValidation = (context, rules = VALIDATION_RULES) => {
+  const findings = [];
+  const results = [];
+
+  rules.forEach(rule => {
+    if (rule.templates && !rule.templates.includes(context.template)) return;
+    const outcomes = [].concat(rule.evaluate(context) ?? []).filter(Boolean);
+    const failed = outcomes.filter(outcome => !passes(outcome, rule.tolerance || 0)).map(outcome => toFinding(rule, outcome));
+    findings.push(...failed);
+    results.push({
+      rule: rule.id,
+      description: rule.description,
+      severity: rule.severity,
+      status: outcomes.length === 0 ? 'skipped' : failed.length > 0 ? 'failed' : 'passed'
+    });
+  });
+
+  const penalty = results
+    .filter(result => result.status === 'failed')
+    .reduce((total, result) => total + SEVERITY_PENALTIES[result.severity], 0);
+
+  return { score: Math.max(0, MAX_QUALITY_SCORE - penalty), maxScore: MAX_QUALITY_SCORE, findings, rules: results };
+};
@@ -0,0 +1,135 @@
+// XBRL instance parsing for one filing: contexts (with their dimension members), units and numeric facts.
+// Reads both the plain instance document (<us-gaap:Revenues contextRef=...>) and inline XBRL (<ix:nonFraction>),
+// which companyfacts flattens away. Pure functions on the document text, so fixtures can be parsed directly.
+import { XMLParser } from 'fast-xml-parser';
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  htmlEntities: true,
+  // Every element as an array, so the walk below never has to tell one child from many
+  isArray: (name, jpath, isLeafNode, isAttribute) => !isAttribute
+});
+
+const localName = (qname) => String(qname).split(':').pop();
+
+// The XML shapes below are shared with the linkbase parsers in lib/xbrl-linkbase.js
+export const parseXml = (text) => xmlParser.parse(text);
+
+// Visit every element as (qualified name, node); text-only elements without attributes arrive as strings
+export const walk = (node, visit) => {
+  Object.entries(node).forEach(([key, value]) => {
+    if (!Array.isArray(value)) return;
+    value.forEach(child => {
+      visit(key, child);
+      if (child && typeof child === 'object') walk(child, visit);
+    });
+  });
+};
+
+// All text under an element, e.g. a value split across nested <span>s in inline XBRL
+export const textOf = (node) => {
+  if (node === null || node === undefined) return '';
+  if (typeof node !== 'object') return String(node);
+  return Object.entries(node)
+    .filter(([key]) => key === '#text' || Array.isArray(node[key]))
+    .map(([key, value]) => (key === '#text' ? String(value) : value.map(textOf).join('')))
+    .join('');
+};
+
+const firstText = (node, name) => {
+  let found = null;
+  walk(node, (key, child) => {
+    if (found === null && localName(key) === name) found = textOf(child).trim();
+  });
+  return found;
+};
+
+const parseContext = (node) => {
+  const dimensions = [];
+  walk(node, (key, child) => {
+    if (localName(key) === 'explicitMember' && child?.dimension) {
+      dimensions.push({ axis: child.dimension, member: textOf(child).trim() });
+    }
+  });
+  const instant = firstText(node, 'instant');
+  return {
+    id: node.id,
+    start: instant ? null : firstText(node, 'startDate'),
+    end: instant || firstText(node, 'endDate'),
+    instant: Boolean(instant),
+    dimensions
+  };
+};
+
+// Unit id -> measure without its namespace, e.g. USD, shares, or USD/shares for a divide
+const parseUnit = (node) => {
+  const measures = [];
+  walk(node, (key, child) => {
+    if (localName(key) === 'measure') measures.push(localName(textOf(child).trim()));
+  });
+  return measures.join('/');
+};
+
+// Inline XBRL display values: "1,234.5" with scale 6 and sign "-" is -1234500000. Dashes and blanks read as zero
+// (ixt:fixed-zero, ixt:zerodash); formats spelling numbers out in words are not supported and give null.
+const inlineValue = (node) => {
+  const text = textOf(node).trim();
+  const format = localName(node.format || '');
+  let number;
+  if (format === 'fixed-zero' || format === 'zerodash' || /^[-–—]*$/.test(text)) {
+    number = 0;
+  } else if (/comma-?decimal/.test(format)) {
+    number = Number(text.replace(/[.\s]/g, '').replace(',', '.'));
+  } else {
+    number = Number(text.replace(/[,\s$()]/g, ''));
+  }
+  if (isNaN(number)) return null;
+  const scaled = number * Math.pow(10, Number(node.scale) || 0);
+  return node.sign === '-' ? -scaled : scaled;
+};
+
+// The parser keeps an element's text apart from its child elements, so "2,<span>500</span>" would read back as
+// "5002,". Inline values are flattened to their text before parsing; nil facts are empty elements and are left alone.
+const flattenInlineValues = (text) => text.replace(
+  /(<ix:nonFraction\b[^>]*(?<!\/)>)([\s\S]*?)(<\/ix:nonFraction>)/g,
+  (match, open, content, close) => `${open}${content.replace(/<[^>]*>/g, '')}${close}`
+);
+
+// Returns { format: 'xbrl' | 'inline', contexts: { [id]: { id, start, end, instant, dimensions: [{ axis, member }] } },
+//   facts: [{ concept, contextRef, unit, decimals, value }] } with numeric facts only (nil facts are skipped)
+export const parseXbrlInstance = (text) => {
+  const document = parseXml(flattenInlineValues(text));
+  const contexts = {};
+  const units = {};
+  const facts = [];
+  let inline = false;
+
+  walk(document, (key, node) => {
+    if (!node || typeof node !== 'object') return;
+    const name = localName(key);
+    if (name === 'context' && node.id) {
+      contexts[node.id] = parseContext(node);
+    } else if (name === 'unit' && node.id) {
+      units[node.id] = parseUnit(node);
+    } else if (key === 'ix:nonFraction') {
+      inline = true;
+      if (node['xsi:nil'] === 'true') return;
+      facts.push({ concept: node.name, contextRef: node.contextRef, unitRef: node.unitRef, decimals: node.decimals ?? null, value: inlineValue(node) });
+    } else if (node.contextRef && node.unitRef && !key.startsWith('ix:')) {
+      if (node['xsi:nil'] === 'true') return;
+      const value = Number(textOf(node).trim());
+      facts.push({ concept: key, contextRef: node.contextRef, unitRef: node.unitRef, decimals: node.decimals ?? null, value: isNaN(value) ? null : value });
+    }
+  });
+
+  return {
+    format: inline ? 'inline' : 'xbrl',
+    contexts,
+    facts: facts
+      .filter(fact => fact.value !== null && contexts[fact.contextRef])
+      .map(({ unitRef, ...fact }) => ({ ...fact, unit: units[unitRef] || unitRef }))
+  };
+};
@@ -0,0 +1,100 @@
+// XBRL linkbase and taxonomy schema parsing for one filing: presentation and calculation relationships, labels,
+// and the role definitions naming each statement. Pure functions on the document text, like lib/xbrl-instance.js.
+import { parseXml, walk, textOf } from './xbrl-instance';
+
+const localName = (qname) => String(qname).split(':').pop();
+
+// Last segment of a role URI, e.g. http://www.xbrl.org/2003/role/totalLabel -> totalLabel
+export const roleName = (uri) => String(uri || '').split('/').pop();
+
+// Locator href -> prefixed concept: "https://xbrl.fasb.org/us-gaap/2023/elts/us-gaap-2023.xsd#us-gaap_Revenues"
+// and "aapl-20230930.xsd#aapl_ProductMember" become us-gaap:Revenues and aapl:ProductMember
+const conceptOf = (href) => {
+  const fragment = String(href || '').split('#')[1] || '';
+  return fragment.replace('_', ':');
+};
+
+// Direct children of an element with the given local name
+const children = (node, name) => Object.entries(node)
+  .filter(([key, value]) => Array.isArray(value) && localName(key) === name)
+  .flatMap(([, value]) => value)
+  .filter(child => child && typeof child === 'object');
+
+// Every extended link of one kind (presentationLink, calculationLink, labelLink) in a parsed document, locators resolved:
+// [{ role, node, concepts: { [xlink:label]: concept } }]
+const extendedLinks = (document, linkName) => {
+  const links = [];
+  walk(document, (key, node) => {
+    if (localName(key) !== linkName || !node || typeof node !== 'object') return;
+    const concepts = {};
+    children(node, 'loc').forEach(loc => {
+      concepts[loc['xlink:label']] = conceptOf(loc['xlink:href']);
+    });
+    links.push({ role: node['xlink:role'], node, concepts });
+  });
+  return links;
+};
+
+// Presentation or calculation relationships: [{ link: 'presentation' | 'calculation', role, from, to, order, weight,
+// preferredLabel }], from and to as prefixed concepts. preferredLabel is the label role's name (totalLabel, negatedLabel, periodStartLabel...) or null;
+// weight is only set in a calculation linkbase.
+export const parseRelationships = (text) => {
+  const document = parseXml(text);
+  const relationships = [];
+  ['presentationLink', 'calculationLink'].forEach(linkName => {
+    extendedLinks(document, linkName).forEach(({ role, node, concepts }) => {
+      const arcName = linkName === 'presentationLink' ? 'presentationArc' : 'calculationArc';
+      children(node, arcName).forEach(arc => {
+        const from = concepts[arc['xlink:from']];
+        const to = concepts[arc['xlink:to']];
+        if (!from || !to || arc.use === 'prohibited') return;
+        relationships.push({
+          link: linkName.replace('Link', ''),
+          role,
+          from,
+          to,
+          order: Number(arc.order) || 0,
+          weight: arc.weight !== undefined ? Number(arc.weight) : null,
+          preferredLabel: arc.preferredLabel ? roleName(arc.preferredLabel) : null
+        });
+      });
+    });
+  });
+  return relationships;
+};
+
+// Label linkbase: { [concept]: { [label role name]: text } }, English labels only (or the first language when a
+// filer has none). `concepts` (a Set) keeps only the labels of those concepts.
+export const parseLabels = (text, concepts = null) => {
+  const labels = {};
+  extendedLinks(parseXml(text), 'labelLink').forEach(({ node, concepts: locators }) => {
+    const resources = {};
+    children(node, 'label').forEach(label => {
+      const key = label['xlink:label'];
+      if (!resources[key]) resources[key] = [];
+      resources[key].push({ role: roleName(label['xlink:role'] || 'label'), lang: label['xml:lang'] || '', text: textOf(label).trim() });
+    });
+    children(node, 'labelArc').forEach(arc => {
+      const concept = locators[arc['xlink:from']];
+      if (!concept || (concepts && !concepts.has(concept))) return;
+      (resources[arc['xlink:to']] || []).forEach(({ role, lang, text: labelText }) => {
+        if (!labels[concept]) labels[concept] = {};
+        const english = /^en/i.test(lang);
+        if (!labels[concept][role] || english) labels[concept][role] = labelText;
+      });
+    });
+  });
+  return labels;
+};
+
+// Taxonomy schema (.xsd): { [role URI]: definition }, e.g. "0000004 - Statement - CONSOLIDATED BALANCE SHEETS"
+export const parseRoleDefinitions = (text) => {
+  const definitions = {};
+  walk(parseXml(text), (key, node) => {
+    if (localName(key) !== 'roleType' || !node?.roleURI) return;
+    // Text-only, so the definition arrives as a string rather than an element
+    const definitionKey = Object.keys(node).find(name => localName(name) === 'definition');
+    definitions[node.roleURI] = definitionKey ? textOf(node[definitionKey][0]).trim() : '';
+  });
+  return definitions;
+};
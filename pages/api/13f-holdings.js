@@ -0,0 +1,62 @@
+// A filer's holdings from the information table of one 13F-HR, e.g. ?cik=1067983 for the latest one
+import { sendError } from '../../lib/edgar';
+import { setCacheHeaders } from '../../lib/cache';
+import { findFiling, findLatestFiling } from '../../lib/filings';
+import { getFilerHoldings, THIRTEEN_F_FORMS } from '../../lib/holdings';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { cik, accession, asOf } = req.query;
+
+  if (!cik) {
+    return res.status(400).json({ message: 'CIK required' });
+  }
+
+  if (!/^\d{1,10}$/.test(cik)) {
+    return res.status(400).json({ message: 'CIK must be numeric' });
+  }
+
+  if (accession && !/^\d{10}-\d{2}-\d{6}$/.test(accession)) {
+    return res.status(400).json({ message: 'accession must look like 0000950123-24-005678' });
+  }
+
+  if (asOf && !DATE_PATTERN.test(asOf)) {
+    return res.status(400).json({ message: 'asOf must be a date (YYYY-MM-DD)' });
+  }
+
+  if (accession && asOf) {
+    return res.status(400).json({ message: 'accession and asOf cannot be combined' });
+  }
+
+  try {
+    const cacheLog = {};
+
+    // The given filing, or the latest 13F-HR (filed by asOf when set)
+    const filing = accession
+      ? await findFiling(cik, accession, { cacheLog })
+      : await findLatestFiling(cik, ['13F-HR'], { asOf, cacheLog });
+    if (!filing) {
+      return res.status(404).json({ message: accession ? `Filing ${accession} not found for CIK ${cik}` : `No 13F-HR found for CIK ${cik}` });
+    }
+    if (!THIRTEEN_F_FORMS.includes(filing.form)) {
+      return res.status(400).json({ message: `${filing.form} ${filing.accessionNumber} is not a 13F-HR` });
+    }
+
+    const result = await getFilerHoldings(cik, filing, { cacheLog });
+    setCacheHeaders(res, cacheLog);
+    if (!result) {
+      return res.status(404).json({ message: `${filing.form} ${filing.accessionNumber} has no information table` });
+    }
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    console.error('13F Holdings Error:', error);
+    sendError(res, error, 'Failed to fetch 13F holdings');
+  }
+}
@@ -0,0 +1,73 @@
+// Run the sec-data extraction for a list of tickers or CIKs in one request
+import { sendError, EdgarError } from '../../lib/edgar';
+import { setCacheHeaders } from '../../lib/cache';
+import { extractSecData, parseExtractionOptions } from '../../lib/sec-data';
+import { getSearchIndex, resolveCompany } from '../../lib/search-index';
+
+const MAX_BATCH_SIZE = 100;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { companies, ...extractionQuery } = req.body || {};
+
+  if (!Array.isArray(companies) || companies.length === 0) {
+    return res.status(400).json({ message: 'companies must be a non-empty array of tickers or CIKs' });
+  }
+
+  if (companies.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ message: `At most ${MAX_BATCH_SIZE} companies per batch` });
+  }
+
+  // Same years/from/to/period/quarters/asOf options as /api/sec-data
+  const { options, error: optionsError } = parseExtractionOptions(
+    Object.fromEntries(Object.entries(extractionQuery).map(([key, value]) => [key, String(value)]))
+  );
+  if (optionsError) {
+    return res.status(400).json({ message: optionsError });
+  }
+
+  try {
+    const cacheLog = {};
+    const searchIndex = await getSearchIndex({ cacheLog });
+    const results = [];
+
+    // One company at a time: the shared EDGAR client enforces the rate limit, and the response cache keeps
+    // the multi-megabyte companyfacts documents within SEC_CACHE_MAX_BYTES
+    for (const input of companies) {
+      const company = resolveCompany(searchIndex, input);
+      if (!company) {
+        results.push({ input, status: 'error', httpStatus: 404, error: 'Unknown ticker or CIK' });
+        continue;
+      }
+
+      try {
+        const data = await extractSecData({ ticker: company.ticker || company.cik, cik: company.cik, ...options, cacheLog });
+        results.push({ input, status: 'ok', company, data });
+      } catch (error) {
+        console.error(`Batch extraction failed for ${input}:`, error);
+        results.push({
+          input,
+          status: 'error',
+          company,
+          httpStatus: error instanceof EdgarError ? error.status : 500,
+          error: error.message
+        });
+      }
+    }
+
+    setCacheHeaders(res, cacheLog);
+
+    const succeeded = results.filter(r => r.status === 'ok').length;
+    res.status(200).json({
+      summary: { requested: companies.length, succeeded, failed: companies.length - succeeded },
+      results
+    });
+
+  } catch (error) {
+    console.error('Batch SEC Data Error:', error);
+    sendError(res, error, 'Failed to run batch extraction');
+  }
+}
@@ -1,4 +1,7 @@
 // Get detailed company information from SEC
+import { getSubmissions, sendError } from '../../lib/edgar';
+import { setCacheHeaders } from '../../lib/cache';
+
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ message: 'Method not allowed' });
@@ -10,21 +13,15 @@ export default async function handler(req, res) {
     return res.status(400).json({ message: 'CIK required' });
   }
 
-  try {
-    const headers = {
-      'User-Agent': 'SEC Converter support@example.com',
-      'Accept': 'application/json'
-    };
+  if (!/^\d{1,10}$/.test(cik)) {
+    return res.status(400).json({ message: 'CIK must be numeric' });
+  }
 
+  try {
     // Get company submissions for additional info
-    const submissionsUrl = `https://data.sec.gov/submissions/CIK${cik.padStart(10, '0')}.json`;
-    const submissionsResponse = await fetch(submissionsUrl, { headers });
-    
-    if (!submissionsResponse.ok) {
-      throw new Error(`SEC Submissions API error: ${submissionsResponse.status}`);
-    }
-    
-    const submissionsData = await submissionsResponse.json();
+    const cacheLog = {};
+    const submissionsData = await getSubmissions(cik, { cacheLog });
+    setCacheHeaders(res, cacheLog);
 
     // Extract company details
     const companyInfo = {
@@ -51,9 +48,6 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error('Company Info Error:', error);
-    res.status(500).json({ 
-      message: 'Failed to fetch company info', 
-      error: error.message 
-    });
+    sendError(res, error, 'Failed to fetch company info');
   }
 }
@@ -0,0 +1,89 @@
+// 10-K narrative sections, e.g. ?cik=320193&items=1A,7&format=markdown, with Item 1A compared to the prior 10-K
+import { sendError } from '../../lib/edgar';
+import { setCacheHeaders } from '../../lib/cache';
+import { findFiling, findLatestFiling } from '../../lib/filings';
+import { getTenKSections, formatSections, TEN_K_ITEMS, TEN_K_FORMS, SECTION_FORMATS } from '../../lib/filing-sections';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const CONTENT_TYPES = {
+  text: 'text/plain; charset=utf-8',
+  markdown: 'text/markdown; charset=utf-8'
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { cik, accession, asOf, format = 'json', compare = 'true' } = req.query;
+
+  if (!cik) {
+    return res.status(400).json({ message: 'CIK required' });
+  }
+
+  if (!/^\d{1,10}$/.test(cik)) {
+    return res.status(400).json({ message: 'CIK must be numeric' });
+  }
+
+  if (accession && !/^\d{10}-\d{2}-\d{6}$/.test(accession)) {
+    return res.status(400).json({ message: 'accession must look like 0000320193-23-000106' });
+  }
+
+  if (asOf && !DATE_PATTERN.test(asOf)) {
+    return res.status(400).json({ message: 'asOf must be a date (YYYY-MM-DD)' });
+  }
+
+  if (accession && asOf) {
+    return res.status(400).json({ message: 'accession and asOf cannot be combined' });
+  }
+
+  // items=1A,7 or items=1A&items=7
+  const items = [].concat(req.query.items || [])
+    .flatMap(value => String(value).split(','))
+    .map(item => item.trim().toUpperCase())
+    .filter(Boolean);
+  const unknown = items.filter(item => !TEN_K_ITEMS.some(([known]) => known === item));
+  if (unknown.length > 0) {
+    return res.status(400).json({ message: `Unknown item ${unknown.join(', ')}; items are ${TEN_K_ITEMS.map(([item]) => item).join(', ')}` });
+  }
+
+  if (!SECTION_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `format must be one of: ${SECTION_FORMATS.join(', ')}` });
+  }
+
+  if (!['true', 'false'].includes(compare)) {
+    return res.status(400).json({ message: 'compare must be true or false' });
+  }
+
+  try {
+    const cacheLog = {};
+
+    // The given filing, or the latest 10-K (filed by asOf when set)
+    const filing = accession
+      ? await findFiling(cik, accession, { cacheLog })
+      : await findLatestFiling(cik, ['10-K'], { asOf, cacheLog });
+    if (!filing) {
+      return res.status(404).json({ message: accession ? `Filing ${accession} not found for CIK ${cik}` : `No 10-K found for CIK ${cik}` });
+    }
+    if (!TEN_K_FORMS.includes(filing.form) || !filing.primaryDocument) {
+      return res.status(400).json({ message: `${filing.form} ${filing.accessionNumber} is not a 10-K with a primary document` });
+    }
+
+    const result = await getTenKSections(cik, filing, { items, compare: compare === 'true', cacheLog });
+    setCacheHeaders(res, cacheLog);
+
+    if (format === 'json') {
+      return res.status(200).json(result);
+    }
+
+    const extension = format === 'markdown' ? 'md' : 'txt';
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filing.accessionNumber}-sections.${extension}"`);
+    res.status(200).send(formatSections(result, format));
+
+  } catch (error) {
+    console.error('Filing Sections Error:', error);
+    sendError(res, error, 'Failed to extract filing sections');
+  }
+}
@@ -0,0 +1,64 @@
+// API endpoint for a company's complete filing history, with form and date filters
+import { sendError } from '../../lib/edgar';
+import { setCacheHeaders } from '../../lib/cache';
+import { getFilingHistory, filterFilings } from '../../lib/filings';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { cik, form, from, to } = req.query;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : DEFAULT_LIMIT;
+  const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+
+  if (!cik) {
+    return res.status(400).json({ message: 'CIK required' });
+  }
+
+  if (!/^\d{1,10}$/.test(cik)) {
+    return res.status(400).json({ message: 'CIK must be numeric' });
+  }
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res.status(400).json({ message: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+
+  if (from && to && from > to) {
+    return res.status(400).json({ message: 'from must not be after to' });
+  }
+
+  if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return res.status(400).json({ message: `limit must be between 1 and ${MAX_LIMIT}` });
+  }
+
+  if (isNaN(offset) || offset < 0) {
+    return res.status(400).json({ message: 'offset must be 0 or greater' });
+  }
+
+  try {
+    // Recent filings plus the archived pages that overlap the date range
+    const cacheLog = {};
+    const { filings } = await getFilingHistory(cik, { from, to, cacheLog });
+    setCacheHeaders(res, cacheLog);
+
+    // form=10-K or form=10-K,10-Q,DEF 14A (amendments included)
+    const forms = form ? String(form).split(',').map(f => f.trim()).filter(Boolean) : [];
+    const matches = filterFilings(filings, { forms, from, to });
+
+    // Same paging convention as /api/search-companies: a plain array body, totals in headers
+    res.setHeader('X-Total-Count', String(matches.length));
+    res.setHeader('X-Offset', String(offset));
+    res.setHeader('X-Limit', String(limit));
+
+    res.status(200).json(matches.slice(offset, offset + limit));
+
+  } catch (error) {
+    console.error('Filings Error:', error);
+    sendError(res, error, 'Failed to fetch filing history');
+  }
+}
@@ -0,0 +1,48 @@
+// Insider transactions parsed from a company's Form 4 filings, with net open market buying per quarter
+import { sendError } from '../../lib/edgar';
+import { setCacheHeaders } from '../../lib/cache';
+import { getInsiderTransactions, DEFAULT_INSIDER_FILINGS, MAX_INSIDER_FILINGS } from '../../lib/insiders';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { cik, from, to } = req.query;
+  // Every Form 4 is one more document from SEC, so the number parsed is capped
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : DEFAULT_INSIDER_FILINGS;
+
+  if (!cik) {
+    return res.status(400).json({ message: 'CIK required' });
+  }
+
+  if (!/^\d{1,10}$/.test(cik)) {
+    return res.status(400).json({ message: 'CIK must be numeric' });
+  }
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res.status(400).json({ message: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+
+  if (from && to && from > to) {
+    return res.status(400).json({ message: 'from must not be after to' });
+  }
+
+  if (isNaN(limit) || limit < 1 || limit > MAX_INSIDER_FILINGS) {
+    return res.status(400).json({ message: `limit must be between 1 and ${MAX_INSIDER_FILINGS}` });
+  }
+
+  try {
+    const cacheLog = {};
+    const result = await getInsiderTransactions(cik, { from, to, limit, cacheLog });
+    setCacheHeaders(res, cacheLog);
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Insider Transactions Error:', error);
+    sendError(res, error, 'Failed to fetch insider transactions');
+  }
+}
@@ -0,0 +1,51 @@
+// Institutions holding a company, from the 13F data sets in the local store, with quarter-over-quarter changes
+import { sendError } from '../../lib/edgar';
+import { setCacheHeaders } from '../../lib/cache';
+import { getInstitutionalHolders, DEFAULT_HOLDERS, MAX_HOLDERS } from '../../lib/holdings';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { cik, cusip, period } = req.query;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : DEFAULT_HOLDERS;
+
+  if (!cik) {
+    return res.status(400).json({ message: 'CIK required' });
+  }
+
+  if (!/^\d{1,10}$/.test(cik)) {
+    return res.status(400).json({ message: 'CIK must be numeric' });
+  }
+
+  if (cusip && !/^[0-9A-Za-z]{6}([0-9A-Za-z]{3})?$/.test(cusip)) {
+    return res.status(400).json({ message: 'cusip must be a 9-character CUSIP or its 6-character issuer number' });
+  }
+
+  if (period && !DATE_PATTERN.test(period)) {
+    return res.status(400).json({ message: 'period must be a quarter end date (YYYY-MM-DD)' });
+  }
+
+  if (isNaN(limit) || limit < 1 || limit > MAX_HOLDERS) {
+    return res.status(400).json({ message: `limit must be between 1 and ${MAX_HOLDERS}` });
+  }
+
+  try {
+    const cacheLog = {};
+    const result = await getInstitutionalHolders(cik, { cusip, period, limit, cacheLog });
+    setCacheHeaders(res, cacheLog);
+    if (!result) {
+      const subject = cusip ? `CUSIP ${cusip.toUpperCase()}` : `the name of CIK ${cik} (pass cusip to match by CUSIP)`;
+      return res.status(404).json({ message: `No 13F holdings${period ? ` for ${period}` : ''} in the local store match ${subject}` });
+    }
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Institutional Holders Error:', error);
+    sendError(res, error, 'Failed to fetch institutional holders');
+  }
+}
@@ -0,0 +1,68 @@
+// Find listed companies that share a company's SIC code
+import { getSubmissions, padCik, sendError } from '../../lib/edgar';
+import { setCacheHeaders } from '../../lib/cache';
+import { getCompaniesBySic } from '../../lib/peers';
+import { getSearchIndex, findCompanyByCik } from '../../lib/search-index';
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { cik } = req.query;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : DEFAULT_LIMIT;
+
+  if (!cik) {
+    return res.status(400).json({ message: 'CIK required' });
+  }
+
+  if (!/^\d{1,10}$/.test(cik)) {
+    return res.status(400).json({ message: 'CIK must be numeric' });
+  }
+
+  if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return res.status(400).json({ message: `limit must be between 1 and ${MAX_LIMIT}` });
+  }
+
+  try {
+    const cacheLog = {};
+    const submissions = await getSubmissions(cik, { cacheLog });
+
+    if (!submissions.sic) {
+      setCacheHeaders(res, cacheLog);
+      return res.status(404).json({ message: 'No SIC code on file for this company' });
+    }
+
+    const [sicCompanies, searchIndex] = await Promise.all([
+      getCompaniesBySic(submissions.sic, { cacheLog }),
+      getSearchIndex({ cacheLog })
+    ]);
+    setCacheHeaders(res, cacheLog);
+
+    // Keep filers with a listed ticker: those are the ones with usable XBRL financials
+    const ownCik = padCik(cik);
+    const peers = sicCompanies
+      .filter(c => c.cik !== ownCik)
+      .map(c => findCompanyByCik(searchIndex, c.cik))
+      .filter(Boolean);
+
+    res.status(200).json({
+      company: {
+        cik: ownCik,
+        name: submissions.name,
+        ticker: findCompanyByCik(searchIndex, ownCik)?.ticker || null
+      },
+      sic: submissions.sic,
+      sicDescription: submissions.sicDescription,
+      total: peers.length,
+      peers: peers.slice(0, limit)
+    });
+
+  } catch (error) {
+    console.error('Peer Search Error:', error);
+    sendError(res, error, 'Failed to find peer companies');
+  }
+}
@@ -0,0 +1,28 @@
+// Screen all filers on XBRL frames data, e.g. ?period=CY2023&filter=revenues>1B&filter=netMargin>20
+import { sendError } from '../../lib/edgar';
+import { setCacheHeaders } from '../../lib/cache';
+import { parseScreenOptions, runScreen } from '../../lib/screener';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    // Field names come from the concept mapping, so an unusable mapping fails here rather than as a 400
+    const { options, error: optionsError } = parseScreenOptions(req.query);
+    if (optionsError) {
+      return res.status(400).json({ message: optionsError });
+    }
+
+    const cacheLog = {};
+    const result = await runScreen(options, { cacheLog });
+    setCacheHeaders(res, cacheLog);
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Screen Error:', error);
+    sendError(res, error, 'Failed to run screen');
+  }
+}
@@ -1,66 +1,53 @@
 // API endpoint to search for ANY company and get their CIK
+import { sendError } from '../../lib/edgar';
+import { setCacheHeaders } from '../../lib/cache';
+import { getSearchIndex, searchCompanies } from '../../lib/search-index';
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ message: 'Method not allowed' });
   }
 
-  const { query } = req.query;
+  const { query, exchange } = req.query;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : DEFAULT_LIMIT;
+  const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
 
   if (!query || query.length < 2) {
     return res.status(400).json({ message: 'Search query too short' });
   }
 
-  try {
-    const headers = {
-      'User-Agent': 'SEC Converter support@example.com',
-      'Accept': 'application/json'
-    };
+  if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return res.status(400).json({ message: `limit must be between 1 and ${MAX_LIMIT}` });
+  }
 
-    // Get SEC company tickers file (updated daily by SEC)
-    const tickersUrl = 'https://www.sec.gov/files/company_tickers.json';
-    const tickersResponse = await fetch(tickersUrl, { headers });
-    
-    if (!tickersResponse.ok) {
-      throw new Error(`SEC Tickers API error: ${tickersResponse.status}`);
-    }
-    
-    const tickersData = await tickersResponse.json();
+  if (isNaN(offset) || offset < 0) {
+    return res.status(400).json({ message: 'offset must be 0 or greater' });
+  }
+
+  try {
+    // Index over SEC's ticker files (updated daily by SEC, cached and indexed once per update)
+    const cacheLog = {};
+    const searchIndex = await getSearchIndex({ cacheLog });
+    setCacheHeaders(res, cacheLog);
 
-    // Search through all companies
-    const searchTerm = query.toLowerCase();
-    const results = [];
+    // exchange=Nasdaq or exchange=NYSE,Nasdaq
+    const exchanges = exchange ? String(exchange).split(',').map(e => e.trim()).filter(Boolean) : [];
 
-    Object.values(tickersData).forEach(company => {
-      const ticker = company.ticker?.toLowerCase() || '';
-      const title = company.title?.toLowerCase() || '';
-      
-      if (ticker.includes(searchTerm) || title.includes(searchTerm)) {
-        results.push({
-          ticker: company.ticker,
-          name: company.title,
-          cik: company.cik_str.toString().padStart(10, '0'),
-          exchange: 'Public' // SEC doesn't provide exchange in this API
-        });
-      }
-    });
+    // Ranked: exact ticker, ticker prefix, name prefix / word-start, substring, then typo-tolerant matches
+    const { total, results } = searchCompanies(searchIndex, query, { limit, offset, exchanges });
 
-    // Limit results and sort by relevance
-    const limitedResults = results
-      .sort((a, b) => {
-        // Prioritize exact ticker matches
-        if (a.ticker.toLowerCase() === searchTerm) return -1;
-        if (b.ticker.toLowerCase() === searchTerm) return 1;
-        return a.ticker.localeCompare(b.ticker);
-      })
-      .slice(0, 10);
+    // The body stays a plain array; pagination details travel in headers
+    res.setHeader('X-Total-Count', String(total));
+    res.setHeader('X-Offset', String(offset));
+    res.setHeader('X-Limit', String(limit));
 
-    res.status(200).json(limitedResults);
+    res.status(200).json(results);
 
   } catch (error) {
     console.error('Company Search Error:', error);
-    res.status(500).json({ 
-      message: 'Failed to search companies', 
-      error: error.message 
-    });
+    sendError(res, error, 'Failed to search companies');
   }
 }
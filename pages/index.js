@@ -3,8 +3,20 @@ import {
   Download, AlertCircle, CheckCircle, Loader, Search, 
   FileSpreadsheet, Building2, TrendingUp,
   Database, Zap, Shield, Activity, Target, BarChart,
-  AlertTriangle
+  AlertTriangle, FileText, X
 } from 'lucide-react';
+import { generateEnhancedExcel, downloadWorkbook } from '../lib/excel';
+import BatchExport from '../components/BatchExport';
+import ScreenPanel from '../components/ScreenPanel';
+import PeerComparison from '../components/PeerComparison';
+import InsiderPanel from '../components/InsiderPanel';
+import HoldersPanel from '../components/HoldersPanel';
+import FilingBrowser from '../components/FilingBrowser';
+import TrendPanel from '../components/TrendPanel';
+import { MAX_QUALITY_SCORE } from '../lib/validation';
+
+// Names of the optional features in the warnings of /api/sec-data
+const EXTRA_LABELS = { segments: 'segments', asReported: 'as-reported statements', insiderTransactions: 'insider transactions', valuation: 'valuation' };
 
 const SECConverter = () => {
   const [searchQuery, setSearchQuery] = useState('');
@@ -18,6 +30,15 @@ const SECConverter = () => {
   const [currentStep, setCurrentStep] = useState('');
   const [recentDownloads, setRecentDownloads] = useState([]);
   const [dataQuality, setDataQuality] = useState(null);
+  const [restatements, setRestatements] = useState([]);
+  const [trends, setTrends] = useState(null);
+  const [historyYears, setHistoryYears] = useState(5);
+  const [periodMode, setPeriodMode] = useState('annual');
+  // A 10-K or 10-Q picked in the filing browser; null extracts the latest data
+  const [sourceFiling, setSourceFiling] = useState(null);
+  const [asOfDate, setAsOfDate] = useState('');
+  // Extras read filing documents beyond company facts, so each costs extra requests to SEC; all off by default
+  const [extras, setExtras] = useState({ segments: false, asReported: false, insiders: false });
 
   // Debounced search function
   const searchCompanies = useCallback(async (query) => {
@@ -59,6 +80,9 @@ const SECConverter = () => {
     setSearchQuery(company.ticker);
     setSearchResults([]);
     setDataQuality(null);
+    setRestatements([]);
+    setTrends(null);
+    setSourceFiling(null);
 
     // Get additional company info
     try {
@@ -102,6 +126,8 @@ const SECConverter = () => {
     setSuccess('');
     setAnalysisProgress(0);
     setDataQuality(null);
+    setRestatements([]);
+    setTrends(null);
 
     const steps = [
       'Validating company information...',
@@ -123,36 +149,36 @@ const SECConverter = () => {
 
         if (i === 3) {
           // Actual SEC data extraction
-          const response = await fetch(`/api/sec-data?ticker=${selectedCompany.ticker}&cik=${selectedCompany.cik}`);
+          // A source filing takes precedence over the point-in-time date
+          const source = sourceFiling
+            ? `&accession=${sourceFiling.accessionNumber}`
+            : asOfDate ? `&asOf=${asOfDate}` : '';
+          const extraParams = Object.entries(extras).filter(([, on]) => on).map(([name]) => `&${name}=true`).join('');
+          const response = await fetch(`/api/sec-data?ticker=${selectedCompany.ticker}&cik=${selectedCompany.cik}&years=${historyYears}&period=${periodMode}${extraParams}${source}`);
           
           if (!response.ok) {
-            throw new Error(`Failed to fetch SEC data: ${response.status}`);
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.message ? `${body.message} (${response.status}): ${body.error}` : `Failed to fetch SEC data: ${response.status}`);
           }
 
           const secData = await response.json();
           
           // Check data quality
           if (secData.dataQuality) {
-            setDataQuality(secData.dataQuality);
+            // The industry template (bank, insurance, REIT) decides which checks the score is built from
+            setDataQuality({ ...secData.dataQuality, template: secData.metadata?.industryTemplate });
             
             if (secData.dataQuality.score < 50) {
               throw new Error('Data quality too low. Please try another company or report this issue.');
             }
           }
 
-          // Generate Excel content
-          const excelContent = generateEnhancedExcel(selectedCompany, secData);
+          setRestatements(secData.restatements || []);
+          setTrends(secData.analytics ? { analytics: secData.analytics, history: secData.history } : null);
 
-          // Download file
-          const blob = new Blob([excelContent], { type: 'text/csv;charset=utf-8;' });
-          const link = document.createElement('a');
-          const url = URL.createObjectURL(blob);
-          link.setAttribute('href', url);
-          link.setAttribute('download', `${selectedCompany.ticker}_SEC_Financial_Data_${new Date().toISOString().split('T')[0]}.csv`);
-          link.style.visibility = 'hidden';
-          document.body.appendChild(link);
-          link.click();
-          document.body.removeChild(link);
+          // Generate Excel workbook
+          const workbook = generateEnhancedExcel(selectedCompany, secData);
+          await downloadWorkbook(workbook, `${selectedCompany.ticker}_SEC_Financial_Data_${new Date().toISOString().split('T')[0]}.xlsx`);
 
           // Track download
           const newDownload = {
@@ -166,7 +192,9 @@ const SECConverter = () => {
           };
 
           setRecentDownloads(prev => [newDownload, ...prev.slice(0, 9)]);
-          setSuccess(`✅ Successfully extracted SEC data for ${selectedCompany.ticker} (${selectedCompany.name})!`);
+          // Extras that failed are left out of the workbook; the extraction itself succeeded
+          const leftOut = (secData.warnings || []).map(({ feature, message }) => `${EXTRA_LABELS[feature] || feature} (${message})`);
+          setSuccess(`✅ Successfully extracted SEC data for ${selectedCompany.ticker} (${selectedCompany.name})!${leftOut.length > 0 ? ` Left out: ${leftOut.join('; ')}` : ''}`);
           break;
         }
 
@@ -182,123 +210,6 @@ const SECConverter = () => {
     }
   };
 
-  // Enhanced Excel generation with validated data
-  const generateEnhancedExcel = (company, secData) => {
-    const { metadata, incomeStatement, balanceSheet, cashFlowStatement, keyMetrics } = secData;
-    
-    let content = '';
-
-    // Header with metadata
-    content += `SEC 10-K FINANCIAL DATA EXTRACT\n`;
-    content += `Company: ${company.name}\n`;
-    content += `Ticker: ${company.ticker}\n`;
-    content += `CIK: ${company.cik}\n`;
-    content += `Industry: ${company.sicDescription || 'N/A'}\n`;
-    content += `State of Incorporation: ${company.stateOfIncorporation || 'N/A'}\n`;
-    content += `Fiscal Year End: ${company.fiscalYearEnd || 'N/A'}\n`;
-    content += `Data Year: ${metadata?.dataYear || 'N/A'}\n`;
-    content += `Filing Date: ${metadata?.filingDate || 'N/A'}\n`;
-    content += `Generated: ${new Date().toLocaleString()}\n`;
-    content += `Data Quality Score: ${secData.dataQuality?.score || 'N/A'}/110\n\n`;
-
-    // Income Statement
-    content += `INCOME STATEMENT (in USD)\n`;
-    content += `Revenue,${incomeStatement?.revenues?.toLocaleString() || 'N/A'}\n`;
-    content += `Cost of Revenue,${incomeStatement?.costOfRevenues?.toLocaleString() || 'N/A'}\n`;
-    content += `Gross Profit,${incomeStatement?.grossProfit?.toLocaleString() || 'N/A'}\n`;
-    
-    if (incomeStatement?.operatingExpenses) {
-      content += `Selling General & Admin,${incomeStatement.operatingExpenses.sga?.toLocaleString() || 'N/A'}\n`;
-      content += `Research & Development,${incomeStatement.operatingExpenses.rd?.toLocaleString() || 'N/A'}\n`;
-      content += `Total Operating Expenses,${incomeStatement.operatingExpenses.total?.toLocaleString() || 'N/A'}\n`;
-    }
-    
-    content += `Operating Income,${incomeStatement?.operatingIncome?.toLocaleString() || 'N/A'}\n`;
-    content += `Net Income,${incomeStatement?.netIncome?.toLocaleString() || 'N/A'}\n`;
-    content += `Earnings Per Share,$${incomeStatement?.earningsPerShare || 'N/A'}\n`;
-    content += `Shares Outstanding,${incomeStatement?.sharesOutstanding?.toLocaleString() || 'N/A'}\n\n`;
-
-    // Balance Sheet
-    content += `BALANCE SHEET (in USD)\n`;
-    content += `ASSETS\n`;
-    content += `Current Assets,${balanceSheet?.currentAssets?.toLocaleString() || 'N/A'}\n`;
-    content += `Cash and Cash Equivalents,${balanceSheet?.cashAndCashEquivalents?.toLocaleString() || 'N/A'}\n`;
-    content += `Total Assets,${balanceSheet?.totalAssets?.toLocaleString() || 'N/A'}\n`;
-    content += `\n`;
-    content += `LIABILITIES\n`;
-    content += `Current Liabilities,${balanceSheet?.currentLiabilities?.toLocaleString() || 'N/A'}\n`;
-    content += `Total Liabilities,${balanceSheet?.totalLiabilities?.toLocaleString() || 'N/A'}\n`;
-    content += `\n`;
-    content += `EQUITY\n`;
-    content += `Stockholders Equity,${balanceSheet?.stockholdersEquity?.toLocaleString() || 'N/A'}\n`;
-    content += `Working Capital,${balanceSheet?.workingCapital?.toLocaleString() || 'N/A'}\n\n`;
-
-    // Cash Flow Statement
-    content += `CASH FLOW STATEMENT (in USD)\n`;
-    content += `Operating Cash Flow,${cashFlowStatement?.operatingCashFlow?.toLocaleString() || 'N/A'}\n`;
-    content += `Investing Cash Flow,${cashFlowStatement?.investingCashFlow?.toLocaleString() || 'N/A'}\n`;
-    content += `Financing Cash Flow,${cashFlowStatement?.financingCashFlow?.toLocaleString() || 'N/A'}\n`;
-    content += `Free Cash Flow,${cashFlowStatement?.freeCashFlow?.toLocaleString() || 'N/A'}\n\n`;
-
-    // Financial Ratios
-    content += `FINANCIAL RATIOS\n`;
-    content += `PROFITABILITY\n`;
-    content += `Gross Margin %,${keyMetrics?.grossMargin || 'N/A'}\n`;
-    content += `Operating Margin %,${keyMetrics?.operatingMargin || 'N/A'}\n`;
-    content += `Net Profit Margin %,${keyMetrics?.netMargin || 'N/A'}\n`;
-    content += `Return on Assets %,${keyMetrics?.returnOnAssets || 'N/A'}\n`;
-    content += `Return on Equity %,${keyMetrics?.returnOnEquity || 'N/A'}\n`;
-    content += `\n`;
-    content += `LIQUIDITY\n`;
-    content += `Current Ratio,${keyMetrics?.currentRatio || 'N/A'}\n`;
-    content += `Quick Ratio,${keyMetrics?.quickRatio || 'N/A'}\n`;
-    content += `\n`;
-    content += `LEVERAGE\n`;
-    content += `Debt to Equity,${keyMetrics?.debtToEquity || 'N/A'}\n`;
-    content += `Debt to Assets %,${keyMetrics?.debtToAssets || 'N/A'}\n`;
-    content += `\n`;
-    content += `EFFICIENCY\n`;
-    content += `Asset Turnover,${keyMetrics?.assetTurnover || 'N/A'}\n`;
-    content += `\n`;
-    content += `PER SHARE METRICS\n`;
-    content += `Book Value per Share,$${keyMetrics?.bookValuePerShare || 'N/A'}\n`;
-    content += `Revenue per Share,$${keyMetrics?.revenuePerShare || 'N/A'}\n\n`;
-
-    // Quarterly Trends
-    if (secData.trends && secData.trends.quarterlyRevenue && secData.trends.quarterlyRevenue.length > 0) {
-      content += `QUARTERLY REVENUE TREND\n`;
-      secData.trends.quarterlyRevenue.forEach(q => {
-        content += `${q.period} ${q.year},${q.value?.toLocaleString() || 'N/A'}\n`;
-      });
-      content += `\n`;
-    }
-
-    // Company Address
-    if (company.businessAddress) {
-      content += `BUSINESS ADDRESS\n`;
-      content += `${company.businessAddress.street1 || ''}\n`;
-      if (company.businessAddress.street2) {
-        content += `${company.businessAddress.street2}\n`;
-      }
-      content += `${company.businessAddress.city || ''}, ${company.businessAddress.stateOrCountry || ''} ${company.businessAddress.zipCode || ''}\n`;
-      content += `Phone: ${company.phone || 'N/A'}\n\n`;
-    }
-
-    // Data quality notes
-    if (secData.dataQuality && secData.dataQuality.issues.length > 0) {
-      content += `DATA QUALITY NOTES\n`;
-      secData.dataQuality.issues.forEach(issue => {
-        content += `- ${issue}\n`;
-      });
-      content += `\n`;
-    }
-
-    content += `Data Source: SEC EDGAR Database (XBRL)\n`;
-    content += `Generated by: Universal SEC 10-K Converter\n`;
-
-    return content;
-  };
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
       {/* Header */}
@@ -390,6 +301,9 @@ const SECConverter = () => {
                         <div className="text-gray-700">{result.name}</div>
                       </div>
                       <div className="text-right">
+                        {result.exchange && (
+                          <div className="text-xs font-semibold text-blue-600">{result.exchange}</div>
+                        )}
                         <div className="text-xs text-gray-500">CIK: {result.cik}</div>
                       </div>
                     </div>
@@ -409,6 +323,9 @@ const SECConverter = () => {
                     <div className="flex items-center space-x-4 mt-1 text-xs text-gray-500">
                       <span>Ticker: {selectedCompany.ticker}</span>
                       <span>CIK: {selectedCompany.cik}</span>
+                      {selectedCompany.exchange && (
+                        <span>{selectedCompany.exchange}</span>
+                      )}
                       {selectedCompany.stateOfIncorporation && (
                         <span>Inc: {selectedCompany.stateOfIncorporation}</span>
                       )}
@@ -453,20 +370,34 @@ const SECConverter = () => {
                       <AlertCircle className="w-5 h-5 text-red-500" />
                     )}
                     <span className="font-semibold text-gray-700">Data Quality Score</span>
+                    {dataQuality.template && (
+                      <span className="px-2 py-0.5 rounded-full bg-blue-100 text-blue-700 text-xs font-medium">
+                        {dataQuality.template.label} template
+                      </span>
+                    )}
                   </div>
                   <span className={`font-bold ${
                     dataQuality.score >= 80 ? 'text-green-600' : 
                     dataQuality.score >= 50 ? 'text-yellow-600' : 'text-red-600'
                   }`}>
-                    {dataQuality.score}/110
+                    {dataQuality.score}/{dataQuality.maxScore}
                   </span>
                 </div>
-                {dataQuality.issues.length > 0 && (
+                {dataQuality.findings.length > 0 && (
                   <div className="mt-2 text-sm text-gray-600">
-                    <p className="font-medium">Data limitations:</p>
-                    <ul className="list-disc list-inside">
-                      {dataQuality.issues.map((issue, idx) => (
-                        <li key={idx}>{issue}</li>
+                    <p className="font-medium">
+                      Validation findings ({dataQuality.rules.filter(r => r.status === 'failed').length} of {dataQuality.rules.length} rules failed):
+                    </p>
+                    <ul className="mt-1 space-y-1 max-h-48 overflow-y-auto">
+                      {dataQuality.findings.map((finding, idx) => (
+                        <li key={idx} className="flex items-start space-x-2">
+                          {finding.severity === 'error' ? (
+                            <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" />
+                          ) : (
+                            <AlertTriangle className="w-4 h-4 text-yellow-500 flex-shrink-0 mt-0.5" />
+                          )}
+                          <span>{finding.message}</span>
+                        </li>
                       ))}
                     </ul>
                   </div>
@@ -474,6 +405,119 @@ const SECConverter = () => {
               </div>
             )}
             
+            {/* Restatements */}
+            {restatements.some(r => r.material) && !loading && (
+              <div className="mt-4 bg-amber-50 rounded-xl p-4 border border-amber-200">
+                <div className="flex items-center space-x-2 mb-2">
+                  <AlertTriangle className="w-5 h-5 text-amber-500" />
+                  <span className="font-semibold text-amber-900">Material restatements</span>
+                  <span className="text-xs text-amber-700">
+                    {restatements.filter(r => r.material).length} of {restatements.length} revisions • see the Restatements sheet
+                  </span>
+                </div>
+                <ul className="text-sm text-amber-900 space-y-1 max-h-40 overflow-y-auto">
+                  {restatements.filter(r => r.material).map((r, idx) => (
+                    <li key={idx} className="flex justify-between">
+                      <span>
+                        FY{r.fiscalYear} {r.concept}: {r.original.value.toLocaleString()} → {r.restated.value.toLocaleString()}
+                      </span>
+                      <a
+                        href={r.restated.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="ml-2 text-amber-700 hover:text-amber-900 whitespace-nowrap"
+                      >
+                        {r.deltaPercent === null ? 'from zero' : `${r.deltaPercent > 0 ? '+' : ''}${r.deltaPercent}%`} ({r.restated.form} {r.restated.filed})
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Growth & Trends */}
+            {trends && !loading && <TrendPanel analytics={trends.analytics} history={trends.history} />}
+
+            {/* History Window */}
+            <div className="mt-6 flex items-center justify-between">
+              <label htmlFor="history-years" className="text-sm font-medium text-gray-700">Years of history</label>
+              <select
+                id="history-years"
+                value={historyYears}
+                onChange={(e) => setHistoryYears(Number(e.target.value))}
+                disabled={loading}
+                className="border-2 border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {[1, 3, 5, 10, 15, 20].map(count => (
+                  <option key={count} value={count}>{count === 1 ? 'Latest year only' : `${count} years`}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Period Mode */}
+            <div className="mt-3 flex items-center justify-between">
+              <label htmlFor="period-mode" className="text-sm font-medium text-gray-700">Additional period view</label>
+              <select
+                id="period-mode"
+                value={periodMode}
+                onChange={(e) => setPeriodMode(e.target.value)}
+                disabled={loading}
+                className="border-2 border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="annual">Annual only</option>
+                <option value="quarterly">Discrete quarters</option>
+                <option value="ttm">Trailing twelve months (TTM)</option>
+              </select>
+            </div>
+
+            {/* Point-in-time Date */}
+            <div className="mt-3 flex items-center justify-between">
+              <label htmlFor="as-of-date" className="text-sm font-medium text-gray-700">As of (backtesting)</label>
+              <input
+                id="as-of-date"
+                type="date"
+                value={asOfDate}
+                onChange={(e) => setAsOfDate(e.target.value)}
+                disabled={loading || Boolean(sourceFiling)}
+                title={sourceFiling ? 'Not used when extracting from a source filing' : 'Only facts filed by this date, as originally reported'}
+                className="border-2 border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              />
+            </div>
+
+            {/* Extras */}
+            <div className="mt-3 flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-700">Also include</span>
+              <div className="flex items-center space-x-4">
+                {[['segments', 'Segments'], ['asReported', 'As reported'], ['insiders', 'Form 4s']].map(([name, label]) => (
+                  <label key={name} className="flex items-center space-x-1 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={extras[name]}
+                      onChange={(e) => setExtras(prev => ({ ...prev, [name]: e.target.checked }))}
+                      disabled={loading}
+                    />
+                    <span>{label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {/* Source Filing */}
+            {sourceFiling && (
+              <div className="mt-4 flex items-center justify-between bg-blue-50 border border-blue-200 rounded-lg px-4 py-2 text-sm text-blue-800">
+                <div className="flex items-center space-x-2">
+                  <FileText className="w-4 h-4" />
+                  <span>
+                    Extracting from {sourceFiling.form} filed {sourceFiling.filingDate}
+                    {sourceFiling.reportDate && ` (period ${sourceFiling.reportDate})`}
+                  </span>
+                </div>
+                <button onClick={() => setSourceFiling(null)} disabled={loading} aria-label="Use latest data instead">
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+
             {/* Extract Button */}
             <button
               onClick={processCompanyData}
@@ -545,10 +589,10 @@ const SECConverter = () => {
                             download.dataQuality >= 80 ? 'bg-green-500' :
                             download.dataQuality >= 50 ? 'bg-yellow-500' : 'bg-red-500'
                           }`}
-                          style={{ width: `${(download.dataQuality / 110) * 100}%` }}
+                          style={{ width: `${(download.dataQuality / MAX_QUALITY_SCORE) * 100}%` }}
                         ></div>
                       </div>
-                      <span className="text-xs text-gray-600">{download.dataQuality}/110</span>
+                      <span className="text-xs text-gray-600">{download.dataQuality}/{MAX_QUALITY_SCORE}</span>
                     </div>
                   </div>
                 </div>
@@ -557,6 +601,29 @@ const SECConverter = () => {
           </div>
         )}
 
+        {/* Filing History */}
+        {selectedCompany && (
+          <FilingBrowser
+            key={selectedCompany.cik}
+            company={selectedCompany}
+            sourceFiling={sourceFiling}
+            onSelectSource={setSourceFiling}
+          />
+        )}
+
+        {/* Peer Comparison */}
+        <PeerComparison company={selectedCompany} />
+
+        {/* Insider Transactions */}
+        {selectedCompany && <InsiderPanel key={selectedCompany.cik} company={selectedCompany} />}
+        {selectedCompany && <HoldersPanel key={selectedCompany.cik} company={selectedCompany} />}
+
+        {/* Batch Export */}
+        <BatchExport historyYears={historyYears} periodMode={periodMode} />
+
+        {/* Screening */}
+        <ScreenPanel />
+
         {/* Features Grid */}
         <div className="bg-white rounded-2xl shadow-xl p-8 mb-16 border border-gray-200">
           <h3 className="text-2xl font-bold text-gray-900 mb-6 text-center">What You Get</h3>
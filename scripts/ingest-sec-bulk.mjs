@@ -0,0 +1,230 @@
+// Load SEC's nightly bulk archives into the local store used by SEC_DATA_SOURCE=local.
+//   npm run ingest -- [--dir <store>] <path/to/submissions.zip> <path/to/companyfacts.zip> [<2024q1_form13f.zip> ...]
+// Download the archives from https://www.sec.gov/Archives/edgar/daily-index/bulkdata/ (submissions.zip) and
+// https://www.sec.gov/Archives/edgar/daily-index/xbrl/companyfacts.zip. Archives are read in place, one member at a time.
+// Form 13F data sets (https://www.sec.gov/data-research/sec-markets-data/form-13f-data-sets) fill the 13F holdings.
+import path from 'path';
+import readline from 'readline';
+import unzipper from 'unzipper';
+import {
+  localStoreConfig,
+  createStoreWriter,
+  createHoldingsWriter,
+  indexEntry,
+  DOCUMENT_NAME_PATTERN,
+  STORE_COLLECTIONS,
+  HOLDINGS_COLLECTION
+} from '../lib/local-store.js';
+
+const PROGRESS_EVERY = 5000;
+
+// 13F data sets come after the bulk archives
+const INGEST_ORDER = [...STORE_COLLECTIONS, HOLDINGS_COLLECTION];
+
+const usage = () => {
+  console.error('Usage: npm run ingest -- [--dir <store>] <submissions.zip> <companyfacts.zip> [<*_form13f.zip> ...]');
+  console.error('The store directory defaults to SEC_LOCAL_STORE_DIR.');
+  process.exit(1);
+};
+
+const parseArgs = (args) => {
+  let dir = localStoreConfig.dir;
+  const archives = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dir') {
+      dir = args[++i];
+    } else if (args[i].startsWith('-')) {
+      usage();
+    } else {
+      archives.push(args[i]);
+    }
+  }
+  if (!dir || archives.length === 0) usage();
+  return { dir, archives };
+};
+
+// submissions.zip, companyfacts.zip or a 13F data set (2024q1_form13f.zip, 01mar2024-31may2024_form13f.zip), by file name
+const collectionOf = (file) => {
+  const name = path.basename(file).toLowerCase();
+  if (/form13f\.zip$/.test(name)) return HOLDINGS_COLLECTION;
+  const collection = STORE_COLLECTIONS.find(c => name.startsWith(c));
+  if (!collection) throw new Error(`${file}: expected submissions.zip, companyfacts.zip or a Form 13F data set`);
+  return collection;
+};
+
+const ingestArchive = async (writer, file) => {
+  const collection = collectionOf(file);
+  const archive = await unzipper.Open.file(file);
+  const members = archive.files.filter(member => member.type === 'File' && DOCUMENT_NAME_PATTERN.test(path.basename(member.path)));
+  console.log(`${path.basename(file)}: ${members.length} documents`);
+
+  let documents = 0;
+  for (const member of members) {
+    const name = path.basename(member.path);
+    const text = (await member.buffer()).toString('utf8');
+    await writer.writeDocument(collection, name, text);
+
+    const [, cik, page] = DOCUMENT_NAME_PATTERN.exec(name);
+    if (collection === 'companyfacts') {
+      writer.updateCompany(cik, { facts: true });
+    } else if (!page) {
+      const entry = indexEntry(JSON.parse(text));
+      if (entry) writer.updateCompany(cik, entry);
+    }
+
+    documents++;
+    if (documents % PROGRESS_EVERY === 0) console.log(`  ${documents}/${members.length}`);
+  }
+
+  const index = await writer.finish(collection, { file, documents });
+  console.log(`  ${documents} ${collection} documents stored; ${Object.keys(index.companies).length} companies indexed`);
+};
+
+// 13F DATA SETS: tab-separated tables keyed by accession number. SUBMISSION.tsv and COVERPAGE.tsv describe each
+// filing; INFOTABLE.tsv has one line per holding, millions per quarter, so it is streamed.
+
+const MONTHS = { JAN: '01', FEB: '02', MAR: '03', APR: '04', MAY: '05', JUN: '06', JUL: '07', AUG: '08', SEP: '09', OCT: '10', NOV: '11', DEC: '12' };
+
+// "31-MAR-2024" (or an ISO date) as 2024-03-31
+const isoDate = (value) => {
+  const match = /^(\d{2})-([A-Z]{3})-(\d{4})$/i.exec(value || '');
+  if (match) return `${match[3]}-${MONTHS[match[2].toUpperCase()]}-${match[1]}`;
+  return /^\d{4}-\d{2}-\d{2}/.test(value || '') ? value.slice(0, 10) : null;
+};
+
+// Filings from 2023-01-03 report values in dollars; earlier ones in thousands
+const VALUE_IN_DOLLARS_FROM = '2023-01-03';
+
+const CUSIP_PATTERN = /^[0-9A-Z]{9}$/;
+
+const readTable = async (archive, name, onRow) => {
+  const member = archive.files.find(file => path.basename(file.path).toUpperCase() === name);
+  if (!member) throw new Error(`${name} is missing; not a Form 13F data set?`);
+  const lines = readline.createInterface({ input: member.stream(), crlfDelay: Infinity });
+  let columns = null;
+  for await (const line of lines) {
+    if (!line) continue;
+    const fields = line.split('\t');
+    if (!columns) {
+      columns = fields.map(field => field.trim().toUpperCase());
+      continue;
+    }
+    onRow(Object.fromEntries(columns.map((column, i) => [column, (fields[i] || '').trim()])));
+  }
+};
+
+// One report per filer and period: the latest 13F-HR or restatement (13F-HR/A of type RESTATEMENT).
+// "New holdings" amendments add to the report they amend when both are in the data set. Notices (13F-NT) hold nothing.
+const selectReports = (submissions, coverPages) => {
+  const latest = new Map();
+  const additions = [];
+  submissions.forEach(filing => {
+    const { amendmentType, managerName } = coverPages.get(filing.accession) || {};
+    if (filing.type === '13F-HR/A' && /NEW HOLDINGS/i.test(amendmentType || '')) {
+      additions.push(filing);
+      return;
+    }
+    if (filing.type !== '13F-HR' && !(filing.type === '13F-HR/A' && /RESTATEMENT/i.test(amendmentType || ''))) return;
+    const key = `${filing.cik}|${filing.period}`;
+    const current = latest.get(key);
+    if (!current || filing.filingDate > current.filingDate ||
+      (filing.filingDate === current.filingDate && filing.accession > current.accession)) {
+      latest.set(key, { ...filing, name: managerName || null });
+    }
+  });
+
+  // accession -> the report its rows belong to
+  const reports = new Map([...latest.values()].map(report => [report.accession, report]));
+  additions.forEach(filing => {
+    const report = latest.get(`${filing.cik}|${filing.period}`);
+    if (report && filing.filingDate >= report.filingDate) reports.set(filing.accession, { ...report, filingDate: filing.filingDate });
+  });
+  return reports;
+};
+
+const ingestHoldings = async (holdingsWriter, file) => {
+  const archive = await unzipper.Open.file(file);
+
+  const submissions = [];
+  await readTable(archive, 'SUBMISSION.TSV', row => {
+    const period = isoDate(row.PERIODOFREPORT);
+    const filingDate = isoDate(row.FILING_DATE);
+    if (!period || !filingDate) return;
+    submissions.push({ accession: row.ACCESSION_NUMBER, type: row.SUBMISSIONTYPE.toUpperCase(), cik: row.CIK.padStart(10, '0'), period, filingDate });
+  });
+  const coverPages = new Map();
+  await readTable(archive, 'COVERPAGE.TSV', row => {
+    coverPages.set(row.ACCESSION_NUMBER, { amendmentType: row.AMENDMENTTYPE, managerName: row.FILINGMANAGER_NAME });
+  });
+
+  // Reports the store already has a later version of (a restatement from a newer data set) are left out
+  const reports = selectReports(submissions, coverPages);
+  const superseded = new Set();
+  reports.forEach((report, accession) => {
+    if (accession === report.accession && !holdingsWriter.updateReport(report.period, report.cik, report.name, accession, report.filingDate)) {
+      superseded.add(accession);
+    }
+  });
+  [...reports].forEach(([accession, report]) => {
+    if (superseded.has(report.accession)) reports.delete(accession);
+  });
+  const counted = new Set([...reports.values()].map(report => report.accession));
+  console.log(`${path.basename(file)}: ${submissions.length} filings, ${counted.size} holdings reports`);
+
+  // Lines grouped by issuer as compact tab-separated strings, which keeps a quarter's millions of lines in memory
+  const issuers = new Map();
+  let positions = 0;
+  await readTable(archive, 'INFOTABLE.TSV', row => {
+    const report = reports.get(row.ACCESSION_NUMBER);
+    const cusip = row.CUSIP.toUpperCase();
+    if (!report || !CUSIP_PATTERN.test(cusip) || /^0+$/.test(cusip)) return;
+    const value = Number(row.VALUE) * (report.filingDate < VALUE_IN_DOLLARS_FROM ? 1000 : 1);
+    const issuer = cusip.slice(0, 6);
+    if (!issuers.has(issuer)) issuers.set(issuer, { names: new Set(), lines: [] });
+    const entry = issuers.get(issuer);
+    entry.names.add(row.NAMEOFISSUER.toUpperCase());
+    entry.lines.push([report.period, report.cik, report.accession, cusip, row.TITLEOFCLASS, value || 0,
+      Number(row.SSHPRNAMT) || 0, row.SSHPRNAMTTYPE.toUpperCase(), row.PUTCALL.toUpperCase()].join('\t'));
+    positions++;
+    if (positions % (PROGRESS_EVERY * 100) === 0) console.log(`  ${positions} positions read`);
+  });
+
+  let written = 0;
+  for (const [issuer, { names, lines }] of issuers) {
+    const periods = {};
+    lines.forEach(line => {
+      const [period, cik, accession, cusip, titleOfClass, value, shares, shareType, putCall] = line.split('\t');
+      periods[period] = periods[period] || {};
+      periods[period][cik] = periods[period][cik] || { accession, rows: [] };
+      periods[period][cik].rows.push([cusip, titleOfClass, Number(value), Number(shares), shareType, putCall || null]);
+    });
+    await holdingsWriter.updateIssuer(issuer, [...names], periods);
+    written++;
+    if (written % PROGRESS_EVERY === 0) console.log(`  ${written}/${issuers.size} issuers`);
+  }
+
+  const index = await holdingsWriter.finish({ file, reports: counted.size, positions });
+  console.log(`  ${positions} positions in ${issuers.size} issuers stored; ${Object.keys(index.filers).length} filers indexed`);
+};
+
+const main = async () => {
+  const { dir, archives } = parseArgs(process.argv.slice(2));
+  const ordered = [...archives].sort((a, b) => INGEST_ORDER.indexOf(collectionOf(a)) - INGEST_ORDER.indexOf(collectionOf(b)));
+  let writer = null;
+  let holdingsWriter = null;
+  for (const file of ordered) {
+    if (collectionOf(file) === HOLDINGS_COLLECTION) {
+      holdingsWriter = holdingsWriter || await createHoldingsWriter(dir);
+      await ingestHoldings(holdingsWriter, file);
+    } else {
+      writer = writer || await createStoreWriter(dir);
+      await ingestArchive(writer, file);
+    }
+  }
+  console.log(`Local store ready in ${path.resolve(dir)}. Serve from it with SEC_DATA_SOURCE=local SEC_LOCAL_STORE_DIR=${dir}`);
+};
+
+main().catch(error => {
+  console.error('Ingest failed:', error.message);
+  process.exit(1);
+});
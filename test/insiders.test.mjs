@@ -0,0 +1,69 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { EdgarOfflineError, EdgarTimeoutError } from '../lib/edgar.js';
+import { createFixtureFilingSource, createOfflineFilingSource, setFilingSource } from '../lib/filing-documents.js';
+import { getInsiderTransactions } from '../lib/insiders.js';
+import { stubEdgar } from './support/edgar.mjs';
+
+mock.method(console, 'warn', () => {});
+
+// Delta's Form 4s, newest first:
+//   -000001  CEO sale in Delta stock
+//   -000002  director purchase in Delta stock
+//   -000003  Delta itself buying Omega stock as a 10% owner
+//   -000004  a truncated ownership document
+//   -000005  no document at all
+//   -000006  CFO sale, whose download times out
+const accessions = [1, 2, 3, 4, 5, 6].map(n => `0000000004-24-00000${n}`);
+stubEdgar({
+  'submissions/CIK0000000004.json': {
+    name: 'Delta Inc',
+    filings: {
+      recent: {
+        accessionNumber: accessions,
+        form: accessions.map(() => '4'),
+        filingDate: ['2024-03-13', '2024-02-07', '2024-01-24', '2024-01-16', '2024-01-10', '2024-01-05'],
+        primaryDocument: accessions.map(() => 'xslF345X05/form4.xml')
+      },
+      files: []
+    }
+  }
+});
+
+const fixtures = createFixtureFilingSource(fileURLToPath(new URL('./fixtures/filings', import.meta.url)));
+setFilingSource({
+  ...fixtures,
+  getDocument: async (cik, accessionNumber, ...rest) => {
+    if (accessionNumber === '0000000004-24-000006') throw new EdgarTimeoutError('SEC request timed out after 15000ms');
+    return fixtures.getDocument(cik, accessionNumber, ...rest);
+  }
+});
+
+test('transactions come from the company\'s own Form 4s, and every other filing is skipped', async () => {
+  const result = await getInsiderTransactions('4');
+
+  assert.equal(result.total, 6);
+  assert.equal(result.filings, 2);
+  assert.deepEqual(result.skipped, accessions.slice(2));
+  assert.deepEqual(result.transactions.map(({ accessionNumber, owner, relationship, code, shares, value }) => (
+    [accessionNumber, owner, relationship, code, shares, value]
+  )), [
+    ['0000000004-24-000001', 'Doe Jane', 'Director, Chief Executive Officer', 'S', 10000, 1502500],
+    ['0000000004-24-000002', 'Roe Richard', 'Director', 'P', 2000, 240000]
+  ]);
+  assert.deepEqual(result.quarters.map(({ quarter, netShares, netValue }) => [quarter, netShares, netValue]), [
+    ['2024Q1', -8000, -1262500]
+  ]);
+});
+
+test('limit caps the Form 4s read', async () => {
+  const result = await getInsiderTransactions('4', { limit: 2 });
+  assert.equal(result.total, 2);
+  assert.deepEqual(result.skipped, []);
+});
+
+test('offline, the lookup fails instead of skipping every filing', async () => {
+  setFilingSource(createOfflineFilingSource());
+  await assert.rejects(getInsiderTransactions('4'), EdgarOfflineError);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { createFixtureFramesSource, setFramesSource } from '../lib/frames.js';
+import { parseScreenOptions, runScreen } from '../lib/screener.js';
+import { stubEdgar } from './support/edgar.mjs';
+
+// CY2023 frames for five filers:
+//   1 Alpha    revenue 5B, cost 3B, net income 1.2B, assets 10B, short-term debt 0.5B, long-term debt 2B
+//   2 Beta     revenue 2B (under Revenues, the second concept), cost 1.5B, net income 0.1B, assets 4B,
+//              long-term debt 1.2B and no short-term debt
+//   3 Gamma    revenue 0.8B, no cost of revenue, net loss 50M, assets 1B, no debt
+//   4 Delta    revenue 3B under the first concept and 9B under Revenues, net income 0.6B, assets 6B, no debt
+//   5 Epsilon  assets 0.5B only
+setFramesSource(createFixtureFramesSource(fileURLToPath(new URL('./fixtures/frames', import.meta.url))));
+stubEdgar({
+  'company_tickers.json': {
+    0: { cik_str: 1, ticker: 'ALPH', title: 'Alpha Industries Inc' },
+    1: { cik_str: 2, ticker: 'BETA', title: 'Beta Holdings Corp' }
+  },
+  'company_tickers_exchange.json': {
+    fields: ['cik', 'name', 'ticker', 'exchange'],
+    data: [[1, 'Alpha Industries Inc', 'ALPH', 'Nasdaq'], [2, 'Beta Holdings Corp', 'BETA', 'NYSE']]
+  }
+});
+
+const screen = async (query) => {
+  const { options, error } = parseScreenOptions({ period: 'CY2023', ...query });
+  assert.equal(error, undefined);
+  return runScreen(options);
+};
+const ciks = (result) => result.results.map(row => Number(row.cik));
+
+test('filters apply together and rank by the first filter', async () => {
+  const result = await screen({ filter: ['netMargin>10', 'revenues>1B'] });
+
+  assert.deepEqual(ciks(result), [1, 4]);
+  assert.deepEqual(result.results[0].values, { netMargin: 24, revenues: 5e9 });
+  assert.equal(result.results[0].ticker, 'ALPH');
+  assert.equal(result.results[0].exchange, 'Nasdaq');
+  assert.equal(result.source, 'fixtures');
+});
+
+test('a line comes from the first concept of its chain the filer reported', async () => {
+  const result = await screen({ filter: 'revenues>0', sort: 'revenues' });
+
+  assert.deepEqual(ciks(result), [1, 4, 2, 3]);
+  const delta = result.results.find(row => Number(row.cik) === 4);
+  assert.equal(delta.values.revenues, 3e9);
+  assert.equal(delta.sources.revenues.concept, 'RevenueFromContractWithCustomerExcludingAssessedTax');
+  assert.equal(delta.name, 'DELTA SYSTEMS INC');
+  assert.equal(result.results.find(row => Number(row.cik) === 2).sources.revenues.concept, 'Revenues');
+});
+
+test('a ratio over several lines screens filers reporting any one of them', async () => {
+  // Beta reports long-term debt only, so its total debt is that alone
+  const result = await screen({ filter: 'debtToAssets>20' });
+
+  assert.deepEqual(ciks(result), [2, 1]);
+  assert.deepEqual(result.results.map(row => row.values.debtToAssets), [30, 25]);
+  assert.deepEqual(Object.keys(result.results[0].sources).sort(), ['longTermDebt', 'totalAssets']);
+});
+
+test('a filer missing a filter line fails that filter', async () => {
+  // Gamma and Delta report no cost of revenue, so they have no gross margin
+  const result = await screen({ filter: ['grossMargin>0'] });
+  assert.deepEqual(ciks(result), [1, 2]);
+  assert.deepEqual(result.results.map(row => row.values.grossMargin), [40, 25]);
+
+  // Debt-free filers have no debt to assets and drop out of a screen on it
+  const debt = await screen({ filter: ['totalAssets>0', 'debtToAssets<100'] });
+  assert.deepEqual(ciks(debt), [1, 2]);
+});
+
+test('rows without a value for the sort field come last', async () => {
+  const result = await screen({ filter: 'revenues>0', sort: 'grossMargin' });
+
+  assert.deepEqual(ciks(result).slice(0, 2), [1, 2]);
+  assert.deepEqual(ciks(result).slice(2).sort(), [3, 4]);
+  assert.equal(result.results[3].values.grossMargin, null);
+  assert.equal(result.total, 4);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { createFixtureFilingSource, setFilingSource } from '../lib/filing-documents.js';
+import { parseXbrlInstance } from '../lib/xbrl-instance.js';
+import { getSegments } from '../lib/segments.js';
+
+const fixtures = fileURLToPath(new URL('./fixtures/filings', import.meta.url));
+setFilingSource(createFixtureFilingSource(fixtures));
+
+// Acme's 10-K: an XBRL instance with business segments, products and countries, plus contexts that must not count
+// (a fourth quarter, a segment crossed with a product, a nil fact)
+const annualFiling = {
+  accessionNumber: '0000000001-24-000001',
+  form: '10-K',
+  filingDate: '2024-02-15',
+  primaryDocument: 'acme-20231231.htm',
+  indexUrl: 'https://www.sec.gov/Archives/edgar/data/1/000000000124000001/0000000001-24-000001-index.htm'
+};
+
+// Beta's 10-Q: inline XBRL with a quarter, its comparative and the year to date
+const quarterlyFiling = {
+  accessionNumber: '0000000002-24-000003',
+  form: '10-Q',
+  filingDate: '2024-10-30',
+  primaryDocument: 'beta-20240930.htm',
+  indexUrl: 'https://www.sec.gov/Archives/edgar/data/2/000000000224000003/0000000002-24-000003-index.htm'
+};
+
+const membersOf = (metric) => metric.members.map(({ label, values }) => [label, values]);
+
+test('parseXbrlInstance reads contexts, dimensions and nonFraction values from inline XBRL', async () => {
+  const text = await readFile(`${fixtures}/2/000000000224000003/beta-20240930.htm`, 'utf8');
+  const instance = parseXbrlInstance(text);
+
+  assert.equal(instance.format, 'inline');
+  assert.deepEqual(instance.contexts['c-q3-us'], {
+    id: 'c-q3-us',
+    start: '2024-07-01',
+    end: '2024-09-30',
+    instant: false,
+    dimensions: [{ axis: 'srt:StatementGeographicalAxis', member: 'country:US' }]
+  });
+  const value = (contextRef, concept) => instance.facts.find(fact => fact.contextRef === contextRef && fact.concept === concept)?.value;
+  assert.equal(value('c-q3', 'us-gaap:Revenues'), 2.5e9);
+  assert.equal(value('c-q3-hardware', 'us-gaap:OperatingIncomeLoss'), -75e6);
+  assert.ok(instance.facts.every(fact => fact.unit === 'USD'));
+});
+
+test('annual breakdowns come from single-dimension contexts covering a fiscal year', async () => {
+  const segments = await getSegments('1', { sourceFiling: annualFiling });
+
+  assert.equal(segments.source.document, 'acme-20231231_htm.xml');
+  assert.equal(segments.source.format, 'xbrl');
+  assert.deepEqual(segments.periods, ['2023-12-31', '2022-12-31']);
+  assert.deepEqual(Object.keys(segments.breakdowns), ['segment', 'product', 'geography']);
+
+  const { segment } = segments.breakdowns;
+  assert.equal(segment.axis, 'us-gaap:StatementBusinessSegmentsAxis');
+  assert.equal(segment.metrics.revenues.concept, 'us-gaap:Revenues');
+  assert.deepEqual(membersOf(segment.metrics.revenues), [
+    ['Americas Segment', { '2023-12-31': 600e6, '2022-12-31': 500e6 }],
+    ['Europe Segment', { '2023-12-31': 400e6 }]
+  ]);
+  assert.deepEqual(segment.metrics.revenues.total, { '2023-12-31': 1000e6, '2022-12-31': 800e6 });
+  assert.deepEqual(membersOf(segment.metrics.operatingIncome), [['Americas Segment', { '2023-12-31': 150e6 }]]);
+  assert.deepEqual(segment.metrics.operatingIncome.total, { '2023-12-31': 200e6 });
+});
+
+test('the srt axes match, and a metric reads the first concept of its chain broken down on the axis', async () => {
+  const { breakdowns } = await getSegments('1', { sourceFiling: annualFiling });
+
+  assert.equal(breakdowns.product.axis, 'srt:ProductOrServiceAxis');
+  assert.equal(breakdowns.product.metrics.revenues.concept, 'us-gaap:RevenueFromContractWithCustomerExcludingAssessedTax');
+  assert.deepEqual(membersOf(breakdowns.product.metrics.revenues), [
+    ['Widgets', { '2023-12-31': 650e6 }],
+    ['Service', { '2023-12-31': 350e6 }]
+  ]);
+  assert.equal(breakdowns.product.metrics.operatingIncome, undefined);
+
+  // Members in the scenario count like members in the segment
+  assert.equal(breakdowns.geography.axis, 'srt:StatementGeographicalAxis');
+  assert.deepEqual(membersOf(breakdowns.geography.metrics.revenues), [['US', { '2023-12-31': 700e6 }]]);
+});
+
+test('a 10-Q breaks down its quarters and leaves the year to date out', async () => {
+  const segments = await getSegments('2', { sourceFiling: quarterlyFiling });
+
+  assert.equal(segments.source.format, 'inline');
+  assert.deepEqual(segments.periods, ['2024-09-30', '2023-09-30']);
+  const { geography, segment } = segments.breakdowns;
+  assert.deepEqual(membersOf(geography.metrics.revenues), [
+    ['US', { '2024-09-30': 1500e6, '2023-09-30': 1300e6 }],
+    ['CN', { '2024-09-30': 1000e6 }]
+  ]);
+  assert.deepEqual(geography.metrics.revenues.total, { '2024-09-30': 2500e6, '2023-09-30': 2000e6 });
+  assert.deepEqual(membersOf(segment.metrics.operatingIncome), [
+    ['Cloud Segment', { '2024-09-30': 400e6 }],
+    ['Hardware Segment', { '2024-09-30': -75e6 }]
+  ]);
+  assert.equal(segment.metrics.revenues, undefined);
+});
@@ -0,0 +1,43 @@
+// Answers EDGAR requests from memory: `routes` maps a URL fragment to a JSON body. Anything else is a 404.
+export const stubEdgar = (routes) => {
+  globalThis.fetch = async (url) => {
+    const fragment = Object.keys(routes).find(part => url.includes(part));
+    return {
+      ok: Boolean(fragment),
+      status: fragment ? 200 : 404,
+      headers: new Headers(),
+      json: async () => routes[fragment]
+    };
+  };
+};
+
+// Company facts for one 10-K: { Concept: value } for each kind of fact, all for fiscal year `year`
+export const annualFacts = ({ year, durations = {}, instants = {}, shares = {} }) => {
+  const base = { accn: `0000000001-${String(year + 1).slice(2)}-000001`, form: '10-K', fp: 'FY', fy: year, filed: `${year + 1}-02-15` };
+  const duration = { ...base, start: `${year}-01-01`, end: `${year}-12-31` };
+  const instant = { ...base, end: `${year}-12-31` };
+  const concepts = (values, fact, unit) => Object.fromEntries(Object.entries(values).map(([concept, val]) => [
+    concept, { units: { [unit]: [{ ...fact, val }] } }
+  ]));
+  return {
+    facts: {
+      'us-gaap': { ...concepts(durations, duration, 'USD'), ...concepts(instants, instant, 'USD'), ...concepts(shares, duration, 'shares') },
+      dei: {}
+    }
+  };
+};
+
+export const submissionsFor = (name, { year }) => ({
+  name,
+  filings: {
+    recent: {
+      accessionNumber: [`0000000001-${String(year + 1).slice(2)}-000001`],
+      form: ['10-K'],
+      filingDate: [`${year + 1}-02-15`],
+      reportDate: [`${year}-12-31`],
+      primaryDocument: ['annual.htm'],
+      isXBRL: [1]
+    },
+    files: []
+  }
+});
@@ -0,0 +1,23 @@
+// Module hooks for test/support/register.mjs
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const root = new URL('../../', import.meta.url).href;
+const isOwnFile = (url) => url.startsWith(root) && !url.includes('/node_modules/');
+
+export const resolve = async (specifier, context, nextResolve) => {
+  if (/^\.{1,2}\//.test(specifier) && !/\.[cm]?js$|\.json$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => {
+  if (!isOwnFile(url)) return nextLoad(url, context);
+  if (url.endsWith('.json')) {
+    const text = await readFile(fileURLToPath(url), 'utf8');
+    return { format: 'module', source: `export default ${text};`, shortCircuit: true };
+  }
+  if (url.endsWith('.js')) return nextLoad(url, { ...context, format: 'module' });
+  return nextLoad(url, context);
+};
@@ -0,0 +1,5 @@
+// Lets plain node run lib/ the way Next bundles it: extensionless relative imports, ES modules in .js files
+// and JSON imports without an import attribute. Loaded with `node --import`.
+import { register } from 'node:module';
+
+register('./hooks.mjs', import.meta.url);
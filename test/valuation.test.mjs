@@ -0,0 +1,91 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateValuation } from '../lib/ratios.js';
+import { createMockPriceProvider, setPriceProvider, PriceProviderError } from '../lib/prices.js';
+import { extractSecData } from '../lib/sec-data.js';
+import { stubEdgar, annualFacts, submissionsFor } from './support/edgar.mjs';
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+// FY2023: EBITDA 250, free cash flow 120, net debt 200
+const is = { revenues: 1000, operatingIncome: 200, depreciationAndAmortization: 50, netIncome: 100, sharesOutstanding: 10 };
+const bs = { stockholdersEquity: 500, cashAndCashEquivalents: 100, longTermDebt: 300 };
+const cf = { freeCashFlow: 120 };
+
+const values = (multiples) => Object.fromEntries(Object.entries(multiples).map(([key, { value }]) => [key, value]));
+
+test('calculateValuation prices the statements at one close', () => {
+  assert.deepEqual(values(calculateValuation({ price: 40, is, bs, cf })), {
+    marketCap: 400,
+    enterpriseValue: 600,
+    priceToEarnings: 4,
+    priceToBook: 0.8,
+    priceToSales: 0.4,
+    evToEbitda: 2.4,
+    evToSales: 0.6,
+    freeCashFlowYield: 30
+  });
+});
+
+test('calculateValuation leaves multiples on a loss or without a price null', () => {
+  const loss = values(calculateValuation({ price: 40, is: { ...is, netIncome: -5 }, bs, cf }));
+  assert.equal(loss.priceToEarnings, null);
+  assert.equal(loss.priceToSales, 0.4);
+  assert.ok(Object.values(values(calculateValuation({ price: null, is, bs, cf }))).every(value => value === null));
+});
+
+test('the mock provider serves the last close within a week', async () => {
+  const provider = createMockPriceProvider({ ACME: [{ date: '2023-12-29', close: 40 }] }, { defaultClose: null });
+  assert.deepEqual(await provider.getClose('acme', '2023-12-31'), { date: '2023-12-29', close: 40 });
+  assert.equal(await provider.getClose('ACME', '2024-01-10'), null);
+  assert.equal(await provider.getClose('OTHER', '2023-12-31'), null);
+});
+
+const companyFacts = annualFacts({
+  year: 2023,
+  durations: {
+    Revenues: 1000,
+    OperatingIncomeLoss: 200,
+    DepreciationDepletionAndAmortization: 50,
+    NetIncomeLoss: 100,
+    NetCashProvidedByUsedInOperatingActivities: 180,
+    NetCashProvidedByUsedInInvestingActivities: -60
+  },
+  instants: { Assets: 2000, StockholdersEquity: 500, CashAndCashEquivalentsAtCarryingValue: 100, LongTermDebtNoncurrent: 300 },
+  shares: { WeightedAverageNumberOfSharesOutstandingBasic: 10 }
+});
+stubEdgar({ 'submissions/CIK0000000001.json': submissionsFor('Acme Corp', { year: 2023 }), companyfacts: companyFacts });
+
+test('extractSecData values the fiscal year end and the asOf close', async () => {
+  setPriceProvider(createMockPriceProvider({
+    ACME: [{ date: '2023-12-29', close: 40 }, { date: '2024-06-28', close: 60 }]
+  }));
+  const data = await extractSecData({ ticker: 'ACME', cik: '0000000001', yearCount: 1, asOf: '2024-06-30' });
+
+  assert.equal(data.valuation.provider, 'mock');
+  assert.equal(data.valuation.fiscalYearEnd.priceDate, '2023-12-29');
+  assert.equal(data.valuation.fiscalYearEnd.priceToEarnings, 4);
+  assert.equal(data.valuation.fiscalYearEnd.evToEbitda, 2.4);
+  assert.equal(data.valuation.fiscalYearEnd.freeCashFlowYield, 30);
+  assert.equal(data.valuation.current.price, 60);
+  assert.equal(data.valuation.current.marketCap, 600);
+  assert.equal(data.valuation.current.evToSales, 0.8);
+  assert.equal(data.ratios.priceToEarnings.value, 6);
+  assert.equal(data.warnings, undefined);
+});
+
+test('extractSecData serves the statements when the price provider fails', async () => {
+  setPriceProvider({
+    name: 'broken',
+    getClose: async () => {
+      throw new PriceProviderError('Cannot parse price file prices.csv: CSV header lacks close');
+    }
+  });
+  const data = await extractSecData({ ticker: 'ACME', cik: '0000000001', yearCount: 1 });
+
+  assert.equal(data.incomeStatement.revenues, 1000);
+  assert.equal(data.valuation, null);
+  assert.equal(data.ratios.priceToEarnings.value, null);
+  assert.deepEqual(data.warnings, [{ feature: 'valuation', message: 'Cannot parse price file prices.csv: CSV header lacks close' }]);
+});